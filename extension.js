@@ -4,25 +4,88 @@ const vscode = require('vscode');
 // NOTE: execa is imported dynamically below as it's an ESM module
 const fs = require('fs').promises; // Use promises version of fs
 const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const {
+    getMergeRequestListUrl,
+    getNewMergeRequestUrl,
+    getMergeRequestUrl
+} = require('./src/remoteUrl');
+const { runOptionsWizard } = require('./src/optionsWizard');
+const { renderPreviewHtml } = require('./src/preview');
+const { listMergeRequests, listRepositories, describeMergeRequest } = require('./src/mergeRequestHistory');
+const { createRunLog, recordStep, recordCommand, finishRunLog, appendRun, serializeRunLogs } = require('./src/runLog');
+const { resolveRemotes, rememberRemote } = require('./src/remotes');
+const { createFlow } = require('./src/flow');
+const { getTokenKey, getApiUrl, createGitLabClient } = require('./src/gitlabApi');
+
+/** @typedef {import('./src/preview').MergeRequestPlan} MergeRequestPlan */
+/** @typedef {import('./src/mergeRequestHistory').MergeRequestHistoryEntry} MergeRequestHistoryEntry */
 // const vscode = require('vscode'); // Removed duplicate require
 
 // Output channel for logging
 let outputChannel;
 
+/** @type {vscode.SecretStorage} Holds the GitLab access tokens, one per host. Set on activation. */
+let secretStorage;
+
+/**
+ * State of the run a git command belongs to, carried across awaits: its log, progress notification and cancellation.
+ * @typedef {Object} RunState
+ * @property {import('./src/runLog').RunLog} log - The structured log of the run.
+ * @property {vscode.Progress<{message?: string}>} progress - The progress notification.
+ * @property {AbortController} controller - Aborted when the user cancels the run.
+ * @property {boolean} cancellable - False while putting the repository back, which must finish even after cancelling.
+ */
+
+/** @type {AsyncLocalStorage<RunState>} */
+const runContext = new AsyncLocalStorage();
+
+/** @type {import('./src/runLog').RunLog[]} Recent runs, oldest first, for "Export Run Log". */
+let recentRuns = [];
+
+/** Message of the error thrown when the user cancels a run. */
+const CANCELLED_MESSAGE = 'Cancelled by user';
+
+// Fired whenever a merge request is recorded in or removed from the history, so the "GitLab MRs" view can refresh
+const mergeRequestHistoryChanged = new vscode.EventEmitter();
+
 /**
  * Helper function to run git commands.
+ * Commands are killed after `gitlab-mr-flow.gitTimeoutSeconds` and when the run they belong to is cancelled,
+ * and are recorded in the run's log.
  * @param {string[]} args - Array of arguments for the git command.
  * @param {string} cwd - The working directory for the command.
  * @param {string} commandDesc - Description of the command for logging.
  * @returns {Promise<{stdout: string, stderr: string, exitCode?: number | null}>} - exitCode might be null if process killed
+ * @throws {Error} With {@link CANCELLED_MESSAGE} if the run was cancelled.
  */
 async function runGitCommand(args, cwd, commandDesc) {
     const commandString = `git ${args.join(' ')}`;
     outputChannel.appendLine(`Running: ${commandString} in ${cwd}`);
+    const run = runContext.getStore();
+    const timeoutSeconds = vscode.workspace.getConfiguration('gitlab-mr-flow').get('gitTimeoutSeconds', 120);
+    const startedAt = Date.now();
     try {
         // Dynamically import execa as it's an ESM module
         const { execa } = await import('execa');
-        const result = await execa('git', args, { cwd, reject: false }); // reject: false to get stderr even on failure
+        const result = await execa('git', args, {
+            cwd,
+            reject: false, // reject: false to get stderr even on failure
+            timeout: timeoutSeconds > 0 ? timeoutSeconds * 1000 : undefined,
+            cancelSignal: run && run.cancellable ? run.controller.signal : undefined
+        });
+        if (run) {
+            recordCommand(run.log, { args, cwd, startedAt, durationMs: Date.now() - startedAt, exitCode: result.exitCode, timedOut: result.timedOut, cancelled: result.isCanceled, stderr: result.stderr });
+        }
+        if (result.isCanceled) {
+            outputChannel.appendLine(`Cancelled: ${commandString}`);
+            throw new Error(CANCELLED_MESSAGE);
+        }
+        if (result.timedOut) {
+            outputChannel.appendLine(`Timed out after ${timeoutSeconds}s: ${commandString} (see gitlab-mr-flow.gitTimeoutSeconds)`);
+            return { ...result, exitCode: null, stderr: `${result.stderr || ''}\nTimed out after ${timeoutSeconds}s.` };
+        }
         outputChannel.appendLine(`Finished: ${commandString}`);
         outputChannel.appendLine(`Exit Code: ${result.exitCode}`);
         if (result.stdout) {
@@ -33,6 +96,9 @@ async function runGitCommand(args, cwd, commandDesc) {
         }
         return result;
     } catch (error) {
+        if (error.message === CANCELLED_MESSAGE) {
+            throw error;
+        }
         outputChannel.appendLine(`Error running ${commandString}: ${error}`);
         vscode.window.showErrorMessage(`Failed to run git command: ${commandDesc}. Check Output channel for details.`);
         // Re-throw a simplified error or return a specific structure
@@ -41,206 +107,350 @@ async function runGitCommand(args, cwd, commandDesc) {
 }
 
 /**
- * Reads .git/config and returns the URL and name for a remote.
- * Prompts the user if multiple remotes are found.
- * @param {string} workspaceRoot - The root path of the workspace.
- * @returns {Promise<{remoteName: string, remoteUrl: string}>} The selected remote's name and URL.
- * @throws {Error} If no remote URL is found, config is unreadable, or user cancels selection.
+ * Runs a command's work under a cancellable progress notification and records it in the run log.
+ * Work started from within another run (e.g. "Update Merge Request" running the MR flow) joins that run.
+ * @template T
+ * @param {string} command - The VS Code command, for the run log.
+ * @param {string} title - Title of the progress notification.
+ * @param {function(): Promise<T>} task - The work.
+ * @returns {Promise<T | undefined>} The result of the work; undefined if it threw.
  */
-async function getOrigin(workspaceRoot) {
-    const configPath = path.join(workspaceRoot, '.git', 'config');
-    outputChannel.appendLine(`Reading git config: ${configPath}`);
-    let configContent;
-    try {
-        configContent = await fs.readFile(configPath, 'utf-8');
-    } catch (error) {
-        outputChannel.appendLine(`Error reading git config: ${error}`);
-        throw new Error('Could not read .git/config file.');
+async function runWithProgress(command, title, task) {
+    if (runContext.getStore()) {
+        return task();
     }
+    return vscode.window.withProgress({ location: vscode.ProgressLocation.Notification, title, cancellable: true }, async (progress, token) => {
+        const run = { log: createRunLog(command), progress, controller: new AbortController(), cancellable: true };
+        const subscription = token.onCancellationRequested(() => {
+            outputChannel.appendLine('Cancellation requested. Stopping the running git command...');
+            run.controller.abort();
+        });
+        let result = 'completed';
+        try {
+            return await runContext.run(run, task);
+        } catch (error) {
+            result = 'error';
+            outputChannel.appendLine(`Unhandled error: ${error.message || error}`);
+            if (!run.controller.signal.aborted) {
+                vscode.window.showErrorMessage(`GitLab MR Flow failed: ${error.message || 'Unknown error'}. Check Output channel.`);
+            }
+            return undefined;
+        } finally {
+            subscription.dispose();
+            if (run.controller.signal.aborted) {
+                run.log.result = 'cancelled';
+                vscode.window.showInformationMessage('GitLab MR Flow cancelled.');
+            }
+            finishRunLog(run.log, result);
+            recentRuns = appendRun(recentRuns, run.log);
+        }
+    });
+}
 
-    const originRemotes = [];
-    // Regex to find remote "origin" sections and their url
-    const remoteOriginRegex = /\[remote\s+"origin"\][^\[]*?url\s*=\s*([^\s#]+)/g;
-    let match;
-    while ((match = remoteOriginRegex.exec(configContent)) !== null) {
-        originRemotes.push({ remoteName: 'origin', remoteUrl: match[1] });
+/**
+ * Shows the stage a run is in on its progress notification and records it in the run log.
+ * @param {string} message - The stage, e.g. `Fetching origin`.
+ */
+function reportStep(message) {
+    const run = runContext.getStore();
+    if (run) {
+        run.progress.report({ message });
+        recordStep(run.log, message);
     }
+    outputChannel.appendLine(`--- ${message} ---`);
+}
 
-    if (originRemotes.length === 0) {
-        outputChannel.appendLine('No remote "origin" URL found in .git/config. Trying to use any remote...');
-        // Try to find any remote URL
-        const remoteRegex = /\[remote\s+"(\S+)"\][^\[]*?url\s*=\s*([^\s#]+)/g;
-        let remoteMatch;
-        const allRemotes = [];
-        while ((remoteMatch = remoteRegex.exec(configContent)) !== null) {
-            allRemotes.push({ remoteName: remoteMatch[1], remoteUrl: remoteMatch[2] });
-        }
+/**
+ * Records how the current run ended, e.g. `success` or `conflict`, unless it was cancelled.
+ * @param {string} result - The result.
+ */
+function setRunResult(result) {
+    const run = runContext.getStore();
+    if (run && !run.controller.signal.aborted) {
+        run.log.result = result;
+    }
+}
 
-        if (allRemotes.length === 0) {
-            outputChannel.appendLine('No remote URLs found in .git/config.');
-            throw new Error('No remote URLs found in .git/config.');
-        } else if (allRemotes.length === 1) {
-            outputChannel.appendLine(`Found single remote URL: ${allRemotes[0].remoteUrl}`);
-            return allRemotes[0];
-        } else {
-            // Multiple remotes found, prompt user
-            outputChannel.appendLine(`Multiple remote URLs found: ${allRemotes.map(r => r.remoteName + ': ' + r.remoteUrl).join(', ')}`);
-            const selectedRemote = await vscode.window.showQuickPick(allRemotes.map(r => ({ label: r.remoteName, description: r.remoteUrl })), {
-                placeHolder: 'Multiple remotes found. Please select the one to use.',
-                ignoreFocusOut: true // Keep open even if focus moves
-            });
-
-            if (!selectedRemote) {
-                outputChannel.appendLine('User cancelled remote selection.');
-                throw new Error('Remote selection cancelled by user.');
-            }
+/**
+ * Runs work that has to finish even if the current run was cancelled, such as putting the repository back.
+ * @template T
+ * @param {function(): Promise<T>} task - The work.
+ * @returns {Promise<T>} The result of the work.
+ */
+function runUncancellable(task) {
+    const run = runContext.getStore();
+    return run && run.cancellable ? runContext.run({ ...run, cancellable: false }, task) : task();
+}
 
-            const selected = allRemotes.find(r => r.remoteName === selectedRemote.label);
-            outputChannel.appendLine(`User selected remote URL: ${selected.remoteUrl}`);
-            return selected;
-        }
-    } else if (originRemotes.length === 1) {
-        outputChannel.appendLine(`Found single origin URL: ${originRemotes[0].remoteUrl}`);
-        return originRemotes[0];
-    } else {
-        // Multiple origins found, prompt user
-        outputChannel.appendLine(`Multiple origin URLs found: ${originRemotes.map(r => r.remoteName + ': ' + r.remoteUrl).join(', ')}`);
-        const selectedRemote = await vscode.window.showQuickPick(originRemotes.map(r => ({ label: r.remoteName, description: r.remoteUrl })), {
-            placeHolder: 'Multiple "origin" remotes found. Please select the one to use.',
-            ignoreFocusOut: true // Keep open even if focus moves
-        });
+/**
+ * Checks whether the user cancelled the current run.
+ * @returns {boolean} True if the run was cancelled.
+ */
+function isRunCancelled() {
+    const run = runContext.getStore();
+    return Boolean(run && run.controller.signal.aborted);
+}
 
-        if (!selectedRemote) {
-            outputChannel.appendLine('User cancelled origin selection.');
-            throw new Error('Origin selection cancelled by user.');
+/**
+ * Runs a pre-MR check: a shell command with its output streamed to the output channel, or a task from
+ * `tasks.json` in its terminal. Checks are stopped when the run they belong to is cancelled.
+ * In an untrusted workspace, tasks are not run, and commands only come from user settings
+ * since `gitlab-mr-flow.preMergeRequestChecks` is a restricted setting.
+ * @param {import('./src/checks').PreMergeRequestCheck} check - The check.
+ * @param {string} cwd - The repository root.
+ * @returns {Promise<{passed: boolean, reason?: string}>} Whether the check passed, and why not.
+ * @throws {Error} With {@link CANCELLED_MESSAGE} if the run was cancelled.
+ */
+async function runPreMergeRequestCheck(check, cwd) {
+    const run = runContext.getStore();
+    const signal = run && run.cancellable ? run.controller.signal : undefined;
+    if (check.task) {
+        // Tasks come from the workspace's tasks.json; VS Code already ignores workspace values of the checks setting itself
+        if (!vscode.workspace.isTrusted) {
+            return { passed: false, reason: 'was not run because the workspace is not trusted' };
         }
-
-        const selected = originRemotes.find(r => r.remoteName === selectedRemote.label);
-        outputChannel.appendLine(`User selected origin URL: ${selected.remoteUrl}`);
-        return selected;
+        return runTaskCheck(check.task, cwd, signal);
+    }
+    outputChannel.appendLine(`Running check: ${check.command} in ${cwd}`);
+    const { execa } = await import('execa');
+    const subprocess = execa(check.command, { cwd, shell: true, all: true, reject: false, cancelSignal: signal });
+    subprocess.all.on('data', chunk => outputChannel.append(chunk.toString()));
+    const result = await subprocess;
+    if (result.isCanceled) {
+        throw new Error(CANCELLED_MESSAGE);
+    }
+    if (result.exitCode === 0) {
+        return { passed: true };
     }
+    return { passed: false, reason: result.exitCode === undefined ? `could not be run: ${result.shortMessage}` : `failed with exit code ${result.exitCode}` };
 }
 
 /**
- * Determines the target branch for the merge request.
- * Tries to find the default branch using 'git remote show origin'.
- * Falls back to prompting the user with a list from 'git branch -r'.
- * @param {string} workspaceRoot - The root path of the workspace.
- * @returns {Promise<string>} The selected target branch name.
- * @throws {Error} If the target branch cannot be determined or user cancels selection.
+ * Runs a task from `tasks.json` as a pre-MR check and waits for it to end.
+ * @param {string} label - The label of the task.
+ * @param {string} cwd - The repository root; tasks of its workspace folder are preferred.
+ * @param {AbortSignal | undefined} signal - Aborted when the run is cancelled.
+ * @returns {Promise<{passed: boolean, reason?: string}>} Whether the task exited with code 0, and why not.
+ * @throws {Error} With {@link CANCELLED_MESSAGE} if the run was cancelled.
  */
-async function getTargetBranch(workspaceRoot, remoteName) {
-    outputChannel.appendLine('Determining target branch...');
-
-    // Attempt 1: Use 'git remote show'
-    try {
-        const remoteShowResult = await runGitCommand(['remote', 'show', remoteName], workspaceRoot, `show remote ${remoteName}`);
-        if (remoteShowResult.exitCode === 0 && remoteShowResult.stdout) {
-            const headBranchMatch = remoteShowResult.stdout.match(/HEAD branch:\s*(\S+)/);
-            if (headBranchMatch && headBranchMatch[1]) {
-                const defaultBranch = headBranchMatch[1];
-                // Verify it's not '(unknown)' which sometimes happens
-                if (defaultBranch !== '(unknown)') {
-                    outputChannel.appendLine(`Found default remote branch via 'remote show': ${defaultBranch}`);
-                    return defaultBranch;
+async function runTaskCheck(label, cwd, signal) {
+    const tasks = (await vscode.tasks.fetchTasks()).filter(task => task.name === label);
+    const task = tasks.find(candidate => candidate.scope && candidate.scope.uri && candidate.scope.uri.fsPath === cwd) || tasks[0];
+    if (!task) {
+        return { passed: false, reason: 'was not found in tasks.json' };
+    }
+    outputChannel.appendLine(`Running task "${label}". Its output is shown in the terminal.`);
+    const isThisTask = execution => execution.task.name === task.name && execution.task.source === task.source;
+    return new Promise((resolve, reject) => {
+        let exitCode;
+        let execution;
+        const subscriptions = [
+            vscode.tasks.onDidEndTaskProcess(event => {
+                if (isThisTask(event.execution)) {
+                    exitCode = event.exitCode;
+                }
+            }),
+            vscode.tasks.onDidEndTask(event => {
+                if (!isThisTask(event.execution)) {
+                    return;
+                }
+                subscriptions.forEach(subscription => subscription.dispose());
+                if (signal && signal.aborted) {
+                    reject(new Error(CANCELLED_MESSAGE));
                 } else {
-                     outputChannel.appendLine(`'git remote show ${remoteName}' reported HEAD branch as '(unknown)'.`);
+                    resolve(exitCode === 0 ? { passed: true } : { passed: false, reason: exitCode === undefined ? 'ended without an exit code' : `failed with exit code ${exitCode}` });
                 }
-            } else {
-                 outputChannel.appendLine(`Could not parse HEAD branch from 'git remote show ${remoteName}' output.`);
-            }
-        } else {
-             outputChannel.appendLine(`'git remote show ${remoteName}' failed or produced no output. Exit code: ${remoteShowResult.exitCode}`);
+            })
+        ];
+        if (signal) {
+            signal.addEventListener('abort', () => execution && execution.terminate(), { once: true });
         }
-    } catch (error) {
-        // Log error from runGitCommand but continue to fallback
-        outputChannel.appendLine(`Error running 'git remote show ${remoteName}': ${error.message}. Falling back to 'git branch -r'.`);
-    }
+        vscode.tasks.executeTask(task).then(started => {
+            execution = started;
+            if (signal && signal.aborted) {
+                execution.terminate();
+            }
+        }, error => {
+            subscriptions.forEach(subscription => subscription.dispose());
+            resolve({ passed: false, reason: `could not be started: ${error.message || error}` });
+        });
+    });
+}
 
-    // Attempt 2: Fallback to 'git branch -r' and prompt user
-    outputChannel.appendLine("Falling back to 'git branch -r' to list remote branches.");
-    let remoteBranches = [];
-    try {
-        const branchRResult = await runGitCommand(['branch', '-r'], workspaceRoot, 'list remote branches');
-        if (branchRResult.exitCode === 0 && branchRResult.stdout) {
-            const lines = branchRResult.stdout.split('\n');
-            const originBranchRegex = /^\s*origin\/(\S+)/; // Match branches starting with 'origin/'
-            lines.forEach(line => {
-                // Skip lines pointing to HEAD -> origin/branch
-                if (line.includes('->')) return;
-                const match = line.match(originBranchRegex);
-                if (match && match[1]) {
-                    remoteBranches.push(match[1]);
-                }
-            });
-        } else {
-             outputChannel.appendLine(`'git branch -r' failed or produced no output. Exit code: ${branchRResult.exitCode}`);
-             throw new Error("Could not list remote branches using 'git branch -r'.");
-        }
+/**
+ * Creates a GitLab API client for the instance hosting a project, if an access token is stored for its host.
+ * @param {import('./src/remoteUrl').GitLabProject} project - The project.
+ * @returns {Promise<Object | undefined>} The client; undefined without a token, so the flow only uses git.
+ */
+async function getGitLabApiClient(project) {
+    const token = secretStorage && await secretStorage.get(getTokenKey(project.host));
+    return token ? createGitLabClient({ apiUrl: getApiUrl(project), token }) : undefined;
+}
 
-        if (remoteBranches.length === 0) {
-            outputChannel.appendLine('No remote branches found for origin.');
-            throw new Error('No remote branches found for origin.');
-        }
+// The MR flow and its git helpers, running against VS Code: git through execa, prompts in the window,
+// URLs in the browser and the log in the output channel
+const {
+    readRemoteConfig,
+    promptForRemote,
+    getOrigin,
+    getCurrentBranch,
+    getGitLabProject,
+    resolveBranchRule,
+    buildMergeRequestPlan,
+    getLocalBranches,
+    runMergeRequestFlow,
+    runMergeRequestStack,
+    runMergeRequestsForRepositories,
+    checkOutMergeRequestBranch,
+    deleteMergeRequestBranches,
+    cleanUpMergedBranches,
+    startBranch
+} = createFlow({
+    runGitCommand,
+    ui: {
+        showInformationMessage: (...args) => vscode.window.showInformationMessage(...args),
+        showWarningMessage: (...args) => vscode.window.showWarningMessage(...args),
+        showErrorMessage: (...args) => vscode.window.showErrorMessage(...args),
+        showQuickPick: (...args) => vscode.window.showQuickPick(...args),
+        showInputBox: (...args) => vscode.window.showInputBox(...args),
+        editMergeRequestDetails,
+        runOptionsWizard
+    },
+    openUrl: url => vscode.env.openExternal(vscode.Uri.parse(url)),
+    log: line => outputChannel.appendLine(line),
+    runCheck: runPreMergeRequestCheck,
+    getConfiguration: () => vscode.workspace.getConfiguration('gitlab-mr-flow'),
+    getApiClient: getGitLabApiClient,
+    run: { reportStep, setResult: setRunResult, isCancelled: isRunCancelled, uncancellable: runUncancellable },
+    onMergeRequestsChanged: () => mergeRequestHistoryChanged.fire()
+});
 
-        outputChannel.appendLine(`Found remote branches: ${remoteBranches.join(', ')}`);
-        const selectedBranch = await vscode.window.showQuickPick(remoteBranches, {
-            placeHolder: "Could not automatically determine default branch. Please select the target branch for the Merge Request.",
-            ignoreFocusOut: true
-        });
+/**
+ * Lets the user edit the generated title in an input box and the description in a Markdown editor.
+ * @param {string} title - The pre-filled title.
+ * @param {string} description - The pre-filled description.
+ * @returns {Promise<{title: string, description: string} | undefined>} The edited values, or undefined if cancelled.
+ */
+async function editMergeRequestDetails(title, description) {
+    const editedTitle = await vscode.window.showInputBox({
+        title: 'Merge Request Title',
+        prompt: 'Edit the title of the Merge Request.',
+        value: title,
+        ignoreFocusOut: true,
+        validateInput: value => value.trim() ? null : 'The title must not be empty.'
+    });
+    if (editedTitle === undefined) {
+        return undefined;
+    }
 
-        if (!selectedBranch) {
-            outputChannel.appendLine('User cancelled target branch selection.');
-            throw new Error('Target branch selection cancelled by user.');
-        }
+    const document = await vscode.workspace.openTextDocument({ language: 'markdown', content: description });
+    await vscode.window.showTextDocument(document, { preview: false });
+    const continueItem = 'Use Description';
+    const choice = await vscode.window.showInformationMessage('Edit the Merge Request description in the opened editor, then continue.', continueItem, 'Cancel');
+    const editedDescription = document.getText();
 
-        outputChannel.appendLine(`User selected target branch: ${selectedBranch}`);
-        return selectedBranch;
+    // Close the scratch document without a save prompt
+    await vscode.window.showTextDocument(document);
+    await vscode.commands.executeCommand('workbench.action.revertAndCloseActiveEditor');
 
-    } catch (error) {
-        // Log or handle error from runGitCommand or QuickPick
-        outputChannel.appendLine(`Error during fallback branch selection: ${error.message}`);
-        // Re-throw if it's not already a user cancellation
-        if (error.message.includes('cancelled by user')) {
-             throw error;
-        }
-        throw new Error('Failed to determine target branch.');
+    if (choice !== continueItem) {
+        return undefined;
     }
+    return { title: editedTitle.trim(), description: editedDescription.trim() };
 }
 
 /**
- * Gets the current Git branch name.
- * @param {string} workspaceRoot - The root path of the workspace.
- * @returns {Promise<string>} The current branch name.
- * @throws {Error} If the branch name cannot be determined.
+ * Finds the repository root: the repository passed from the SCM view, or the top level of the
+ * repository, worktree or submodule containing the file in the active editor.
+ * @param {{rootUri: vscode.Uri} | undefined} repository - Repository from the SCM title menu, if any.
+ * @returns {Promise<string>} The repository root, or an empty string if none is found.
  */
-async function getCurrentBranch(workspaceRoot) {
-    outputChannel.appendLine('Determining current branch...');
-    try {
-        const { stdout, exitCode } = await runGitCommand(['branch', '--show-current'], workspaceRoot, 'get current branch');
-        if (exitCode === 0 && stdout) {
-            const currentBranch = stdout.trim();
-            if (currentBranch) {
-                outputChannel.appendLine(`Current branch is: ${currentBranch}`);
-                return currentBranch;
-            } else {
-                 outputChannel.appendLine('`git branch --show-current` returned empty output.');
-                 // This might happen in detached HEAD state, though less common with --show-current
-                 throw new Error('Could not determine current branch (empty output). Possibly in detached HEAD state?');
-            }
-        } else {
-            outputChannel.appendLine(`'git branch --show-current' failed. Exit code: ${exitCode}`);
-            // Attempt fallback for older Git versions? `git rev-parse --abbrev-ref HEAD` is an alternative
-            // For now, just error out based on the plan.
-            throw new Error('Failed to get current branch name.');
+async function resolveWorkspaceRoot(repository) {
+    if (repository && repository.rootUri) {
+        outputChannel.appendLine(`Workspace folder provided: ${repository.rootUri.fsPath}`);
+        return repository.rootUri.fsPath;
+    }
+    // Untitled and virtual documents have no directory to ask git about
+    if (vscode.window.activeTextEditor && vscode.window.activeTextEditor.document.uri.scheme === 'file') {
+        let activeFile = vscode.window.activeTextEditor.document.uri.fsPath;
+        outputChannel.appendLine(`Active file: ${activeFile}`);
+
+        const result = await runGitCommand(['rev-parse', '--show-toplevel'], path.dirname(activeFile), 'find repository root');
+        if (result.exitCode === 0 && result.stdout.trim()) {
+            const root = path.normalize(result.stdout.trim());
+            outputChannel.appendLine(`Found Git root: ${root}`);
+            return root;
         }
-    } catch (error) {
-        outputChannel.appendLine(`Error getting current branch: ${error.message}`);
-        // Re-throw the specific error
-        throw new Error(`Failed to determine current branch: ${error.message}`);
     }
+    return '';
 }
 
+/**
+ * Lists the repositories open in the workspace through the built-in Git extension.
+ * @returns {Promise<{rootUri: vscode.Uri, state: {HEAD?: {name?: string}}}[]>} The repositories.
+ * @throws {Error} If the Git extension is missing or disabled.
+ */
+async function getGitRepositories() {
+    const gitExtension = vscode.extensions.getExtension('vscode.git');
+    if (!gitExtension) {
+        throw new Error('The built-in Git extension is not available.');
+    }
+    const git = gitExtension.isActive ? gitExtension.exports : await gitExtension.activate();
+    if (!git || !git.enabled) {
+        throw new Error('The built-in Git extension is disabled (git.enabled).');
+    }
+    return git.getAPI(1).repositories;
+}
+
+/**
+ * @typedef {Object} MergeRequestTreeNode
+ * @property {string} repositoryKey - Root path of the repository.
+ * @property {MergeRequestHistoryEntry} [entry] - The merge request; absent for repository nodes.
+ * @property {boolean} [branchExists] - Whether the local source branch still exists; undefined if unknown.
+ */
+
+/**
+ * Creates the data provider of the "GitLab MRs" view: repositories with recorded merge requests, and their merge requests.
+ * @param {vscode.Memento} memento - Workspace state holding the merge request history.
+ * @returns {vscode.TreeDataProvider<MergeRequestTreeNode>} The provider.
+ */
+function createMergeRequestTreeProvider(memento) {
+    return {
+        onDidChangeTreeData: mergeRequestHistoryChanged.event,
+        getTreeItem(node) {
+            if (!node.entry) {
+                const item = new vscode.TreeItem(path.basename(node.repositoryKey), vscode.TreeItemCollapsibleState.Expanded);
+                item.description = path.dirname(node.repositoryKey);
+                item.tooltip = node.repositoryKey;
+                item.iconPath = new vscode.ThemeIcon('repo');
+                item.contextValue = 'repository';
+                return item;
+            }
+            const { label, description, tooltip } = describeMergeRequest(node.entry, node.branchExists);
+            const item = new vscode.TreeItem(label, vscode.TreeItemCollapsibleState.None);
+            item.description = description;
+            item.tooltip = tooltip;
+            item.iconPath = new vscode.ThemeIcon('git-pull-request');
+            item.contextValue = 'mergeRequest';
+            item.command = { command: 'gitlab-mr-flow.openMergeRequest', title: 'Open in Browser', arguments: [node] };
+            return item;
+        },
+        async getChildren(node) {
+            if (!node) {
+                return listRepositories(memento).map(repositoryKey => ({ repositoryKey }));
+            }
+            if (node.entry) {
+                return [];
+            }
+            const branches = await getLocalBranches(node.repositoryKey);
+            return listMergeRequests(memento, node.repositoryKey).map(entry => ({
+                repositoryKey: node.repositoryKey,
+                entry,
+                branchExists: branches ? branches.has(entry.branch) : undefined
+            }));
+        }
+    };
+}
 
 // This method is called when your extension is activated
 /**
@@ -251,210 +461,315 @@ async function activate(context) { // Restored async
     // Create output channel
     outputChannel = vscode.window.createOutputChannel("GitLab MR Flow");
     outputChannel.appendLine('Activating GitLab MR Flow extension...'); // Restored original message
-
-    // The command has been defined in the package.json file
-    // Now provide the implementation of the command with registerCommand
-    // The commandId parameter must match the command field in package.json
-    let disposable = vscode.commands.registerCommand('gitlab-mr-flow.createMergeRequest', async function (repository) {
-        // The code you place here will be executed every time your command is executed
-        outputChannel.appendLine(`Command "gitlab-mr-flow.createMergeRequest" triggered ${repository.rootUri}.`);
-        vscode.window.showInformationMessage('Starting GitLab MR Flow...'); // Placeholder
-
-        // --- Step 1: Get Workspace Root & Check for .git ---
-        let workspaceRoot = '';
-        if (repository && repository.rootUri) {
-            workspaceRoot = repository.rootUri.fsPath;
-            outputChannel.appendLine(`Workspace folder provided: ${workspaceRoot}`);
-        } else {
-            if (vscode.window.activeTextEditor) {
-                let activeFile = vscode.window.activeTextEditor.document.uri.fsPath;
-                outputChannel.appendLine(`Active file: ${activeFile}`);
-
-                let dir = path.dirname(activeFile);
-                while (dir !== path.dirname(dir)) { // Prevent infinite loop
-                    try {
-                        await fs.access(path.join(dir, '.git'));
-                        workspaceRoot = dir;
-                        outputChannel.appendLine(`Found Git root: ${workspaceRoot}`);
-                        break;
-                    } catch (err) {
-                        dir = path.dirname(dir);
-                    }
-                }
-            }
-
+    secretStorage = context.secrets;
+
+    /**
+     * Runs the MR flow for a repository under a cancellable progress notification.
+     * @param {{rootUri: vscode.Uri} | undefined} repository - Repository from the SCM title menu; undefined when run from the palette or a keybinding.
+     * @param {{skipWizard?: boolean, preset?: MergeRequestPlan}} [flowOptions] - `skipWizard` uses the remembered push options
+     *   without showing the options wizard. `preset` runs the flow with the settings of a preview instead of detecting and asking again.
+     * @returns {Promise<void>}
+     */
+    function createMergeRequest(repository, flowOptions) {
+        return runWithProgress('gitlab-mr-flow.createMergeRequest', 'GitLab MR Flow', async () => {
+            outputChannel.appendLine(`Command "gitlab-mr-flow.createMergeRequest" triggered ${repository && repository.rootUri ? repository.rootUri : '(no repository)'}.`);
+            reportStep('Checking the repository');
+
+            // --- Step 1: Get Workspace Root & Check for .git ---
+            const workspaceRoot = await resolveWorkspaceRoot(repository);
             if (!workspaceRoot) {
                 vscode.window.showErrorMessage('No Git repository found.');
                 outputChannel.appendLine('Error: No Git repository found.');
                 return;
             }
-        }
-        outputChannel.appendLine(`Workspace root: ${workspaceRoot}`);
-
-        // --- Step 0: Get Git Info (Branch & Origin) ---
-        const currentBranch = await getCurrentBranch(workspaceRoot);
-        const origin = await getOrigin(workspaceRoot); // Get origin early
-        outputChannel.appendLine(`Current branch: ${currentBranch}, Origin URL: ${origin.remoteUrl}`);
-
-        // --- Step 1: Open MR list page directly if not a feature or fix branch ---
-        if (!currentBranch.startsWith('feat') && !currentBranch.startsWith('fix')) {
-            outputChannel.appendLine(`Current branch "${currentBranch}" does not start with "feat" or "fix". Just open the MR list page.`);
-            try {
-                const baseUrl = origin.remoteUrl.endsWith('.git') ? origin.remoteUrl.slice(0, -4) : origin.remoteUrl; // Remove .git if present
-                const mrListPageUrl = `${baseUrl}/-/merge_requests`;
-                outputChannel.appendLine(`Constructed MR List URL: ${mrListPageUrl}`);
-                await vscode.env.openExternal(vscode.Uri.parse(mrListPageUrl));
-                vscode.window.showInformationMessage(`Currently not on a feature or fix branch, open the MR list page instead.`);
-            } catch (openError) {
-                outputChannel.appendLine(`Error constructing or opening MR List URL: ${openError.message}`);
-                vscode.window.showErrorMessage(`Could not open the Merge Requests page for branch "${currentBranch}". Check Output channel.`);
-            }
-            return; // Stop execution after opening MR list page
+            outputChannel.appendLine(`Workspace root: ${workspaceRoot}`);
+            await runMergeRequestFlow(context.workspaceState, workspaceRoot, flowOptions);
+        });
+    }
+
+    /**
+     * Shows what the MR flow would do for a repository, with a button running it with the previewed settings.
+     * @param {{rootUri: vscode.Uri} | undefined} repository - Repository from the SCM title menu; undefined when run from the palette.
+     */
+    async function previewMergeRequest(repository) {
+        outputChannel.appendLine('Command "gitlab-mr-flow.previewMergeRequest" triggered.');
+        const workspaceRoot = await resolveWorkspaceRoot(repository);
+        if (!workspaceRoot) {
+            vscode.window.showErrorMessage('No Git repository found.');
+            return;
         }
 
-        // --- Step 2: Proceed with MR creation for feature/fix branches ---
-        // Continue with the original MR creation flow
         try {
-            // --- Step 2a: Check for .git directory ---
-            try {
-                await fs.access(path.join(workspaceRoot, '.git'));
-                outputChannel.appendLine('Found .git directory.');
-            } catch (error) {
-                vscode.window.showErrorMessage('Current workspace is not a Git repository.');
-                outputChannel.appendLine('Error: .git directory not found.');
+            const currentBranch = await getCurrentBranch(workspaceRoot);
+            const origin = await getOrigin(workspaceRoot, { memento: context.workspaceState, branch: currentBranch });
+            const branchRule = await resolveBranchRule(currentBranch);
+            if (!branchRule) {
+                const listUrl = getMergeRequestListUrl(getGitLabProject(origin));
+                vscode.window.showInformationMessage(`Branch "${currentBranch}" is not configured for Merge Request creation. GitLab MR Flow would open ${listUrl}.`);
                 return;
             }
 
-            // --- Step 2b: Target Branch Determination ---
-            // Origin already fetched above
-                const targetBranch = await getTargetBranch(workspaceRoot, origin.remoteName);
-                outputChannel.appendLine(`Target branch set to: ${targetBranch}`);
-
-                // --- Step 5: Current Branch Identification ---
-                // const currentBranch = await getCurrentBranch(workspaceRoot); // Already got it above
-                outputChannel.appendLine(`Current branch identified as: ${currentBranch}`);
-
-                // --- Step 6: Fetch and Merge Remote Changes ---
-                outputChannel.appendLine(`Fetching updates from ${origin.remoteName}...`);
-                const fetchResult = await runGitCommand(['fetch', origin.remoteName], workspaceRoot, `fetch ${origin.remoteName}`);
-                if (fetchResult.exitCode !== 0) {
-                    outputChannel.appendLine(`Git fetch failed with exit code ${fetchResult.exitCode}.`);
-                    vscode.window.showErrorMessage(`Git fetch from origin failed. Check Output channel for details.`);
-                    return; // Stop execution
-                }
-                outputChannel.appendLine('Fetch successful.');
-
-                outputChannel.appendLine(`Attempting to merge ${origin.remoteName}/${targetBranch} into ${currentBranch}...`);
-                // Use --no-commit --no-ff to allow inspection/resolution before commit, though git push handles the MR creation.
-                // Standard merge is likely fine here as the push command handles the MR options. Let's stick to a standard merge.
-                const mergeResult = await runGitCommand(['merge', `${origin.remoteName}/${targetBranch}`], workspaceRoot, `merge ${origin.remoteName}/${targetBranch}`);
-
-                // Check for conflicts or other errors during merge
-                if (mergeResult.exitCode !== 0) {
-                    const errorOutput = mergeResult.stderr || mergeResult.stdout || ''; // Combine outputs for checking
-                    // Check specifically for merge conflict indicators
-                    if (errorOutput.includes('Merge conflict') || errorOutput.includes('Automatic merge failed; fix conflicts and then commit the result.')) {
-                        outputChannel.appendLine('Merge conflict detected.');
-                        vscode.window.showErrorMessage('Merge conflicts detected. Please resolve them manually (e.g., using VS Code\'s Source Control view), commit the merge, and then run the command again.');
-                        return; // Stop execution
-                    } else if (errorOutput.includes('fatal: Need to specify how to reconcile divergent branches.')) {
-                        // This specific error shouldn't happen with fetch + merge, but handle defensively
-                        outputChannel.appendLine('Error: Divergent branches detected during merge attempt.');
-                        vscode.window.showErrorMessage(`Error: Divergent branches. This shouldn't happen with fetch+merge. Check Git status and Output channel.`);
-                        return; // Stop execution
-                    }
-                    else {
-                        outputChannel.appendLine(`Git merge failed with exit code ${mergeResult.exitCode}.`);
-                        vscode.window.showErrorMessage(`Git merge of ${origin.remoteName}/${targetBranch} failed. Check Output channel for details.`);
-                        return; // Stop execution
-                    }
+            const plan = await buildMergeRequestPlan(context.workspaceState, workspaceRoot, origin, currentBranch, branchRule);
+            const panel = vscode.window.createWebviewPanel('gitlab-mr-flow.preview', `MR Preview: ${currentBranch}`, vscode.ViewColumn.Active, { enableScripts: true });
+            panel.webview.html = renderPreviewHtml(plan, { nonce: crypto.randomBytes(16).toString('hex'), cspSource: panel.webview.cspSource });
+            panel.webview.onDidReceiveMessage(message => {
+                if (message && message.command === 'create') {
+                    panel.dispose();
+                    createMergeRequest({ rootUri: vscode.Uri.file(workspaceRoot) }, { preset: plan });
                 }
-                outputChannel.appendLine('Merge successful.');
-
-                // --- Step 7: Push and Create Merge Request ---
-                outputChannel.appendLine(`Attempting to push ${currentBranch} to ${origin.remoteName} and create MR targeting ${targetBranch}...`);
-                const pushArgs = [
-                    'push',
-                    origin.remoteName,
-                    currentBranch, // Push the current branch
-                    '-o', `merge_request.create`,
-                    '-o', `merge_request.target=${targetBranch}`,
-                    '-o', `merge_request.remove_source_branch=false`, // Add option to keep source branch
-                    '-o', `merge_request.title=${currentBranch}` // Use branch name as MR name
-                ];
-                const pushResult = await runGitCommand(pushArgs, workspaceRoot, 'push and create merge request');
-
-                if (pushResult.exitCode === 0) {
-                    outputChannel.appendLine('Push and MR creation command successful.');
-
-                    // --- Step 8: Parse MR URL and Open in Browser ---
-                    let mrUrl = null;
-                    const output = `${pushResult.stdout}\n${pushResult.stderr}`; // Combine stdout and stderr
-                    const urlRegex = /remote:\s+(https?:\/\/[^\s]+)/i;
-                    const match = output.match(urlRegex);
-
-                    if (match && match[1]) {
-                        mrUrl = match[1];
-                        outputChannel.appendLine(`Found MR URL: ${mrUrl}`);
-                        try {
-                            await vscode.env.openExternal(vscode.Uri.parse(mrUrl));
-                            outputChannel.appendLine(`Opened MR URL in browser.`);
-                            vscode.window.showInformationMessage(`Successfully created Merge Request targeting ${targetBranch} and opened it in your browser.`);
-                        } catch (openError) {
-                            outputChannel.appendLine(`Error opening URL ${mrUrl}: ${openError}`);
-                            // Show original success message if opening fails
-                            vscode.window.showInformationMessage(`Successfully pushed ${currentBranch} and initiated Merge Request creation targeting ${targetBranch}. Failed to open URL.`);
-                        }
-                    } else {
-                        outputChannel.appendLine('Could not find MR URL in push output. Attempting to construct MR URL from origin...');
-                        try {
-                            const origin = await getOrigin(workspaceRoot); // Reuse existing function
-                            const baseUrl = origin.remoteUrl.endsWith('.git') ? origin.remoteUrl.slice(0, -4) : origin.remoteUrl; // Remove .git if present
-                            const constructedMrUrl = `${baseUrl}/-/merge_requests`;
-
-                            outputChannel.appendLine(`Constructed MR URL: ${constructedMrUrl}`);
-                            await vscode.env.openExternal(vscode.Uri.parse(constructedMrUrl));
-                            vscode.window.showInformationMessage(`Successfully pushed ${currentBranch} and navigated to Merge Requests page in your browser. Local branch remains ${currentBranch}.`);
-
-                        } catch (constructError) {
-                            outputChannel.appendLine(`Error constructing or opening MR URL: ${constructError.message}`);
-                            vscode.window.showErrorMessage(`Push successful, but could not confirm Merge Request creation or open MR page. Please check GitLab manually. Local branch remains ${currentBranch}.`);
-                        }
-                        return; // Stop execution here, do not switch branch
-                    }
-
-                    // --- Step 8: Switch back to target branch locally ---
-                    // This code will only be reached if the MR URL was found and opened (or failed to open)
-                    outputChannel.appendLine(`Attempting to switch local branch to ${targetBranch}...`);
-                    try {
-                        const checkoutResult = await runGitCommand(['checkout', targetBranch], workspaceRoot, `checkout ${targetBranch}`);
-                        if (checkoutResult.exitCode === 0) {
-                            outputChannel.appendLine(`Successfully switched local branch to ${targetBranch}.`);
-                            vscode.window.showInformationMessage(`Switched local branch to ${targetBranch}.`);
-                        } else {
-                            outputChannel.appendLine(`Failed to switch local branch to ${targetBranch}. Exit code: ${checkoutResult.exitCode}`);
-                            // Show a warning, but don't treat it as a fatal error for the overall MR flow
-                            vscode.window.showWarningMessage(`Merge request created, but failed to switch local branch back to ${targetBranch}. Check Output channel.`);
-                        }
-                    } catch (checkoutError) {
-                        // Catch errors specifically from the checkout command
-                        outputChannel.appendLine(`Error during checkout to ${targetBranch}: ${checkoutError.message}`);
-                        vscode.window.showWarningMessage(`Merge request created, but encountered an error switching local branch back to ${targetBranch}. Check Output channel.`);
-                    }
+            }, undefined, context.subscriptions);
+        } catch (error) {
+            outputChannel.appendLine(`Error building Merge Request preview: ${error.message || error}`);
+            vscode.window.showErrorMessage(`Could not preview the Merge Request: ${error.message || 'Unknown error'}. Check Output channel.`);
+        }
+    }
 
-                } else {
-                    outputChannel.appendLine(`Push and MR creation command failed. Exit code: ${pushResult.exitCode}`);
-                    vscode.window.showErrorMessage(`Failed to push or create Merge Request. Exit Code: ${pushResult.exitCode}. Check Output channel for details.`);
-                    // No return here, let the function finish
-                }
+    /**
+     * Prints the GitLab URLs resolved for the current repository, to check `gitlab-mr-flow.instances`.
+     * @param {{rootUri: vscode.Uri} | undefined} repository - Repository from the SCM title menu; undefined when run from the palette.
+     */
+    async function checkUrlMapping(repository) {
+        const workspaceRoot = await resolveWorkspaceRoot(repository);
+        if (!workspaceRoot) {
+            vscode.window.showErrorMessage('No Git repository found.');
+            return;
+        }
+        try {
+            const currentBranch = await getCurrentBranch(workspaceRoot).catch(() => '<branch>');
+            const origin = await getOrigin(workspaceRoot, { memento: context.workspaceState, branch: currentBranch });
+            const project = getGitLabProject(origin);
+            outputChannel.appendLine('--- GitLab URL mapping ---');
+            outputChannel.appendLine(`Remote:             ${origin.remoteName}`);
+            outputChannel.appendLine(`Fetch URL:          ${origin.fetchUrl}`);
+            outputChannel.appendLine(`Push URL:           ${origin.pushUrl}`);
+            outputChannel.appendLine(`Git host:           ${project.gitHost}`);
+            outputChannel.appendLine(`Matched instance:   ${project.instancePattern || '(none, using remote host and gitlab-mr-flow.sshHostMapping)'}`);
+            outputChannel.appendLine(`Web base URL:       ${project.webBaseUrl}`);
+            outputChannel.appendLine(`Relative root:      ${project.relativeRoot || '/'}`);
+            outputChannel.appendLine(`Project path:       ${project.projectPath}`);
+            outputChannel.appendLine(`Project URL:        ${project.webUrl}`);
+            outputChannel.appendLine(`MR list URL:        ${getMergeRequestListUrl(project)}`);
+            outputChannel.appendLine(`New MR URL:         ${getNewMergeRequestUrl(project, currentBranch)}`);
+            outputChannel.appendLine(`Created MR URL:     ${getMergeRequestUrl(project, '<iid>')}`);
+            outputChannel.show(true);
+        } catch (error) {
+            outputChannel.appendLine(`Error resolving GitLab URLs: ${error.message || error}`);
+            vscode.window.showErrorMessage(`Could not resolve GitLab URLs: ${error.message || 'Unknown error'}. Check Output channel.`);
+        }
+    }
 
-            } catch (error) {
-                outputChannel.appendLine(`Unhandled error: ${error.message || error}`);
-                vscode.window.showErrorMessage(`GitLab MR Flow failed for branch: ${error.message || 'Unknown error'}. Check Output channel.`);
+    /**
+     * Resolves the GitLab project of a repository's remote, for pre-filling the host of an access token.
+     * @param {{rootUri: vscode.Uri} | undefined} repository - Repository from the SCM title menu; undefined when run from the palette.
+     * @returns {Promise<import('./src/remoteUrl').GitLabProject | undefined>} The project, or undefined if it cannot be resolved.
+     */
+    async function findCurrentGitLabProject(repository) {
+        try {
+            const workspaceRoot = await resolveWorkspaceRoot(repository);
+            if (!workspaceRoot) {
+                return undefined;
             }
-    });
+            const currentBranch = await getCurrentBranch(workspaceRoot).catch(() => undefined);
+            return getGitLabProject(await getOrigin(workspaceRoot, { memento: context.workspaceState, branch: currentBranch }));
+        } catch (error) {
+            outputChannel.appendLine(`Could not resolve the GitLab project: ${error.message || error}`);
+            return undefined;
+        }
+    }
+
+    /**
+     * Stores a personal access token for a GitLab host in the secret storage, after checking it against the API.
+     * With a token, the MR flow uses the GitLab API besides git; see the "GitLab API Mode" section of the README.
+     * @param {{rootUri: vscode.Uri} | undefined} repository - Repository from the SCM title menu; undefined when run from the palette.
+     */
+    async function setAccessToken(repository) {
+        outputChannel.appendLine('Command "gitlab-mr-flow.setAccessToken" triggered.');
+        const project = await findCurrentGitLabProject(repository);
+        const host = await vscode.window.showInputBox({
+            title: 'Set GitLab Access Token',
+            prompt: 'GitLab host the token is for, with the port if it is not the default one',
+            value: project ? project.host : '',
+            ignoreFocusOut: true,
+            validateInput: value => /^[^\s/]+$/.test(value.trim()) ? undefined : 'Enter a host name such as gitlab.example.com'
+        });
+        if (!host) {
+            return;
+        }
+        const token = await vscode.window.showInputBox({
+            title: `Set GitLab Access Token for ${host.trim()}`,
+            prompt: 'Personal access token with the "api" scope',
+            password: true,
+            ignoreFocusOut: true,
+            validateInput: value => value.trim() ? undefined : 'Enter the token'
+        });
+        if (!token) {
+            return;
+        }
+        // The project knows the scheme and relative root of its instance; other hosts are assumed to serve HTTPS at the root
+        const apiUrl = project && project.host === host.trim() ? getApiUrl(project) : `https://${host.trim()}/api/v4`;
+        try {
+            const user = await createGitLabClient({ apiUrl, token: token.trim() }).getCurrentUser();
+            await secretStorage.store(getTokenKey(host.trim()), token.trim());
+            outputChannel.appendLine(`Stored the GitLab access token for ${host.trim()} (user @${user.username}).`);
+            vscode.window.showInformationMessage(`Stored the GitLab access token for ${host.trim()} (@${user.username}). Merge requests on this host now use the GitLab API.`);
+        } catch (error) {
+            outputChannel.appendLine(`Could not verify the GitLab access token: ${error.message}`);
+            vscode.window.showErrorMessage(`The token was not stored: ${error.message}`);
+        }
+    }
+
+    /**
+     * Removes the access token stored for a GitLab host, so merge requests on it only use git again.
+     * @param {{rootUri: vscode.Uri} | undefined} repository - Repository from the SCM title menu; undefined when run from the palette.
+     */
+    async function removeAccessToken(repository) {
+        outputChannel.appendLine('Command "gitlab-mr-flow.removeAccessToken" triggered.');
+        const project = await findCurrentGitLabProject(repository);
+        const host = await vscode.window.showInputBox({
+            title: 'Remove GitLab Access Token',
+            prompt: 'GitLab host to remove the token of',
+            value: project ? project.host : '',
+            ignoreFocusOut: true
+        });
+        if (!host || !host.trim()) {
+            return;
+        }
+        const key = getTokenKey(host.trim());
+        if (!await secretStorage.get(key)) {
+            vscode.window.showInformationMessage(`No GitLab access token is stored for ${host.trim()}.`);
+            return;
+        }
+        await secretStorage.delete(key);
+        outputChannel.appendLine(`Removed the GitLab access token for ${host.trim()}.`);
+        vscode.window.showInformationMessage(`Removed the GitLab access token for ${host.trim()}. Merge requests on this host only use git again.`);
+    }
+
+    /**
+     * Runs a flow that works on one repository, after resolving the repository the command was run for.
+     * @param {string} command - The command ID, for the log.
+     * @param {{rootUri: vscode.Uri} | undefined} repository - Repository from the SCM title menu; undefined when run from the palette.
+     * @param {function(vscode.Memento, string): Promise<void>} flow - The flow, given the workspace state and the repository root.
+     * @returns {Promise<void>}
+     */
+    async function runInRepository(command, repository, flow) {
+        outputChannel.appendLine(`Command "${command}" triggered.`);
+        const workspaceRoot = await resolveWorkspaceRoot(repository);
+        if (!workspaceRoot) {
+            vscode.window.showErrorMessage('No Git repository found.');
+            return;
+        }
+        await flow(context.workspaceState, workspaceRoot);
+    }
+
+    /**
+     * Runs "Create Merge Requests for All Repositories" on the repositories the Git extension knows.
+     * @returns {Promise<void>}
+     */
+    async function createMergeRequestsForAllRepositories() {
+        outputChannel.appendLine('Command "gitlab-mr-flow.createMergeRequestsForAllRepositories" triggered.');
+        const repositories = (await getGitRepositories()).map(repository => ({
+            workspaceRoot: repository.rootUri.fsPath,
+            branch: repository.state.HEAD && repository.state.HEAD.name
+        }));
+        await runMergeRequestsForRepositories(context.workspaceState, repositories);
+    }
+
+    /**
+     * Checks out the source branch of a merge request from the "GitLab MRs" view and runs the MR flow on it again.
+     * @param {MergeRequestTreeNode} node - The merge request node.
+     */
+    async function updateMergeRequest(node) {
+        if (await checkOutMergeRequestBranch(node.repositoryKey, node.entry)) {
+            await createMergeRequest({ rootUri: vscode.Uri.file(node.repositoryKey) });
+        }
+    }
+
+    /**
+     * Saves the structured log of the recent runs as JSON, e.g. to attach to a bug report.
+     */
+    async function exportRunLog() {
+        if (recentRuns.length === 0) {
+            vscode.window.showInformationMessage('Nothing to export yet. The run log starts with the next GitLab MR Flow command.');
+            return;
+        }
+        const folder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+        const target = await vscode.window.showSaveDialog({
+            defaultUri: folder ? vscode.Uri.joinPath(folder.uri, 'gitlab-mr-flow-log.json') : undefined,
+            filters: { JSON: ['json'] },
+            saveLabel: 'Export Run Log'
+        });
+        if (!target) {
+            return;
+        }
+        const environment = {
+            extension: context.extension.packageJSON.version,
+            vscode: vscode.version,
+            platform: process.platform
+        };
+        try {
+            await fs.writeFile(target.fsPath, serializeRunLogs(recentRuns, environment), 'utf-8');
+            vscode.window.showInformationMessage(`Exported ${recentRuns.length} runs to ${target.fsPath}. Check it for anything private before sharing.`);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Could not export the run log: ${error.message}`);
+        }
+    }
+
+    /**
+     * Lets the user choose the remote to push to and remembers it for the repository.
+     * @param {{rootUri: vscode.Uri} | undefined} repository - Repository from the SCM title menu; undefined when run from the palette.
+     */
+    async function selectRemote(repository) {
+        const workspaceRoot = await resolveWorkspaceRoot(repository);
+        if (!workspaceRoot) {
+            vscode.window.showErrorMessage('No Git repository found.');
+            return;
+        }
+        try {
+            const remotes = resolveRemotes(await readRemoteConfig(workspaceRoot));
+            if (remotes.length === 0) {
+                vscode.window.showErrorMessage('No remotes found in this repository.');
+                return;
+            }
+            const selected = await promptForRemote(remotes);
+            if (!selected) {
+                return;
+            }
+            await rememberRemote(context.workspaceState, workspaceRoot, selected.remoteName);
+            outputChannel.appendLine(`Remembered remote ${selected.remoteName} for ${workspaceRoot}.`);
+            vscode.window.showInformationMessage(`GitLab MR Flow will use remote "${selected.remoteName}" for this repository.`);
+        } catch (error) {
+            outputChannel.appendLine(`Error selecting remote: ${error.message || error}`);
+            vscode.window.showErrorMessage(`Could not list remotes: ${error.message || 'Unknown error'}. Check Output channel.`);
+        }
+    }
+
+    // The commands have been defined in the package.json file
+    // The commandId parameter must match the command field in package.json
+    let disposable = vscode.commands.registerCommand('gitlab-mr-flow.createMergeRequest', repository => createMergeRequest(repository));
+    let withDefaultsDisposable = vscode.commands.registerCommand('gitlab-mr-flow.createMergeRequestWithDefaults', repository => createMergeRequest(repository, { skipWizard: true }));
 
     context.subscriptions.push(disposable); // Push the original command
+    context.subscriptions.push(withDefaultsDisposable);
+    context.subscriptions.push(vscode.commands.registerCommand('gitlab-mr-flow.previewMergeRequest', repository => previewMergeRequest(repository)));
+    context.subscriptions.push(vscode.commands.registerCommand('gitlab-mr-flow.checkUrlMapping', repository => checkUrlMapping(repository)));
+    context.subscriptions.push(vscode.commands.registerCommand('gitlab-mr-flow.createMergeRequestStack', repository => runWithProgress('gitlab-mr-flow.createMergeRequestStack', 'GitLab MR Flow: MR Stack', () => runInRepository('gitlab-mr-flow.createMergeRequestStack', repository, runMergeRequestStack))));
+    context.subscriptions.push(vscode.commands.registerCommand('gitlab-mr-flow.selectRemote', repository => selectRemote(repository)));
+    context.subscriptions.push(vscode.commands.registerCommand('gitlab-mr-flow.createMergeRequestsForAllRepositories', () => runWithProgress('gitlab-mr-flow.createMergeRequestsForAllRepositories', 'GitLab MR Flow: All Repositories', () => createMergeRequestsForAllRepositories())));
+    context.subscriptions.push(vscode.commands.registerCommand('gitlab-mr-flow.startBranch', repository => runWithProgress('gitlab-mr-flow.startBranch', 'GitLab MR Flow: Start Branch', () => runInRepository('gitlab-mr-flow.startBranch', repository, startBranch))));
+    context.subscriptions.push(vscode.commands.registerCommand('gitlab-mr-flow.cleanUpMergedBranches', repository => runWithProgress('gitlab-mr-flow.cleanUpMergedBranches', 'GitLab MR Flow: Clean Up', () => runInRepository('gitlab-mr-flow.cleanUpMergedBranches', repository, cleanUpMergedBranches))));
+    context.subscriptions.push(vscode.window.registerTreeDataProvider('gitlab-mr-flow.mergeRequests', createMergeRequestTreeProvider(context.workspaceState)));
+    context.subscriptions.push(vscode.commands.registerCommand('gitlab-mr-flow.refreshMergeRequests', () => mergeRequestHistoryChanged.fire()));
+    context.subscriptions.push(vscode.commands.registerCommand('gitlab-mr-flow.openMergeRequest', node => vscode.env.openExternal(vscode.Uri.parse(node.entry.url))));
+    context.subscriptions.push(vscode.commands.registerCommand('gitlab-mr-flow.copyMergeRequestLink', async node => {
+        await vscode.env.clipboard.writeText(node.entry.url);
+        vscode.window.setStatusBarMessage(`Copied ${node.entry.url}`, 3000);
+    }));
+    context.subscriptions.push(vscode.commands.registerCommand('gitlab-mr-flow.checkOutMergeRequestBranch', node => checkOutMergeRequestBranch(node.repositoryKey, node.entry)));
+    context.subscriptions.push(vscode.commands.registerCommand('gitlab-mr-flow.updateMergeRequest', node => runWithProgress('gitlab-mr-flow.updateMergeRequest', 'GitLab MR Flow', () => updateMergeRequest(node))));
+    context.subscriptions.push(vscode.commands.registerCommand('gitlab-mr-flow.deleteMergeRequestBranches', node => runWithProgress('gitlab-mr-flow.deleteMergeRequestBranches', 'GitLab MR Flow: Delete Branches', () => deleteMergeRequestBranches(context.workspaceState, node.repositoryKey, node.entry))));
+    context.subscriptions.push(vscode.commands.registerCommand('gitlab-mr-flow.exportRunLog', () => exportRunLog()));
+    context.subscriptions.push(vscode.commands.registerCommand('gitlab-mr-flow.setAccessToken', repository => setAccessToken(repository)));
+    context.subscriptions.push(vscode.commands.registerCommand('gitlab-mr-flow.removeAccessToken', repository => removeAccessToken(repository)));
     context.subscriptions.push(outputChannel); // Add channel to subscriptions for disposal
     outputChannel.appendLine('GitLab MR Flow extension activated successfully.'); // Restored original message
 }
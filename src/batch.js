@@ -0,0 +1,53 @@
+// Helpers for creating merge requests in several repositories at once.
+
+/**
+ * @typedef {Object} RelatedMergeRequest
+ * @property {string} projectPath - Full path of the GitLab project, e.g. `group/proj`.
+ * @property {string} url - Link to the project's merge requests for the shared source branch.
+ */
+
+/**
+ * Runs an async function over items with at most `limit` calls in flight.
+ * Results keep the order of the items; a rejected call does not stop the others.
+ * @template T, R
+ * @param {T[]} items - The items.
+ * @param {number} limit - Maximum number of concurrent calls; values below 1 count as 1.
+ * @param {function(T, number): Promise<R>} fn - Called with each item and its index.
+ * @returns {Promise<PromiseSettledResult<R>[]>} The settled results, in item order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+            } catch (error) {
+                results[index] = { status: 'rejected', reason: error };
+            }
+        }
+    };
+    const workerCount = Math.min(items.length, Math.max(1, Math.floor(limit) || 1));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return results;
+}
+
+/**
+ * Builds the description section linking a merge request to those created for the same branch in other repositories.
+ * The links point at each project's merge requests filtered by source branch, since the IIDs are not known
+ * before the pushes and push options cannot change a description afterwards without another push.
+ * @param {RelatedMergeRequest[]} related - The other repositories.
+ * @returns {string} The Markdown section, or an empty string if there are none.
+ */
+function buildRelatedMergeRequestsSection(related) {
+    if (related.length === 0) {
+        return '';
+    }
+    return ['**Related merge requests**', ...related.map(entry => `- [${entry.projectPath}](${entry.url})`)].join('\n');
+}
+
+module.exports = {
+    mapWithConcurrency,
+    buildRelatedMergeRequestsSection
+};
@@ -0,0 +1,242 @@
+// Creates or updates the merge requests of the same branch in several repositories of the workspace at once.
+const path = require('path');
+const { getSourceBranchMergeRequestsUrl } = require('./remoteUrl');
+const { matchBranchRule } = require('./branchRules');
+const { buildPushOptions, buildUpdatePushOptions } = require('./pushOptions');
+const { buildIntegrationArgs, isConflictOutput } = require('./integration');
+const { isDirty } = require('./gitStatus');
+const { parsePushResponse } = require('./pushResponse');
+const { mapWithConcurrency, buildRelatedMergeRequestsSection } = require('./batch');
+
+/** @typedef {import('./flowCore').Memento} Memento */
+
+/**
+ * A repository pushed by "Create Merge Requests for All Repositories".
+ * @typedef {Object} BatchJob
+ * @property {string} workspaceRoot - The root path of the repository.
+ * @property {string} branch - The source branch.
+ * @property {{remoteName: string, remoteUrl: string}} origin - The remote to push to.
+ * @property {import('./remoteUrl').GitLabProject} project - The GitLab project of the remote.
+ * @property {string} targetBranch - The target branch.
+ * @property {import('./branchRules').BranchRule} branchRule - The rule matching the source branch.
+ */
+
+/**
+ * Creates the flow for several repositories at once on top of the shared flow core.
+ * @param {import('./flowCore').FlowCore} core - The host and the helpers the flows share.
+ * @returns {{runBatchMergeRequest: function, runMergeRequestsForRepositories: function}} The flow and the run for one repository.
+ */
+function createBatchFlow(core) {
+    const {
+        runGitCommand, ui, openUrl, log, getConfiguration, run, getOrigin, getGitLabProject, getRemoteBranchSha,
+        findExistingMergeRequest, rememberPushedMergeRequest, followUpMergeRequest, getIntegrationStrategy,
+        runPreMergeRequestChecks, resolveTargetBranch, getWorkingTreeStatus, getInProgressOperation, undoIntegration,
+        composeMergeRequestDetails, getInitialPushOptionValues, buildPushArgs, getPushOutcome
+    } = core;
+
+    /**
+     * Runs the fetch/integrate/push flow for one repository of a batch, without asking anything.
+     * Repositories with uncommitted changes, an operation in progress, conflicts, failed checks or a failed push
+     * are left as they were and reported.
+     * @param {Memento} memento - Workspace state holding remembered push options and merge requests.
+     * @param {BatchJob} job - The repository to push.
+     * @param {string} relatedSection - Description section linking the merge requests of the other repositories.
+     * @returns {Promise<{status: string, url: string | undefined}>} How the merge request was pushed, and its URL.
+     * @throws {Error} With a user-facing reason if the repository could not be pushed.
+     */
+    async function runBatchMergeRequest(memento, job, relatedSection) {
+        const { workspaceRoot, branch, origin, targetBranch, branchRule } = job;
+        const status = await getWorkingTreeStatus(workspaceRoot);
+        if (status.branch !== branch) {
+            throw new Error(`${branch} is no longer checked out.`);
+        }
+        if (isDirty(status) || await getInProgressOperation(workspaceRoot)) {
+            throw new Error('Uncommitted changes or a merge/rebase in progress. Commit or stash them first.');
+        }
+        const fetchResult = await runGitCommand(['fetch', origin.remoteName], workspaceRoot, `fetch ${origin.remoteName}`);
+        if (fetchResult.exitCode !== 0) {
+            throw new Error(`Fetching ${origin.remoteName} failed.`);
+        }
+        const upstream = `${origin.remoteName}/${targetBranch}`;
+        const aheadResult = await runGitCommand(['rev-list', '--count', `${upstream}..HEAD`], workspaceRoot, `count commits ahead of ${upstream}`);
+        if (aheadResult.exitCode === 0 && parseInt(aheadResult.stdout.trim(), 10) === 0) {
+            throw new Error(`No commits that are not already in ${upstream}.`);
+        }
+
+        const integrationStrategy = getIntegrationStrategy();
+        const leaseSha = integrationStrategy === 'rebase' ? await getRemoteBranchSha(workspaceRoot, origin.remoteName, branch) : undefined;
+        const headResult = await runGitCommand(['rev-parse', 'HEAD'], workspaceRoot, `resolve ${branch}`);
+        const integrated = headResult.exitCode === 0 ? { branch, sha: headResult.stdout.trim() } : undefined;
+        if (integrationStrategy !== 'none') {
+            let integrationResult;
+            try {
+                integrationResult = await runGitCommand(buildIntegrationArgs(integrationStrategy, origin.remoteName, targetBranch), workspaceRoot, `${integrationStrategy} ${upstream}`);
+            } catch (error) {
+                // A killed merge or rebase leaves its state behind
+                await run.uncancellable(() => runGitCommand([integrationStrategy, '--abort'], workspaceRoot, `abort ${integrationStrategy}`));
+                throw error;
+            }
+            if (integrationResult.exitCode !== 0) {
+                const conflicted = isConflictOutput(`${integrationResult.stdout}\n${integrationResult.stderr}`);
+                // Nobody is there to resolve conflicts in a batch, so put the repository back as it was
+                await runGitCommand([integrationStrategy, '--abort'], workspaceRoot, `abort ${integrationStrategy}`);
+                throw new Error(conflicted
+                    ? `Conflicts with ${upstream}. Run "Create Merge Request" in this repository to resolve them.`
+                    : `Git ${integrationStrategy} of ${upstream} failed.`);
+            }
+        }
+
+        let existingMergeRequest;
+        let description;
+        let pushResponse;
+        try {
+            // Nobody is there to decide about failed checks in a batch, so they fail the repository
+            const checkFailures = await runPreMergeRequestChecks(workspaceRoot, origin.remoteName, targetBranch);
+            if (checkFailures.length > 0) {
+                throw new Error(`Pre-MR checks failed: ${checkFailures.join('; ')}. Run "Create Merge Request" in this repository to push anyway or as draft.`);
+            }
+
+            existingMergeRequest = await findExistingMergeRequest(memento, workspaceRoot, origin, branch, targetBranch, true);
+            let pushOptions;
+            if (existingMergeRequest) {
+                pushOptions = buildUpdatePushOptions({ target: targetBranch });
+            } else {
+                const details = await composeMergeRequestDetails(memento, workspaceRoot, origin.remoteName, branch, targetBranch, branchRule);
+                description = [details.description, relatedSection].filter(Boolean).join('\n\n');
+                pushOptions = buildPushOptions({
+                    ...getInitialPushOptionValues(memento, workspaceRoot, branchRule),
+                    target: targetBranch,
+                    title: details.title,
+                    description
+                });
+            }
+            const pushResult = await runGitCommand(buildPushArgs(origin.remoteName, branch, pushOptions, integrationStrategy, leaseSha), workspaceRoot, 'push and create merge request');
+            pushResponse = parsePushResponse(`${pushResult.stdout}\n${pushResult.stderr}`, branch);
+            if (pushResult.exitCode !== 0) {
+                const [rejection] = pushResponse.rejections;
+                throw new Error(rejection ? `${rejection.message} ${rejection.action}` : `Push failed with exit code ${pushResult.exitCode}.`);
+            }
+        } catch (error) {
+            // Leave the branch as it was before the target branch was brought in, as the single-repository flow does
+            await run.uncancellable(() => undoIntegration(workspaceRoot, integrated));
+            throw error;
+        }
+
+        const url = pushResponse.url || (existingMergeRequest && existingMergeRequest.url);
+        const iid = pushResponse.url ? pushResponse.iid : existingMergeRequest && existingMergeRequest.iid;
+        if (url && iid) {
+            await rememberPushedMergeRequest(memento, workspaceRoot, origin.remoteName, branch, { iid, url, targetBranch });
+            await followUpMergeRequest(origin, iid, getPushOutcome(existingMergeRequest, pushResponse) === 'created', description);
+        }
+        return {
+            status: getPushOutcome(existingMergeRequest, pushResponse),
+            url: url || pushResponse.newMergeRequestUrl
+        };
+    }
+
+    /**
+     * Pushes every workspace repository that is on a branch matching a branch rule and creates or updates its MR.
+     * Repositories are pushed in parallel up to `gitlab-mr-flow.batchConcurrency`; the descriptions of new MRs
+     * link the MRs of the other repositories. Each repository stays on its branch afterwards.
+     * @param {Memento} memento - Workspace state.
+     * @param {{workspaceRoot: string, branch: string | undefined}[]} repositories - The workspace repositories and their
+     *   checked-out branches; undefined while HEAD is detached.
+     * @returns {Promise<void>}
+     */
+    async function runMergeRequestsForRepositories(memento, repositories) {
+        try {
+            const config = getConfiguration();
+            const candidates = [];
+            for (const { workspaceRoot, branch } of repositories) {
+                const rule = branch ? matchBranchRule(branch, config.get('branchRules', [])) : undefined;
+                if (rule && rule.createMergeRequest) {
+                    candidates.push({ workspaceRoot, branch, branchRule: rule });
+                } else {
+                    log(`Skipping ${workspaceRoot}: ${branch ? `branch "${branch}" matches no rule that creates merge requests` : 'HEAD is detached'}.`);
+                }
+            }
+            if (candidates.length === 0) {
+                ui.showInformationMessage('No repository in the workspace is on a branch that matches a branch rule creating merge requests.');
+                return;
+            }
+
+            const picked = await ui.showQuickPick(
+                candidates.map(candidate => ({ label: path.basename(candidate.workspaceRoot), description: candidate.branch, detail: candidate.workspaceRoot, picked: true, candidate })),
+                { canPickMany: true, placeHolder: 'Select the repositories to push and create Merge Requests for', ignoreFocusOut: true }
+            );
+            if (!picked || picked.length === 0) {
+                log('Batch cancelled: no repository selected.');
+                return;
+            }
+
+            // Resolve remotes and targets one repository at a time, since each may ask a question
+            /** @type {BatchJob[]} */
+            const jobs = [];
+            const setupFailures = [];
+            for (const { candidate } of picked) {
+                try {
+                    const origin = await getOrigin(candidate.workspaceRoot, { memento: memento, branch: candidate.branch });
+                    const targetBranch = await resolveTargetBranch(memento, candidate.workspaceRoot, origin.remoteName, candidate.branch, candidate.branchRule);
+                    jobs.push({ ...candidate, origin, targetBranch, project: getGitLabProject(origin) });
+                } catch (error) {
+                    setupFailures.push({ label: `${path.basename(candidate.workspaceRoot)} (${candidate.branch})`, message: error.message || String(error) });
+                }
+            }
+
+            const concurrency = config.get('batchConcurrency', 3);
+            log(`Pushing ${jobs.length} repositories, at most ${concurrency} at a time.`);
+            let finished = 0;
+            run.reportStep(`Pushing ${jobs.length} repositories`);
+            const results = await mapWithConcurrency(jobs, concurrency, async job => {
+                const related = jobs
+                    .filter(other => other !== job)
+                    .map(other => ({ projectPath: other.project.projectPath, url: getSourceBranchMergeRequestsUrl(other.project, other.branch) }));
+                try {
+                    return await runBatchMergeRequest(memento, job, buildRelatedMergeRequestsSection(related));
+                } finally {
+                    run.reportStep(`Pushed ${++finished} of ${jobs.length} repositories`);
+                }
+            });
+            if (run.isCancelled()) {
+                return;
+            }
+
+            log('--- Merge Requests for all repositories ---');
+            const items = results.map((result, index) => {
+                const job = jobs[index];
+                const label = `${job.project.projectPath} (${job.branch} → ${job.targetBranch})`;
+                if (result.status === 'fulfilled') {
+                    log(`${label}: ${result.value.status}${result.value.url ? ` ${result.value.url}` : ''}`);
+                    return { label: `$(check) ${label}`, description: result.value.status, detail: result.value.url, url: result.value.url };
+                }
+                const message = result.reason && result.reason.message || String(result.reason);
+                log(`${label}: failed. ${message}`);
+                return { label: `$(error) ${label}`, description: 'failed', detail: message, url: undefined };
+            });
+            for (const failure of setupFailures) {
+                log(`${failure.label}: failed. ${failure.message}`);
+                items.push({ label: `$(error) ${failure.label}`, description: 'failed', detail: failure.message, url: undefined });
+            }
+            const pushed = results.filter(result => result.status === 'fulfilled').length;
+            const choice = await ui.showQuickPick(items, {
+                placeHolder: `${pushed} of ${picked.length} repositories pushed. Select one to open its Merge Request.`,
+                ignoreFocusOut: true
+            });
+            if (choice && choice.url) {
+                await openUrl(choice.url);
+            }
+        } catch (error) {
+            log(`Unhandled error: ${error.message || error}`);
+            ui.showErrorMessage(`GitLab MR Flow failed to create Merge Requests for all repositories: ${error.message || 'Unknown error'}. Check Output channel.`);
+        }
+    }
+
+    return {
+        runBatchMergeRequest,
+        runMergeRequestsForRepositories
+    };
+}
+
+module.exports = {
+    createBatchFlow
+};
@@ -0,0 +1,103 @@
+// Matches branch names against the configured `gitlab-mr-flow.branchRules`.
+
+/**
+ * @typedef {Object} BranchRule
+ * @property {string} pattern - Glob (`feat*`, `JIRA-*`) or regex wrapped in slashes (`/^hotfix\//i`).
+ * @property {boolean} [createMergeRequest] - Whether a merge request is created for matching branches. Defaults to true.
+ * @property {string} [targetBranch] - Target branch; detected from the remote when omitted.
+ * @property {string} [titleTemplate] - Template for the merge request title.
+ * @property {string[]} [labels] - Labels added to the merge request.
+ * @property {boolean} [removeSourceBranch] - Whether GitLab removes the source branch after merge. Defaults to false.
+ */
+
+/** Rules used when `gitlab-mr-flow.branchRules` is not configured, matching the original `feat`/`fix` behavior. */
+const DEFAULT_BRANCH_RULES = [
+    { pattern: 'feat*', createMergeRequest: true },
+    { pattern: 'fix*', createMergeRequest: true }
+];
+
+/** Valid values of the `gitlab-mr-flow.unmatchedBranchAction` setting. */
+const UNMATCHED_BRANCH_ACTIONS = ['openList', 'ask', 'create'];
+
+/**
+ * Converts a glob into an anchored regular expression.
+ * `*` matches any sequence of characters (including `/`), `?` matches a single character.
+ * @param {string} glob - The glob pattern.
+ * @returns {RegExp} The equivalent regular expression.
+ */
+function globToRegExp(glob) {
+    const source = glob
+        .split('')
+        .map(ch => {
+            if (ch === '*') return '.*';
+            if (ch === '?') return '.';
+            return ch.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Compiles a rule pattern. Patterns of the form `/source/flags` are treated as regular expressions,
+ * everything else as a glob.
+ * @param {string} pattern - The rule pattern.
+ * @returns {RegExp} The compiled pattern.
+ * @throws {Error} If the pattern is empty or not a valid regular expression.
+ */
+function compilePattern(pattern) {
+    if (typeof pattern !== 'string' || !pattern.trim()) {
+        throw new Error('Branch rule pattern must be a non-empty string.');
+    }
+    const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+        try {
+            return new RegExp(regexMatch[1], regexMatch[2]);
+        } catch (error) {
+            throw new Error(`Invalid branch rule regex ${pattern}: ${error.message}`);
+        }
+    }
+    return globToRegExp(pattern.trim());
+}
+
+/**
+ * Finds the first rule whose pattern matches the branch name.
+ * Missing rule fields are filled with their defaults.
+ * @param {string} branchName - The branch to match.
+ * @param {BranchRule[]} [rules] - Configured rules; falls back to {@link DEFAULT_BRANCH_RULES} when empty.
+ * @returns {BranchRule | undefined} The normalized matching rule, or undefined if none matches.
+ * @throws {Error} If a rule has an invalid pattern.
+ */
+function matchBranchRule(branchName, rules) {
+    const effectiveRules = Array.isArray(rules) && rules.length > 0 ? rules : DEFAULT_BRANCH_RULES;
+    for (const rule of effectiveRules) {
+        if (!rule) continue;
+        if (compilePattern(rule.pattern).test(branchName)) {
+            return normalizeRule(rule);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Fills in defaults for optional rule fields.
+ * @param {BranchRule} rule - The rule as configured.
+ * @returns {BranchRule} The normalized rule.
+ */
+function normalizeRule(rule) {
+    return {
+        pattern: rule.pattern,
+        createMergeRequest: rule.createMergeRequest !== false,
+        targetBranch: rule.targetBranch || undefined,
+        titleTemplate: rule.titleTemplate || undefined,
+        labels: Array.isArray(rule.labels) ? rule.labels.filter(label => typeof label === 'string' && label.trim()) : [],
+        removeSourceBranch: rule.removeSourceBranch === true
+    };
+}
+
+module.exports = {
+    DEFAULT_BRANCH_RULES,
+    UNMATCHED_BRANCH_ACTIONS,
+    compilePattern,
+    matchBranchRule,
+    normalizeRule
+};
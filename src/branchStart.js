@@ -0,0 +1,99 @@
+// Names new feature/fix branches and remembers what was said about them until their merge request is created.
+
+/** Prefix of the workspace state keys holding what was given when starting each branch, per repository. */
+const START_STATE_KEY_PREFIX = 'gitlab-mr-flow.branchStarts:';
+
+/** Longest slug generated from a description, in characters. */
+const MAX_SLUG_LENGTH = 50;
+
+/**
+ * @typedef {Object} BranchStart
+ * @property {string} description - Short description the branch was started with, e.g. `Login page`.
+ * @property {string} issue - Issue number, or an empty string.
+ * @property {string} [targetBranch] - Intended target branch, if it is not the default branch.
+ */
+
+/**
+ * Turns a description into a branch name segment: lower case ASCII letters and digits separated by dashes,
+ * cut at a word boundary after {@link MAX_SLUG_LENGTH} characters.
+ * @param {string} text - The description, e.g. `Add SSO for Zoë's team`.
+ * @returns {string} The slug, e.g. `add-sso-for-zoe-s-team`; empty if nothing usable is left.
+ */
+function slugify(text) {
+    const slug = (text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    if (slug.length <= MAX_SLUG_LENGTH) {
+        return slug;
+    }
+    const cut = slug.slice(0, MAX_SLUG_LENGTH + 1);
+    const lastDash = cut.lastIndexOf('-');
+    return (lastDash > 0 ? cut.slice(0, lastDash) : cut.slice(0, MAX_SLUG_LENGTH)).replace(/-+$/, '');
+}
+
+/**
+ * Cleans up an issue reference typed by the user.
+ * @param {string} input - The input, e.g. `#123`, ` 123 ` or empty.
+ * @returns {string | undefined} The issue number, an empty string if none was given, or undefined if the input is not a number.
+ */
+function normalizeIssue(input) {
+    const trimmed = (input || '').trim().replace(/^#/, '');
+    if (!trimmed) {
+        return '';
+    }
+    return /^\d+$/.test(trimmed) ? trimmed : undefined;
+}
+
+/**
+ * Builds the name of a new branch, with the issue number where the templates' `${issue}` variable finds it.
+ * @param {{type: string, description: string, issue?: string}} info - Branch type (e.g. `feat`), description and issue number.
+ * @returns {string} The branch name, e.g. `feat/123-login-page`; empty if the description has no usable characters.
+ */
+function buildBranchName({ type, description, issue }) {
+    const slug = slugify(description);
+    if (!slug) {
+        return '';
+    }
+    return `${type}/${issue ? `${issue}-` : ''}${slug}`;
+}
+
+/**
+ * Reads what was given when a branch was started.
+ * @param {{get: function(string, any): any}} memento - Workspace state.
+ * @param {string} repositoryKey - Key identifying the repository, e.g. its root path.
+ * @param {string} branch - The branch.
+ * @returns {BranchStart | undefined} The start information, if the branch was started through the extension.
+ */
+function getBranchStart(memento, repositoryKey, branch) {
+    const starts = memento.get(START_STATE_KEY_PREFIX + repositoryKey, {});
+    return starts[branch] && typeof starts[branch].description === 'string' ? starts[branch] : undefined;
+}
+
+/**
+ * Remembers what was given when a branch was started.
+ * @param {{get: function(string, any): any, update: function(string, any): Thenable<void>}} memento - Workspace state.
+ * @param {string} repositoryKey - Key identifying the repository, e.g. its root path.
+ * @param {string} branch - The branch.
+ * @param {BranchStart | undefined} start - The start information, or undefined to forget it.
+ * @returns {Thenable<void>}
+ */
+function rememberBranchStart(memento, repositoryKey, branch, start) {
+    const starts = { ...memento.get(START_STATE_KEY_PREFIX + repositoryKey, {}) };
+    if (start === undefined) {
+        delete starts[branch];
+    } else {
+        starts[branch] = { description: start.description, issue: start.issue, targetBranch: start.targetBranch || undefined };
+    }
+    return memento.update(START_STATE_KEY_PREFIX + repositoryKey, starts);
+}
+
+module.exports = {
+    slugify,
+    normalizeIssue,
+    buildBranchName,
+    getBranchStart,
+    rememberBranchStart
+};
@@ -0,0 +1,174 @@
+// Starts a feature or fix branch from the up-to-date target branch.
+const { matchBranchRule } = require('./branchRules');
+const { isDirty } = require('./gitStatus');
+const { parseBranchList } = require('./stack');
+const { normalizeIssue, buildBranchName, rememberBranchStart } = require('./branchStart');
+
+/** @typedef {import('./flowCore').Memento} Memento */
+
+/** Message of the stash entry holding the changes left behind when starting a branch. */
+const START_STASH_MESSAGE = 'gitlab-mr-flow: changes left behind when starting a branch';
+
+/** Value of `vscode.InputBoxValidationSeverity.Warning`, for input validation that warns without blocking. */
+const INPUT_BOX_WARNING_SEVERITY = 2;
+
+/**
+ * Creates the flow starting a branch on top of the shared flow core.
+ * @param {import('./flowCore').FlowCore} core - The host and the helpers the flows share.
+ * @returns {{startBranch: function}} The flow.
+ */
+function createBranchStartFlow(core) {
+    const {
+        runGitCommand, ui, log, getConfiguration, run, getOrigin, getTargetBranch, getWorkingTreeStatus
+    } = core;
+
+    /**
+     * Creates a feature/fix branch from the up-to-date remote target branch, named after a type, a description
+     * and an optional issue number. The description, issue and intended target are remembered for the MR.
+     * @param {Memento} memento - Workspace state.
+     * @param {string} workspaceRoot - The root path of the repository.
+     * @returns {Promise<void>}
+     */
+    async function startBranch(memento, workspaceRoot) {
+        try {
+            const config = getConfiguration();
+            const branchTypes = config.get('branchTypes', ['feat', 'fix']).filter(type => typeof type === 'string' && type.trim());
+            const type = branchTypes.length === 1 ? branchTypes[0] : await ui.showQuickPick(branchTypes, {
+                placeHolder: 'Type of the new branch',
+                ignoreFocusOut: true
+            });
+            if (!type) {
+                return;
+            }
+            const description = await ui.showInputBox({
+                prompt: `Short description of the ${type} branch, also used as the Merge Request title`,
+                placeHolder: 'e.g. Login page',
+                ignoreFocusOut: true,
+                validateInput: value => buildBranchName({ type, description: value }) ? null : 'The description needs at least one letter or digit.'
+            });
+            if (!description) {
+                return;
+            }
+            const issueInput = await ui.showInputBox({
+                prompt: 'Issue number (optional)',
+                placeHolder: 'e.g. 123',
+                ignoreFocusOut: true,
+                validateInput: value => normalizeIssue(value) === undefined ? 'Enter an issue number such as 123, or leave it empty.' : null
+            });
+            if (issueInput === undefined) {
+                return;
+            }
+            const issue = normalizeIssue(issueInput);
+            const branchName = await ui.showInputBox({
+                prompt: 'Name of the new branch',
+                value: buildBranchName({ type, description, issue }),
+                ignoreFocusOut: true,
+                validateInput: value => {
+                    if (!value.trim()) {
+                        return 'The branch name must not be empty.';
+                    }
+                    const rule = matchBranchRule(value.trim(), config.get('branchRules', []));
+                    return rule && rule.createMergeRequest ? null : {
+                        message: 'No branch rule creates Merge Requests for this name (see gitlab-mr-flow.branchRules).',
+                        severity: INPUT_BOX_WARNING_SEVERITY
+                    };
+                }
+            });
+            if (!branchName) {
+                return;
+            }
+            const branch = branchName.trim();
+            const formatResult = await runGitCommand(['check-ref-format', '--branch', branch], workspaceRoot, `validate branch name ${branch}`);
+            if (formatResult.exitCode !== 0) {
+                ui.showErrorMessage(`"${branch}" is not a valid branch name.`);
+                return;
+            }
+            const existingResult = await runGitCommand(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`], workspaceRoot, `check for ${branch}`);
+            if (existingResult.exitCode === 0) {
+                ui.showErrorMessage(`Branch ${branch} already exists.`);
+                return;
+            }
+
+            const origin = await getOrigin(workspaceRoot, { memento: memento });
+            run.reportStep(`Fetching ${origin.remoteName}`);
+            const fetchResult = await runGitCommand(['fetch', origin.remoteName], workspaceRoot, `fetch ${origin.remoteName}`);
+            if (fetchResult.exitCode !== 0) {
+                ui.showErrorMessage(`Git fetch from ${origin.remoteName} failed. Check Output channel for details.`);
+                return;
+            }
+            const defaultBranch = await getTargetBranch(workspaceRoot, origin.remoteName);
+            const rule = matchBranchRule(branch, config.get('branchRules', []));
+            const suggestedTarget = (rule && rule.targetBranch) || defaultBranch;
+            const remoteBranchesResult = await runGitCommand(['for-each-ref', '--format=%(refname:lstrip=3)', `refs/remotes/${origin.remoteName}/`], workspaceRoot, `list ${origin.remoteName} branches`);
+            const otherTargets = parseBranchList(remoteBranchesResult.stdout).filter(name => name !== 'HEAD' && name !== suggestedTarget);
+            const targetPick = await ui.showQuickPick(
+                [{ label: suggestedTarget, description: suggestedTarget === defaultBranch ? 'Default branch' : 'Target of the branch rule' }, ...otherTargets.map(label => ({ label }))],
+                { placeHolder: `Intended target of ${branch}; the branch starts from ${origin.remoteName}/<target>`, ignoreFocusOut: true }
+            );
+            if (!targetPick) {
+                return;
+            }
+            const targetBranch = targetPick.label;
+
+            const status = await getWorkingTreeStatus(workspaceRoot);
+            let carryChanges = false;
+            if (isDirty(status)) {
+                const carryItem = 'Bring Changes Along';
+                const leaveItem = 'Leave Them in a Stash';
+                const choice = await ui.showWarningMessage(
+                    `You have ${status.changed} uncommitted and ${status.untracked} untracked file(s). Bring them to ${branch}?`,
+                    { modal: true },
+                    carryItem,
+                    leaveItem
+                );
+                if (!choice) {
+                    return;
+                }
+                carryChanges = choice === carryItem;
+                const stashResult = await runGitCommand(['stash', 'push', '--include-untracked', '-m', START_STASH_MESSAGE], workspaceRoot, 'stash changes');
+                if (stashResult.exitCode !== 0) {
+                    ui.showErrorMessage('Failed to stash changes. Check Output channel for details.');
+                    return;
+                }
+            }
+
+            run.reportStep(`Creating ${branch}`);
+            // Without tracking, a plain "git push" does not send the new branch to the target branch
+            const switchResult = await runGitCommand(['switch', '-c', branch, '--no-track', `${origin.remoteName}/${targetBranch}`], workspaceRoot, `create branch ${branch}`);
+            if (switchResult.exitCode !== 0) {
+                if (isDirty(status)) {
+                    await runGitCommand(['stash', 'pop'], workspaceRoot, 'restore stashed changes');
+                }
+                ui.showErrorMessage(`Could not create branch ${branch}. Check Output channel for details.`);
+                return;
+            }
+            await rememberBranchStart(memento, workspaceRoot, branch, {
+                description: description.trim(),
+                issue,
+                targetBranch: targetBranch === defaultBranch ? undefined : targetBranch
+            });
+            if (carryChanges) {
+                const popResult = await runGitCommand(['stash', 'pop'], workspaceRoot, 'restore stashed changes');
+                if (popResult.exitCode !== 0) {
+                    ui.showWarningMessage(`Created ${branch}, but your changes conflict with ${origin.remoteName}/${targetBranch}. Resolve the conflicts and run "git stash drop" afterwards. Check Output channel.`);
+                    return;
+                }
+            }
+            ui.showInformationMessage(isDirty(status) && !carryChanges
+                ? `Created ${branch} from ${origin.remoteName}/${targetBranch}. Your changes are stashed as "${START_STASH_MESSAGE}".`
+                : `Created ${branch} from ${origin.remoteName}/${targetBranch}.`);
+        } catch (error) {
+            log(`Error starting branch: ${error.message || error}`);
+            ui.showErrorMessage(`GitLab MR Flow failed to start the branch: ${error.message || 'Unknown error'}. Check Output channel.`);
+        }
+    }
+
+    return {
+        startBranch
+    };
+}
+
+module.exports = {
+    START_STASH_MESSAGE,
+    createBranchStartFlow
+};
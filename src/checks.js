@@ -0,0 +1,114 @@
+// Pre-MR quality gates: the configured checks, conflict markers and forbidden paths.
+
+/**
+ * @typedef {Object} PreMergeRequestCheck
+ * @property {string} name - Name shown in messages, e.g. `npm test`.
+ * @property {string} [command] - Shell command run in the repository root.
+ * @property {string} [task] - Label of a task from `tasks.json`.
+ */
+
+/**
+ * @typedef {Object} ConflictMarker
+ * @property {string} file - Path of the file, relative to the repository root.
+ * @property {number} line - Line number of the marker in the new version of the file.
+ */
+
+/** Lines starting with one of git's conflict markers: `<<<<<<< ours`, `||||||| base` or `>>>>>>> theirs`. */
+const CONFLICT_MARKER_PATTERN = /^(?:<{7}|\|{7}|>{7})(?: |$)/;
+
+/**
+ * Validates the `gitlab-mr-flow.preMergeRequestChecks` setting.
+ * Entries are shell commands, or objects with a `command` or a `task` and an optional `name`.
+ * @param {Array<string | {name?: string, command?: string, task?: string}>} setting - The setting value.
+ * @returns {PreMergeRequestCheck[]} The checks, in order.
+ * @throws {Error} If an entry has neither or both of `command` and `task`.
+ */
+function normalizeChecks(setting) {
+    return (Array.isArray(setting) ? setting : []).map((entry, index) => {
+        const check = typeof entry === 'string' ? { command: entry } : entry || {};
+        const command = typeof check.command === 'string' ? check.command.trim() : '';
+        const task = typeof check.task === 'string' ? check.task.trim() : '';
+        if (!command === !task) {
+            throw new Error(`Check ${index + 1} must have either a "command" or a "task".`);
+        }
+        const name = typeof check.name === 'string' && check.name.trim() ? check.name.trim() : command || `task "${task}"`;
+        return command ? { name, command } : { name, task };
+    });
+}
+
+/**
+ * Finds conflict markers on the lines a diff adds.
+ * @param {string} diff - Output of `git diff --unified=0 --no-color`.
+ * @returns {ConflictMarker[]} The markers, in diff order.
+ */
+function findConflictMarkers(diff) {
+    const markers = [];
+    let file;
+    let line = 0;
+    for (const text of (diff || '').split('\n')) {
+        const fileMatch = text.match(/^\+\+\+ (?:b\/(.*)|\/dev\/null)$/);
+        if (fileMatch) {
+            file = fileMatch[1];
+            continue;
+        }
+        const hunkMatch = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+        if (hunkMatch) {
+            line = parseInt(hunkMatch[1], 10);
+            continue;
+        }
+        if (text.startsWith('+') && file) {
+            if (CONFLICT_MARKER_PATTERN.test(text.slice(1))) {
+                markers.push({ file, line });
+            }
+            line++;
+        }
+    }
+    return markers;
+}
+
+/**
+ * Converts a path glob into an anchored regular expression.
+ * `**` matches across directories, `*` and `?` within one path segment.
+ * @param {string} glob - The glob, e.g. `secrets/**` or `*.pem`.
+ * @returns {RegExp} The equivalent regular expression.
+ */
+function pathGlobToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const ch = glob[i];
+        if (ch === '*' && glob[i + 1] === '*') {
+            const slash = glob[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (ch === '*') {
+            source += '[^/]*';
+        } else if (ch === '?') {
+            source += '[^/]';
+        } else {
+            source += ch.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Lists the files matching the `gitlab-mr-flow.forbiddenPaths` globs.
+ * Globs without a `/` match the file name in any directory, like in `.gitignore`.
+ * @param {string[]} files - Paths relative to the repository root.
+ * @param {string[]} patterns - The globs, e.g. `.env` or `secrets/**`.
+ * @returns {string[]} The matching files.
+ */
+function matchForbiddenPaths(files, patterns) {
+    const matchers = (patterns || [])
+        .filter(pattern => typeof pattern === 'string' && pattern.trim())
+        .map(pattern => pattern.trim())
+        .map(glob => ({ regExp: pathGlobToRegExp(glob.replace(/^\//, '')), anywhere: !glob.includes('/') }));
+    return files.filter(file => matchers.some(({ regExp, anywhere }) => regExp.test(anywhere ? file.split('/').pop() : file)));
+}
+
+module.exports = {
+    normalizeChecks,
+    findConflictMarkers,
+    pathGlobToRegExp,
+    matchForbiddenPaths
+};
@@ -0,0 +1,69 @@
+// Decides which local branches are merged and safe to delete after their merge requests went in.
+
+/**
+ * How a branch was found to be merged:
+ * - `ancestor`: its tip is reachable from the target branch (merge commit or fast-forward).
+ * - `patch`: a single commit with the branch's combined changes is in the target branch (squash merge), found by patch ID.
+ * - `tree`: merging the branch into the target branch would change nothing, e.g. after a squash merge with later edits.
+ * @typedef {'ancestor' | 'patch' | 'tree'} MergedBy
+ */
+
+/**
+ * @typedef {Object} CleanupCandidate
+ * @property {string} branch - The local branch.
+ * @property {boolean} current - True if the branch is checked out.
+ * @property {boolean} pushed - True if every commit of the branch is on the remote.
+ * @property {MergedBy | undefined} mergedBy - How the branch was found to be merged; undefined if it is not.
+ */
+
+/**
+ * Interprets `git cherry <target> <squashed>`, where `<squashed>` is a commit holding the branch's
+ * combined changes on top of its merge base. A `-` line means an equivalent change is already in the target.
+ * @param {string} output - The command output.
+ * @returns {boolean} True if the squashed change is in the target branch.
+ */
+function isPatchMerged(output) {
+    const lines = (output || '').split('\n').map(line => line.trim()).filter(Boolean);
+    return lines.length > 0 && lines.every(line => line.startsWith('-'));
+}
+
+/**
+ * Reads the tree OID from the first line of `git merge-tree --write-tree` output.
+ * @param {string} output - The command output.
+ * @param {number | null | undefined} exitCode - The command exit code; only a clean merge (0) yields a usable tree.
+ * @returns {string | undefined} The tree OID, if the merge was clean.
+ */
+function parseMergeTreeOid(output, exitCode) {
+    if (exitCode !== 0) {
+        return undefined;
+    }
+    const oid = (output || '').split('\n')[0].trim();
+    return /^[0-9a-f]{40,64}$/i.test(oid) ? oid : undefined;
+}
+
+/**
+ * Decides whether a branch may be deleted. The checked-out branch and branches with commits that are not
+ * on the remote are never deleted, merged or not.
+ * @param {CleanupCandidate} candidate - The branch.
+ * @param {string} target - The branch it was checked against, e.g. `origin/main`, for the reason.
+ * @returns {{deletable: boolean, reason: string}} Whether it may be deleted, and why (not).
+ */
+function classifyCleanupCandidate(candidate, target) {
+    if (candidate.current) {
+        return { deletable: false, reason: 'checked out' };
+    }
+    if (!candidate.mergedBy) {
+        return { deletable: false, reason: `not merged into ${target}` };
+    }
+    if (!candidate.pushed) {
+        return { deletable: false, reason: 'has commits that were never pushed' };
+    }
+    const how = { ancestor: 'merged', patch: 'squash-merged', tree: 'changes already' }[candidate.mergedBy];
+    return { deletable: true, reason: `${how} in ${target}` };
+}
+
+module.exports = {
+    isPatchMerged,
+    parseMergeTreeOid,
+    classifyCleanupCandidate
+};
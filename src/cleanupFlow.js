@@ -0,0 +1,355 @@
+// Checks out and deletes the branches of the merge requests in the "GitLab MRs" view, and cleans up merged branches.
+const { matchBranchRule } = require('./branchRules');
+const { buildForceWithLeaseArg } = require('./integration');
+const { parsePushResponse } = require('./pushResponse');
+const { getCachedMergeRequest, forgetMergeRequest, findMergeRequestIidForSha } = require('./mergeRequestCache');
+const { parseBranchList } = require('./stack');
+const { listMergeRequests, removeMergeRequest } = require('./mergeRequestHistory');
+const { isPatchMerged, parseMergeTreeOid, classifyCleanupCandidate } = require('./cleanup');
+const { rememberBranchStart } = require('./branchStart');
+
+/** @typedef {import('./flowCore').Memento} Memento */
+
+/**
+ * Creates the branch actions of the "GitLab MRs" view and the clean up of merged branches on top of the shared flow core.
+ * @param {import('./flowCore').FlowCore} core - The host and the helpers the flows share.
+ * @returns {Object} The branch actions, the clean up, and the git helpers behind them.
+ */
+function createCleanupFlow(core) {
+    const {
+        runGitCommand, ui, log, getConfiguration, run, onMergeRequestsChanged, getOrigin, getTargetBranch,
+        getRemoteBranchSha, getWorkingTreeStatus
+    } = core;
+
+    /**
+     * Works out whether a branch is merged into a target, including squash merges.
+     * @param {string} workspaceRoot - The root path of the repository.
+     * @param {string} branch - The local or remote-tracking branch, e.g. `feat/login` or `origin/feat/login`.
+     * @param {string} target - The remote-tracking target branch, e.g. `origin/main`.
+     * @returns {Promise<import('./cleanup').MergedBy | undefined>} How the branch was merged, or undefined if it is not.
+     */
+    async function findMergedBy(workspaceRoot, branch, target) {
+        const ancestorResult = await runGitCommand(['merge-base', '--is-ancestor', branch, target], workspaceRoot, `check whether ${branch} is merged into ${target}`);
+        if (ancestorResult.exitCode === 0) {
+            return 'ancestor';
+        }
+        const baseResult = await runGitCommand(['merge-base', target, branch], workspaceRoot, `find merge base of ${branch} and ${target}`);
+        if (baseResult.exitCode !== 0 || !baseResult.stdout.trim()) {
+            return undefined;
+        }
+
+        // A squash merge adds one commit with the branch's combined changes; build that commit and compare patch IDs
+        const squashResult = await runGitCommand(['commit-tree', `${branch}^{tree}`, '-p', baseResult.stdout.trim(), '-m', `Squashed ${branch}`], workspaceRoot, `squash ${branch} for comparison`);
+        if (squashResult.exitCode === 0 && squashResult.stdout.trim()) {
+            const cherryResult = await runGitCommand(['cherry', target, squashResult.stdout.trim()], workspaceRoot, `look for the changes of ${branch} in ${target}`);
+            if (cherryResult.exitCode === 0 && isPatchMerged(cherryResult.stdout)) {
+                return 'patch';
+            }
+        }
+
+        // The squashed commit may have been edited before merging; it is still merged if merging the branch changes nothing
+        const mergeTreeResult = await runGitCommand(['merge-tree', '--write-tree', target, branch], workspaceRoot, `merge ${branch} into ${target} in memory`);
+        const mergedTree = parseMergeTreeOid(mergeTreeResult.stdout, mergeTreeResult.exitCode);
+        const targetTreeResult = await runGitCommand(['rev-parse', `${target}^{tree}`], workspaceRoot, `resolve the tree of ${target}`);
+        return mergedTree && targetTreeResult.exitCode === 0 && targetTreeResult.stdout.trim() === mergedTree ? 'tree' : undefined;
+    }
+
+    /**
+     * Checks that every commit of a branch is on the remote: in a remote-tracking branch, or in the head of
+     * one of GitLab's merge request refs, which outlive source branches deleted on merge.
+     * @param {string} workspaceRoot - The root path of the repository.
+     * @param {string} remoteName - The remote name.
+     * @param {string} branch - The local branch.
+     * @param {string} mergeRequestRefs - Output of `git ls-remote <remote> refs/merge-requests/<iid>/head` (`<sha>\t<ref>` lines).
+     * @returns {Promise<boolean>} True if nothing would be lost by deleting the branch.
+     */
+    async function isBranchPushed(workspaceRoot, remoteName, branch, mergeRequestRefs) {
+        const containsResult = await runGitCommand(['for-each-ref', '--contains', branch, '--count=1', '--format=%(refname)', `refs/remotes/${remoteName}/`], workspaceRoot, `find remote branches containing ${branch}`);
+        if (containsResult.exitCode === 0 && containsResult.stdout.trim()) {
+            return true;
+        }
+        const tipResult = await runGitCommand(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`], workspaceRoot, `resolve ${branch}`);
+        return tipResult.exitCode === 0 && findMergeRequestIidForSha(mergeRequestRefs, tipResult.stdout.trim()) !== undefined;
+    }
+
+    /**
+     * Lists the local branches of a repository.
+     * @param {string} workspaceRoot - The root path of the repository.
+     * @returns {Promise<Set<string> | undefined>} The branch names, or undefined if the repository cannot be read, e.g. because it was moved.
+     */
+    async function getLocalBranches(workspaceRoot) {
+        try {
+            const result = await runGitCommand(['for-each-ref', '--format=%(refname:short)', 'refs/heads'], workspaceRoot, 'list local branches');
+            return result.exitCode === 0 ? new Set(parseBranchList(result.stdout)) : undefined;
+        } catch {
+            return undefined;
+        }
+    }
+
+    /**
+     * Checks out the source branch of a merge request from the "GitLab MRs" view,
+     * recreating it from the remote branch if it was deleted locally.
+     * @param {string} repositoryKey - The root path of the repository.
+     * @param {import('./mergeRequestHistory').MergeRequestHistoryEntry} entry - The merge request.
+     * @returns {Promise<boolean>} True if the branch is checked out.
+     */
+    async function checkOutMergeRequestBranch(repositoryKey, entry) {
+        try {
+            if ((await getWorkingTreeStatus(repositoryKey)).branch === entry.branch) {
+                return true;
+            }
+            const branches = await getLocalBranches(repositoryKey);
+            let checkoutArgs = ['checkout', entry.branch];
+            if (branches && !branches.has(entry.branch)) {
+                await runGitCommand(['fetch', entry.remoteName], repositoryKey, `fetch ${entry.remoteName}`);
+                if (!await getRemoteBranchSha(repositoryKey, entry.remoteName, entry.branch)) {
+                    ui.showErrorMessage(`${entry.branch} no longer exists locally or on ${entry.remoteName}.`);
+                    return false;
+                }
+                checkoutArgs = ['checkout', '-b', entry.branch, '--track', `${entry.remoteName}/${entry.branch}`];
+            }
+            const checkoutResult = await runGitCommand(checkoutArgs, repositoryKey, `checkout ${entry.branch}`);
+            if (checkoutResult.exitCode !== 0) {
+                ui.showErrorMessage(`Could not check out ${entry.branch}: ${checkoutResult.stderr.split('\n')[0] || 'unknown error'}. Check Output channel for details.`);
+                return false;
+            }
+            onMergeRequestsChanged();
+            return true;
+        } catch (error) {
+            log(`Error checking out ${entry.branch}: ${error.message || error}`);
+            ui.showErrorMessage(`Could not check out ${entry.branch}: ${error.message || 'Unknown error'}. Check Output channel.`);
+            return false;
+        }
+    }
+
+    /**
+     * Deletes the local and remote source branch of a merged merge request from the "GitLab MRs" view,
+     * and removes the merge request from the view. A branch with commits that are not in the target branch
+     * is only deleted if the user confirms it separately; if one is kept, so is the merge request.
+     * @param {Memento} memento - Workspace state.
+     * @param {string} repositoryKey - The root path of the repository.
+     * @param {import('./mergeRequestHistory').MergeRequestHistoryEntry} entry - The merge request.
+     * @returns {Promise<void>}
+     */
+    async function deleteMergeRequestBranches(memento, repositoryKey, entry) {
+        try {
+            if ((await getWorkingTreeStatus(repositoryKey)).branch === entry.branch) {
+                ui.showErrorMessage(`${entry.branch} is checked out. Switch to another branch before deleting it.`);
+                return;
+            }
+            // Prune first, so a source branch GitLab already removed on merge is not pushed for deletion
+            const fetchResult = await runGitCommand(['fetch', '--prune', entry.remoteName], repositoryKey, `fetch ${entry.remoteName}`);
+            if (fetchResult.exitCode !== 0) {
+                ui.showErrorMessage(`Git fetch from ${entry.remoteName} failed. Check Output channel for details.`);
+                return;
+            }
+            const branches = await getLocalBranches(repositoryKey);
+            const remoteSha = await getRemoteBranchSha(repositoryKey, entry.remoteName, entry.branch);
+            const target = `${entry.remoteName}/${entry.targetBranch}`;
+            const candidates = [
+                branches && branches.has(entry.branch) && { label: `local branch ${entry.branch}`, ref: entry.branch, remote: false },
+                remoteSha && { label: `remote branch ${entry.remoteName}/${entry.branch}`, ref: `${entry.remoteName}/${entry.branch}`, remote: true }
+            ].filter(Boolean);
+            for (const candidate of candidates) {
+                candidate.merged = Boolean(await findMergedBy(repositoryKey, candidate.ref, target));
+            }
+
+            const doomed = candidates.filter(candidate => candidate.merged);
+            if (candidates.length === 0) {
+                const removeItem = 'Remove from List';
+                if (await ui.showWarningMessage(`Both branches of Merge Request !${entry.iid} are already gone. Remove it from the list?`, { modal: true }, removeItem) !== removeItem) {
+                    return;
+                }
+            } else if (doomed.length > 0) {
+                const deleteItem = 'Delete';
+                if (await ui.showWarningMessage(`Delete merged ${doomed.map(candidate => candidate.label).join(' and ')} of Merge Request !${entry.iid}?`, { modal: true }, deleteItem) !== deleteItem) {
+                    return;
+                }
+            }
+            // Unmerged work is only deleted when confirmed branch by branch, e.g. for a closed Merge Request
+            for (const candidate of candidates.filter(candidate => !candidate.merged)) {
+                const deleteItem = 'Delete Unmerged Branch';
+                const choice = await ui.showWarningMessage(
+                    `The ${candidate.label} has commits that are not in ${target}. Delete it anyway?`,
+                    { modal: true, detail: `Only delete it if Merge Request !${entry.iid} was closed; its unmerged work will be lost.` },
+                    deleteItem
+                );
+                if (choice === deleteItem) {
+                    doomed.push(candidate);
+                }
+            }
+            const kept = candidates.filter(candidate => !doomed.includes(candidate));
+
+            if (doomed.some(candidate => !candidate.remote)) {
+                const branchResult = await runGitCommand(['branch', '-D', entry.branch], repositoryKey, `delete ${entry.branch}`);
+                if (branchResult.exitCode !== 0) {
+                    ui.showErrorMessage(`Could not delete ${entry.branch}. Check Output channel for details.`);
+                    return;
+                }
+            }
+            if (doomed.some(candidate => candidate.remote)) {
+                const pushResult = await runGitCommand(['push', buildForceWithLeaseArg(entry.branch, remoteSha), entry.remoteName, '--delete', entry.branch], repositoryKey, `delete ${entry.remoteName}/${entry.branch}`);
+                if (pushResult.exitCode !== 0) {
+                    const [rejection] = parsePushResponse(pushResult.stderr, entry.branch).rejections;
+                    ui.showErrorMessage(`Could not delete ${entry.remoteName}/${entry.branch}. ${rejection ? `${rejection.message} ${rejection.action}` : 'Check Output channel for details.'}`);
+                    return;
+                }
+            }
+            if (kept.length > 0) {
+                log(`Deleted ${doomed.map(candidate => candidate.label).join(' and ') || 'nothing'}; kept the unmerged ${kept.map(candidate => candidate.label).join(' and ')}.`);
+                if (doomed.length > 0) {
+                    ui.showInformationMessage(`Kept the unmerged ${kept.map(candidate => candidate.label).join(' and ')}. Merge Request !${entry.iid} stays in the list.`);
+                }
+                return;
+            }
+            await forgetMergeRequest(memento, repositoryKey, entry.remoteName, entry.branch);
+            await rememberBranchStart(memento, repositoryKey, entry.branch, undefined);
+            await removeMergeRequest(memento, repositoryKey, entry.url);
+            onMergeRequestsChanged();
+            log(`Deleted ${doomed.map(candidate => candidate.label).join(' and ') || 'nothing'} and removed Merge Request !${entry.iid} from the list.`);
+        } catch (error) {
+            log(`Error deleting branches of ${entry.branch}: ${error.message || error}`);
+            ui.showErrorMessage(`Could not delete ${entry.branch}: ${error.message || 'Unknown error'}. Check Output channel.`);
+        }
+    }
+
+    /**
+     * Deletes local branches whose merge requests went in, after the user picked them from the merged ones.
+     * Only branches matching a branch rule that creates merge requests are considered, and the checked-out
+     * branch and branches with unpushed commits are never offered.
+     * @param {Memento} memento - Workspace state.
+     * @param {string} workspaceRoot - The root path of the repository.
+     * @returns {Promise<void>}
+     */
+    async function cleanUpMergedBranches(memento, workspaceRoot) {
+        try {
+            const origin = await getOrigin(workspaceRoot, { memento: memento });
+            const remoteName = origin.remoteName;
+            run.reportStep(`Fetching ${remoteName}`);
+            const fetchResult = await runGitCommand(['fetch', '--prune', remoteName], workspaceRoot, `fetch ${remoteName}`);
+            if (fetchResult.exitCode !== 0) {
+                ui.showErrorMessage(`Git fetch from ${remoteName} failed. Check Output channel for details.`);
+                return;
+            }
+            const defaultBranch = await getTargetBranch(workspaceRoot, remoteName);
+            const currentBranch = (await getWorkingTreeStatus(workspaceRoot)).branch;
+            const refsResult = await runGitCommand(['ls-remote', remoteName, 'refs/merge-requests/*/head'], workspaceRoot, 'list merge request refs');
+            const mergeRequestRefs = refsResult.exitCode === 0 ? refsResult.stdout : '';
+
+            const config = getConfiguration();
+            const deletable = [];
+            for (const branch of await getLocalBranches(workspaceRoot) || []) {
+                const rule = matchBranchRule(branch, config.get('branchRules', []));
+                if (!rule || !rule.createMergeRequest) continue;
+                run.reportStep(`Checking ${branch}`);
+                const cached = getCachedMergeRequest(memento, workspaceRoot, remoteName, branch);
+                let targetBranch = (cached && cached.targetBranch) || rule.targetBranch || defaultBranch;
+                if (!await getRemoteBranchSha(workspaceRoot, remoteName, targetBranch)) {
+                    // A stacked MR's target is deleted once it is merged itself; its commits then live in the default branch
+                    targetBranch = defaultBranch;
+                }
+                const target = `${remoteName}/${targetBranch}`;
+                const { deletable: canDelete, reason } = classifyCleanupCandidate({
+                    branch,
+                    current: branch === currentBranch,
+                    pushed: await isBranchPushed(workspaceRoot, remoteName, branch, mergeRequestRefs),
+                    mergedBy: await findMergedBy(workspaceRoot, branch, target)
+                }, target);
+                log(`${branch}: ${reason}${canDelete ? '' : ', keeping it'}.`);
+                if (!canDelete) continue;
+                const remoteSha = await getRemoteBranchSha(workspaceRoot, remoteName, branch);
+                // The remote branch may have commits the local one lacks; only offer to delete it if it is merged too
+                const remoteMerged = Boolean(remoteSha) && Boolean(await findMergedBy(workspaceRoot, `${remoteName}/${branch}`, target));
+                if (remoteSha && !remoteMerged) {
+                    log(`${remoteName}/${branch} has commits that are not merged into ${target}, keeping the remote branch.`);
+                }
+                deletable.push({ branch, reason, remoteSha, remoteMerged });
+            }
+            if (deletable.length === 0) {
+                ui.showInformationMessage('No merged branches to clean up. Check Output channel for why branches were kept.');
+                return;
+            }
+
+            const picked = await ui.showQuickPick(
+                deletable.map(candidate => ({
+                    label: candidate.branch,
+                    description: candidate.reason,
+                    detail: candidate.remoteSha
+                        ? `${remoteName}/${candidate.branch} still exists${candidate.remoteMerged ? '' : ' with unmerged commits and is kept'}`
+                        : undefined,
+                    picked: true,
+                    candidate
+                })),
+                { canPickMany: true, placeHolder: 'Select the merged branches to delete', ignoreFocusOut: true }
+            );
+            if (!picked || picked.length === 0) {
+                return;
+            }
+            const chosen = picked.map(item => item.candidate);
+            const withRemote = chosen.filter(candidate => candidate.remoteMerged);
+            const localItem = 'Delete Local Branches';
+            const bothItem = 'Delete Local and Remote Branches';
+            const choice = await ui.showWarningMessage(
+                `Delete ${chosen.length} local branches?`,
+                {
+                    modal: true,
+                    detail: withRemote.length > 0 ? `${withRemote.length} of them still exist on ${remoteName}: ${withRemote.map(candidate => candidate.branch).join(', ')}` : undefined
+                },
+                ...(withRemote.length > 0 ? [localItem, bothItem] : [localItem])
+            );
+            if (!choice) {
+                return;
+            }
+
+            run.reportStep(`Deleting ${chosen.length} branches`);
+            const branchResult = await runGitCommand(['branch', '-D', ...chosen.map(candidate => candidate.branch)], workspaceRoot, 'delete merged branches');
+            if (branchResult.exitCode !== 0) {
+                ui.showErrorMessage('Could not delete all selected branches. Check Output channel for details.');
+            }
+            const localBranches = await getLocalBranches(workspaceRoot) || new Set();
+            const deleted = chosen.filter(candidate => !localBranches.has(candidate.branch));
+            let remoteMessage = '';
+            const remoteDeletions = choice === bothItem ? deleted.filter(candidate => candidate.remoteMerged) : [];
+            if (remoteDeletions.length > 0) {
+                // The lease keeps a remote branch that moved since it was checked
+                const pushResult = await runGitCommand([
+                    'push',
+                    ...remoteDeletions.map(candidate => buildForceWithLeaseArg(candidate.branch, candidate.remoteSha)),
+                    remoteName,
+                    '--delete',
+                    ...remoteDeletions.map(candidate => candidate.branch)
+                ], workspaceRoot, 'delete merged remote branches');
+                remoteMessage = pushResult.exitCode === 0
+                    ? ` and ${remoteDeletions.length} remote branches`
+                    : `. Deleting the remote branches failed (check Output channel)`;
+            }
+            for (const { branch } of deleted) {
+                await forgetMergeRequest(memento, workspaceRoot, remoteName, branch);
+                await rememberBranchStart(memento, workspaceRoot, branch, undefined);
+                for (const entry of listMergeRequests(memento, workspaceRoot)) {
+                    if (entry.remoteName === remoteName && entry.branch === branch) {
+                        await removeMergeRequest(memento, workspaceRoot, entry.url);
+                    }
+                }
+            }
+            onMergeRequestsChanged();
+            ui.showInformationMessage(`Deleted ${deleted.length} local branches${remoteMessage}.`);
+        } catch (error) {
+            log(`Error cleaning up merged branches: ${error.message || error}`);
+            ui.showErrorMessage(`GitLab MR Flow failed to clean up merged branches: ${error.message || 'Unknown error'}. Check Output channel.`);
+        }
+    }
+
+    return {
+        findMergedBy,
+        isBranchPushed,
+        getLocalBranches,
+        checkOutMergeRequestBranch,
+        deleteMergeRequestBranches,
+        cleanUpMergedBranches
+    };
+}
+
+module.exports = {
+    createCleanupFlow
+};
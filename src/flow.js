@@ -0,0 +1,534 @@
+// The merge request flow, from preflight checks to the push that creates the merge request, and its preview.
+// createFlow puts it together with the flows for MR stacks, all repositories at once, starting and cleaning up branches,
+// all built on the helpers in flowCore.js around the host that runs git, prompts, opens URLs and logs.
+const { getMergeRequestListUrl, getNewMergeRequestUrl, getMergeRequestUrl } = require('./remoteUrl');
+const { parseList, buildPushOptions, buildUpdatePushOptions, rememberDefaults } = require('./pushOptions');
+const { buildIntegrationArgs, isConflictOutput } = require('./integration');
+const { parseMergeTreeOutput } = require('./preview');
+const { parsePushResponse } = require('./pushResponse');
+const { PREFLIGHT_STASH_MESSAGE, createFlowCore } = require('./flowCore');
+const { createStackFlow } = require('./stackFlow');
+const { createBatchFlow } = require('./batchFlow');
+const { createCleanupFlow } = require('./cleanupFlow');
+const { START_STASH_MESSAGE, createBranchStartFlow } = require('./branchStartFlow');
+
+/** @typedef {import('./preview').MergeRequestPlan} MergeRequestPlan */
+/** @typedef {import('./mergeRequestCache').CachedMergeRequest} CachedMergeRequest */
+/** @typedef {import('./flowCore').Memento} Memento */
+
+/**
+ * Creates the merge request flow on top of a host.
+ * @param {import('./flowCore').FlowHost} host - Git execution, prompts, URL opening, logging and settings.
+ * @returns {Object} The flow, the other flows built on the same core, and the helpers the other commands share with them.
+ */
+function createFlow(host) {
+    const core = createFlowCore(host);
+    const {
+        runGitCommand, ui, openUrl, log, getConfiguration, run, readRemoteConfig, promptForRemote, getOrigin,
+        getTargetBranch, getCurrentBranch, getGitLabProject, resolveBranchRule, getRemoteBranchSha,
+        findExistingMergeRequest, rememberPushedMergeRequest, followUpMergeRequest, getIntegrationStrategy,
+        integrateTargetBranch, runPreMergeRequestChecks, askAfterFailedChecks, resolveTargetBranch,
+        offerConflictResolution, getWorkingTreeStatus, resolveDetachedHead, runLocalPreflight, restoreStartingState,
+        composeMergeRequestDetails, getInitialPushOptionValues, buildPushArgs, getPushOutcome
+    } = core;
+
+    /**
+     * Asks how to update an existing merge request besides pushing the new commits.
+     * @param {CachedMergeRequest} mergeRequest - The existing merge request.
+     * @param {string[]} ruleLabels - Labels of the branch rule, pre-filled when adding labels.
+     * @returns {Promise<{draft: boolean, labels: string[]} | undefined>} The update options, or undefined if cancelled.
+     */
+    async function pickUpdateOptions(mergeRequest, ruleLabels) {
+        const draftItem = { label: 'Mark as draft', description: 'merge_request.draft' };
+        const labelsItem = { label: 'Add labels...', description: 'merge_request.label' };
+        const picked = await ui.showQuickPick([draftItem, labelsItem], {
+            title: `Update Merge Request !${mergeRequest.iid}`,
+            placeHolder: 'Select changes to apply along with the push, or press Enter to just push',
+            canPickMany: true,
+            ignoreFocusOut: true
+        });
+        if (!picked) {
+            return undefined;
+        }
+
+        let labels = [];
+        if (picked.includes(labelsItem)) {
+            const input = await ui.showInputBox({
+                title: `Update Merge Request !${mergeRequest.iid}`,
+                prompt: 'Labels to add, comma separated',
+                value: ruleLabels.join(', '),
+                ignoreFocusOut: true
+            });
+            if (input === undefined) {
+                return undefined;
+            }
+            labels = parseList(input);
+        }
+        return { draft: picked.includes(draftItem), labels };
+    }
+
+    /**
+     * Checks the branch against the freshly fetched remote: it must have commits the target lacks,
+     * track the expected upstream and contain everything already pushed to its remote counterpart.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {string} remoteName - The remote name.
+     * @param {string} currentBranch - The current branch name.
+     * @param {string} targetBranch - The target branch name.
+     * @returns {Promise<boolean>} True if the flow can proceed.
+     */
+    async function runRemotePreflight(workspaceRoot, remoteName, currentBranch, targetBranch) {
+        const aheadResult = await runGitCommand(['rev-list', '--count', `${remoteName}/${targetBranch}..HEAD`], workspaceRoot, `count commits ahead of ${remoteName}/${targetBranch}`);
+        if (aheadResult.exitCode === 0 && parseInt(aheadResult.stdout.trim(), 10) === 0) {
+            log(`Preflight: no commits ahead of ${remoteName}/${targetBranch}.`);
+            ui.showWarningMessage(`Branch ${currentBranch} has no commits that are not already in ${remoteName}/${targetBranch}. Nothing to create a Merge Request for.`);
+            return false;
+        }
+
+        const status = await getWorkingTreeStatus(workspaceRoot);
+        const expectedUpstream = `${remoteName}/${currentBranch}`;
+        if (status.upstream && status.upstream !== expectedUpstream) {
+            log(`Preflight: upstream is ${status.upstream}, expected ${expectedUpstream}.`);
+            const continueItem = 'Continue';
+            const choice = await ui.showWarningMessage(
+                `Branch ${currentBranch} tracks ${status.upstream}, but the Merge Request will be created from ${expectedUpstream}. Continue?`,
+                continueItem,
+                'Abort'
+            );
+            if (choice !== continueItem) {
+                return false;
+            }
+        }
+
+        if (await getRemoteBranchSha(workspaceRoot, remoteName, currentBranch)) {
+            const behindResult = await runGitCommand(['rev-list', '--count', `HEAD..${expectedUpstream}`], workspaceRoot, `count commits missing from ${expectedUpstream}`);
+            const behind = behindResult.exitCode === 0 ? parseInt(behindResult.stdout.trim(), 10) : 0;
+            if (behind > 0) {
+                log(`Preflight: ${expectedUpstream} has ${behind} commit(s) not in the local branch.`);
+                const mergeItem = `Merge ${expectedUpstream}`;
+                const choice = await ui.showWarningMessage(
+                    `${expectedUpstream} has ${behind} commit(s) that are not in your local branch. Merge them first so they are not lost?`,
+                    mergeItem,
+                    'Abort'
+                );
+                if (choice !== mergeItem) {
+                    return false;
+                }
+                const mergeResult = await runGitCommand(['merge', '--ff', expectedUpstream], workspaceRoot, `merge ${expectedUpstream}`);
+                if (mergeResult.exitCode !== 0) {
+                    if (isConflictOutput(`${mergeResult.stdout}\n${mergeResult.stderr}`)) {
+                        await offerConflictResolution(workspaceRoot, 'merge');
+                    } else {
+                        ui.showErrorMessage(`Failed to merge ${expectedUpstream}. Check Output channel for details.`);
+                    }
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Works out everything the MR flow would do for a branch, without changing the repository.
+     * @param {Memento} memento - Workspace state holding remembered push options.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {{remoteName: string, remoteUrl: string}} origin - The selected remote.
+     * @param {string} currentBranch - The source branch.
+     * @param {import('./branchRules').BranchRule} branchRule - The rule matching the source branch.
+     * @returns {Promise<MergeRequestPlan>} The plan.
+     */
+    async function buildMergeRequestPlan(memento, workspaceRoot, origin, currentBranch, branchRule) {
+        const remoteName = origin.remoteName;
+        const targetBranch = await resolveTargetBranch(memento, workspaceRoot, remoteName, currentBranch, branchRule);
+        const upstream = `${remoteName}/${targetBranch}`;
+        const integrationStrategy = getIntegrationStrategy();
+        const { title, description } = await composeMergeRequestDetails(memento, workspaceRoot, remoteName, currentBranch, targetBranch, branchRule);
+        const pushOptionValues = getInitialPushOptionValues(memento, workspaceRoot, branchRule);
+        // The preview does not fetch, so only the cache is consulted
+        const existingMergeRequest = await findExistingMergeRequest(memento, workspaceRoot, origin, currentBranch, targetBranch, false);
+        const pushOptions = existingMergeRequest
+            ? buildUpdatePushOptions({ target: targetBranch })
+            : buildPushOptions({ ...pushOptionValues, target: targetBranch, title, description });
+        const leaseSha = integrationStrategy === 'rebase' ? await getRemoteBranchSha(workspaceRoot, remoteName, currentBranch) : undefined;
+
+        const commands = [['fetch', remoteName]];
+        if (integrationStrategy !== 'none') {
+            commands.push(buildIntegrationArgs(integrationStrategy, remoteName, targetBranch));
+        }
+        commands.push(buildPushArgs(remoteName, currentBranch, pushOptions, integrationStrategy, leaseSha));
+        commands.push(['checkout', targetBranch]);
+
+        const logResult = await runGitCommand(['log', '--format=%h %s', `${upstream}..HEAD`], workspaceRoot, `list commits in ${upstream}..HEAD`);
+        const diffResult = await runGitCommand(['diff', '--stat', `${upstream}...HEAD`], workspaceRoot, `diffstat against ${upstream}`);
+        let conflicts = { checked: true, hasConflicts: false, files: [] };
+        if (integrationStrategy !== 'none') {
+            const mergeTreeResult = await runGitCommand(['merge-tree', '--write-tree', '--name-only', 'HEAD', upstream], workspaceRoot, `check conflicts with ${upstream}`);
+            conflicts = parseMergeTreeOutput(mergeTreeResult.stdout || '', mergeTreeResult.exitCode);
+        }
+
+        return {
+            workspaceRoot,
+            currentBranch,
+            remoteName,
+            remoteUrl: origin.remoteUrl,
+            projectUrl: getGitLabProject(origin).webUrl,
+            branchRule,
+            targetBranch,
+            integrationStrategy,
+            title,
+            description,
+            pushOptionValues,
+            pushOptions,
+            existingMergeRequest,
+            commands,
+            commits: logResult.exitCode === 0 ? logResult.stdout.split('\n').filter(Boolean) : [],
+            diffstat: diffResult.exitCode === 0 ? diffResult.stdout : '',
+            conflicts
+        };
+    }
+
+    /**
+     * Runs the MR flow in a repository: preflight checks, target branch, fetch, merge or rebase, push with
+     * `merge_request.*` push options, open the merge request and switch to the target branch.
+     * @param {Memento} memento - Workspace state.
+     * @param {string} workspaceRoot - The root path of the repository.
+     * @param {{skipWizard?: boolean, preset?: MergeRequestPlan}} [flowOptions] - `skipWizard` uses the remembered push options
+     *   without showing the options wizard. `preset` runs the flow with the settings of a preview instead of detecting and asking again.
+     * @returns {Promise<void>}
+     */
+    async function runMergeRequestFlow(memento, workspaceRoot, { skipWizard = false, preset = undefined } = {}) {
+        // --- Step 0: Get Git Info (Branch & Origin) ---
+        if (!await resolveDetachedHead(workspaceRoot)) {
+            log('Stopping: HEAD is detached.');
+            return;
+        }
+        const currentBranch = await getCurrentBranch(workspaceRoot);
+        if (preset && currentBranch !== preset.currentBranch) {
+            ui.showErrorMessage(`The preview was made for branch ${preset.currentBranch}, but ${currentBranch} is checked out. Preview again.`);
+            return;
+        }
+        const origin = await getOrigin(workspaceRoot, { memento, branch: currentBranch, preferredRemoteName: preset && preset.remoteName }); // Get origin early
+        log(`Current branch: ${currentBranch}, Origin URL: ${origin.remoteUrl}`);
+
+        // --- Step 1: Open MR list page directly if no branch rule asks for an MR ---
+        let branchRule;
+        try {
+            branchRule = preset ? preset.branchRule : await resolveBranchRule(currentBranch);
+        } catch (ruleError) {
+            log(`Error evaluating branch rules: ${ruleError.message}`);
+            ui.showErrorMessage(`Invalid gitlab-mr-flow.branchRules setting: ${ruleError.message}`);
+            return;
+        }
+        if (!branchRule) {
+            log(`No Merge Request is created for branch "${currentBranch}". Just open the MR list page.`);
+            try {
+                const mrListPageUrl = getMergeRequestListUrl(getGitLabProject(origin));
+                log(`Constructed MR List URL: ${mrListPageUrl}`);
+                await openUrl(mrListPageUrl);
+                ui.showInformationMessage(`Branch "${currentBranch}" is not configured for Merge Request creation, open the MR list page instead.`);
+            } catch (openError) {
+                log(`Error constructing or opening MR List URL: ${openError.message}`);
+                ui.showErrorMessage(`Could not open the Merge Requests page for branch "${currentBranch}". Check Output channel.`);
+            }
+            return; // Stop execution after opening MR list page
+        }
+
+        // --- Step 2: Proceed with MR creation for branches matching a rule ---
+        // Continue with the original MR creation flow
+        const flowState = { startBranch: currentBranch, stashed: false, outcome: /** @type {'success' | 'failed' | 'conflict'} */ ('failed'), conflictResult: undefined, integrated: undefined };
+        try {
+            // --- Step 2a: Check for a git directory ---
+            // `.git` is a file in worktrees and submodules, so ask git where the repository lives
+            const gitDirResult = await runGitCommand(['rev-parse', '--git-dir'], workspaceRoot, 'locate git directory');
+            if (gitDirResult.exitCode !== 0) {
+                ui.showErrorMessage('Current workspace is not a Git repository.');
+                log('Error: git directory not found.');
+                return;
+            }
+            log(`Found git directory: ${gitDirResult.stdout.trim()}`);
+
+            // --- Step 2b: Preflight checks on the local working tree ---
+            if (!await runLocalPreflight(workspaceRoot, flowState)) {
+                log('Stopping: local preflight checks did not pass.');
+                return;
+            }
+
+            // --- Step 2c: Target Branch Determination ---
+            // Origin already fetched above
+            run.reportStep('Determining the target branch');
+            const targetBranch = preset ? preset.targetBranch : await resolveTargetBranch(memento, workspaceRoot, origin.remoteName, currentBranch, branchRule);
+            log(`Target branch set to: ${targetBranch}${branchRule.targetBranch ? ' (from branch rule)' : ''}`);
+
+            // --- Step 5: Current Branch Identification ---
+            log(`Current branch identified as: ${currentBranch}`);
+
+            // --- Step 6: Fetch and Integrate Remote Changes ---
+            run.reportStep(`Fetching ${origin.remoteName}`);
+            const fetchResult = await runGitCommand(['fetch', origin.remoteName], workspaceRoot, `fetch ${origin.remoteName}`);
+            if (fetchResult.exitCode !== 0) {
+                log(`Git fetch failed with exit code ${fetchResult.exitCode}.`);
+                ui.showErrorMessage(`Git fetch from origin failed. Check Output channel for details.`);
+                return; // Stop execution
+            }
+            log('Fetch successful.');
+
+            // --- Step 6a: Preflight checks against the fetched remote ---
+            if (!await runRemotePreflight(workspaceRoot, origin.remoteName, currentBranch, targetBranch)) {
+                log('Stopping: remote preflight checks did not pass.');
+                return;
+            }
+
+            // --- Step 6b: Look for an existing Merge Request of the branch ---
+            run.reportStep('Looking for an existing Merge Request');
+            const config = getConfiguration();
+            const existingMergeRequest = preset
+                ? preset.existingMergeRequest
+                : await findExistingMergeRequest(memento, workspaceRoot, origin, currentBranch, targetBranch, true);
+            let mrTitle;
+            let mrDescription;
+            let pushOptionValues;
+            let updateOptions;
+            if (existingMergeRequest) {
+                // Only push and adjust draft status or labels; title and description may have been edited in GitLab
+                log(`Branch ${currentBranch} already has Merge Request !${existingMergeRequest.iid} (${existingMergeRequest.url}). Updating it.`);
+                updateOptions = preset || skipWizard ? { draft: false, labels: [] } : await pickUpdateOptions(existingMergeRequest, branchRule.labels);
+                if (!updateOptions) {
+                    log('User cancelled updating the Merge Request.');
+                    ui.showInformationMessage('GitLab MR Flow cancelled. No changes were made.');
+                    return;
+                }
+            } else {
+                // --- Step 6c: Compose Title and Description from Templates ---
+                ({ title: mrTitle, description: mrDescription } = preset
+                    ? preset
+                    : await composeMergeRequestDetails(memento, workspaceRoot, origin.remoteName, currentBranch, targetBranch, branchRule));
+                if (!preset && config.get('editBeforePush', true)) {
+                    const edited = await ui.editMergeRequestDetails(mrTitle, mrDescription);
+                    if (!edited) {
+                        log('User cancelled editing the Merge Request title and description.');
+                        ui.showInformationMessage('GitLab MR Flow cancelled. No changes were made.');
+                        return;
+                    }
+                    ({ title: mrTitle, description: mrDescription } = edited);
+                }
+                log(`Merge Request title: ${mrTitle}`);
+
+                // --- Step 6d: Push Options (wizard or remembered defaults) ---
+                pushOptionValues = preset ? preset.pushOptionValues : getInitialPushOptionValues(memento, workspaceRoot, branchRule);
+                if (!preset && !skipWizard && config.get('showOptionsWizard', false)) {
+                    const wizardValues = await ui.runOptionsWizard(pushOptionValues);
+                    if (!wizardValues) {
+                        log('User cancelled the Merge Request options wizard.');
+                        ui.showInformationMessage('GitLab MR Flow cancelled. No changes were made.');
+                        return;
+                    }
+                    pushOptionValues = wizardValues;
+                    await rememberDefaults(memento, workspaceRoot, {
+                        ...wizardValues,
+                        // Rule labels are re-applied on every run; only remember the ones added by hand
+                        labels: wizardValues.labels.filter(label => !branchRule.labels.includes(label))
+                    });
+                }
+            }
+
+            const integrationStrategy = preset ? preset.integrationStrategy : getIntegrationStrategy();
+            if (integrationStrategy !== 'none') {
+                run.reportStep(`${integrationStrategy === 'rebase' ? 'Rebasing onto' : 'Merging'} ${origin.remoteName}/${targetBranch}`);
+            }
+            // Remember where the remote branch was before a rebase, to pin --force-with-lease to it
+            const leaseSha = integrationStrategy === 'rebase' ? await getRemoteBranchSha(workspaceRoot, origin.remoteName, currentBranch) : undefined;
+            if (!await integrateTargetBranch(workspaceRoot, integrationStrategy, origin.remoteName, currentBranch, targetBranch, flowState)) {
+                return; // Stop execution
+            }
+
+            // --- Step 6e: Pre-MR checks on the integrated branch ---
+            const checkFailures = await runPreMergeRequestChecks(workspaceRoot, origin.remoteName, targetBranch);
+            if (checkFailures.length > 0) {
+                const decision = await askAfterFailedChecks(checkFailures);
+                log(`Pre-MR checks failed: ${checkFailures.join('; ')}. User chose to ${decision === 'draft' ? 'push as draft' : decision}.`);
+                if (decision === 'abort') {
+                    ui.showInformationMessage('GitLab MR Flow stopped before pushing. Fix the failed checks and run it again.');
+                    return;
+                }
+                if (decision === 'draft' && existingMergeRequest) {
+                    updateOptions = { ...updateOptions, draft: true };
+                } else if (decision === 'draft') {
+                    pushOptionValues = { ...pushOptionValues, draft: true };
+                }
+            }
+
+            // --- Step 7: Push and Create Merge Request ---
+            run.reportStep(existingMergeRequest ? `Pushing to Merge Request !${existingMergeRequest.iid}` : 'Pushing and creating the Merge Request');
+            log(existingMergeRequest
+                ? `Attempting to push ${currentBranch} to ${origin.remoteName} and update MR !${existingMergeRequest.iid} targeting ${targetBranch}...`
+                : `Attempting to push ${currentBranch} to ${origin.remoteName} and create MR targeting ${targetBranch}...`);
+            const pushOptions = existingMergeRequest
+                ? buildUpdatePushOptions({ ...updateOptions, target: targetBranch })
+                : buildPushOptions({
+                    ...pushOptionValues,
+                    target: targetBranch,
+                    title: mrTitle,
+                    description: mrDescription
+                });
+            log(`Push options: ${pushOptions.join(', ')}`);
+            const pushArgs = buildPushArgs(origin.remoteName, currentBranch, pushOptions, integrationStrategy, leaseSha);
+            const pushResult = await runGitCommand(pushArgs, workspaceRoot, 'push and create merge request');
+
+            // Combine stdout and stderr: GitLab's "remote:" messages and git's ref status go to stderr
+            const pushResponse = parsePushResponse(`${pushResult.stdout}\n${pushResult.stderr}`, currentBranch);
+            log(`Parsed push response: status=${pushResponse.status}, iid=${pushResponse.iid || '-'}, warnings=${pushResponse.warnings.length}, rejections=${pushResponse.rejections.length}`);
+            for (const warning of pushResponse.warnings) {
+                log(`Warning (${warning.kind}): ${warning.detail}`);
+                ui.showWarningMessage(`${warning.message} ${warning.action}`);
+            }
+
+            if (pushResult.exitCode === 0) {
+                log('Push and MR creation command successful.');
+                flowState.outcome = 'success';
+
+                // --- Step 8: Parse MR URL and Open in Browser ---
+                let mrUrl = pushResponse.url;
+                let mrIid = pushResponse.iid;
+                if (!mrUrl && existingMergeRequest) {
+                    // GitLab prints no link when there was nothing new to push; the known MR is still the right one
+                    log(`No MR URL in push output. Using Merge Request !${existingMergeRequest.iid} found before pushing.`);
+                    mrUrl = existingMergeRequest.url;
+                    mrIid = existingMergeRequest.iid;
+                }
+
+                if (mrUrl) {
+                    const created = getPushOutcome(existingMergeRequest, pushResponse) === 'created';
+                    log(`Found ${created ? 'new' : 'existing'} MR URL: ${mrUrl}`);
+                    let project;
+                    try {
+                        project = mrIid ? getGitLabProject(origin) : undefined;
+                    } catch (parseError) {
+                        log(`Could not resolve GitLab project to check MR URL: ${parseError.message}`);
+                    }
+                    if (project && project.instancePattern) {
+                        // The instance settings know the web URL better than a mirror or proxy reporting its own
+                        mrUrl = getMergeRequestUrl(project, mrIid);
+                        log(`Rewrote MR URL using instance "${project.instancePattern}": ${mrUrl}`);
+                    }
+                    if (mrIid) {
+                        await rememberPushedMergeRequest(memento, workspaceRoot, origin.remoteName, currentBranch, { iid: mrIid, url: mrUrl, targetBranch });
+                        await followUpMergeRequest(origin, mrIid, created, mrDescription);
+                    }
+                    try {
+                        await openUrl(mrUrl);
+                        log(`Opened MR URL in browser.`);
+                        ui.showInformationMessage(created
+                            ? `Successfully created Merge Request !${mrIid} targeting ${targetBranch} and opened it in your browser.`
+                            : `Pushed ${currentBranch} to existing Merge Request !${mrIid} and opened it in your browser.`);
+                    } catch (openError) {
+                        log(`Error opening URL ${mrUrl}: ${openError}`);
+                        // Show original success message if opening fails
+                        ui.showInformationMessage(`Successfully pushed ${currentBranch} and initiated Merge Request creation targeting ${targetBranch}. Failed to open URL.`);
+                    }
+                } else {
+                    log('Could not find MR URL in push output. Attempting to construct New MR URL from origin...');
+                    try {
+                        const constructedMrUrl = getNewMergeRequestUrl(getGitLabProject(origin), currentBranch, targetBranch);
+
+                        log(`Constructed MR URL: ${constructedMrUrl}`);
+                        await openUrl(constructedMrUrl);
+                        ui.showInformationMessage(`Successfully pushed ${currentBranch} and navigated to the New Merge Request page in your browser. Local branch remains ${currentBranch}.`);
+
+                    } catch (constructError) {
+                        log(`Error constructing or opening MR URL: ${constructError.message}`);
+                        ui.showErrorMessage(`Push successful, but could not confirm Merge Request creation or open MR page. Please check GitLab manually. Local branch remains ${currentBranch}.`);
+                    }
+                    return; // Stop execution here, do not switch branch
+                }
+
+                // --- Step 8: Switch back to target branch locally ---
+                // This code will only be reached if the MR URL was found and opened (or failed to open)
+                if (flowState.stashed) {
+                    // Stashed changes belong to the source branch, so restore them there
+                    log(`Staying on ${currentBranch} to restore stashed changes.`);
+                    return;
+                }
+                run.reportStep(`Switching to ${targetBranch}`);
+                try {
+                    const checkoutResult = await runGitCommand(['checkout', targetBranch], workspaceRoot, `checkout ${targetBranch}`);
+                    if (checkoutResult.exitCode === 0) {
+                        log(`Successfully switched local branch to ${targetBranch}.`);
+                        ui.showInformationMessage(`Switched local branch to ${targetBranch}.`);
+                    } else {
+                        log(`Failed to switch local branch to ${targetBranch}. Exit code: ${checkoutResult.exitCode}`);
+                        // Show a warning, but don't treat it as a fatal error for the overall MR flow
+                        ui.showWarningMessage(`Merge request created, but failed to switch local branch back to ${targetBranch}. Check Output channel.`);
+                    }
+                } catch (checkoutError) {
+                    // Catch errors specifically from the checkout command
+                    log(`Error during checkout to ${targetBranch}: ${checkoutError.message}`);
+                    ui.showWarningMessage(`Merge request created, but encountered an error switching local branch back to ${targetBranch}. Check Output channel.`);
+                }
+
+            } else {
+                log(`Push and MR creation command failed. Exit code: ${pushResult.exitCode}`);
+                for (const rejection of pushResponse.rejections) {
+                    log(`Rejected (${rejection.kind}): ${rejection.detail}`);
+                }
+                const [rejection] = pushResponse.rejections;
+                ui.showErrorMessage(rejection
+                    ? `Failed to push or create Merge Request. ${rejection.message} ${rejection.action}`
+                    : `Failed to push or create Merge Request. Exit Code: ${pushResult.exitCode}. Check Output channel for details.`);
+                // No return here, let the function finish
+            }
+
+        } catch (error) {
+            log(`Unhandled error: ${error.message || error}`);
+            ui.showErrorMessage(`GitLab MR Flow failed for branch: ${error.message || 'Unknown error'}. Check Output channel.`);
+        } finally {
+            await restoreStartingState(workspaceRoot, flowState);
+        }
+    }
+
+    const { collectStack, runMergeRequestStack } = createStackFlow(core);
+    const { runBatchMergeRequest, runMergeRequestsForRepositories } = createBatchFlow(core);
+    const {
+        findMergedBy, isBranchPushed, getLocalBranches, checkOutMergeRequestBranch, deleteMergeRequestBranches, cleanUpMergedBranches
+    } = createCleanupFlow(core);
+    const { startBranch } = createBranchStartFlow(core);
+
+    return {
+        readRemoteConfig,
+        promptForRemote,
+        getOrigin,
+        getTargetBranch,
+        getCurrentBranch,
+        getGitLabProject,
+        resolveBranchRule,
+        getRemoteBranchSha,
+        findExistingMergeRequest,
+        rememberPushedMergeRequest,
+        integrateTargetBranch,
+        resolveTargetBranch,
+        collectStack,
+        getWorkingTreeStatus,
+        resolveDetachedHead,
+        runLocalPreflight,
+        restoreStartingState,
+        composeMergeRequestDetails,
+        getInitialPushOptionValues,
+        buildPushArgs,
+        buildMergeRequestPlan,
+        runBatchMergeRequest,
+        findMergedBy,
+        isBranchPushed,
+        getLocalBranches,
+        runMergeRequestFlow,
+        runMergeRequestStack,
+        runMergeRequestsForRepositories,
+        checkOutMergeRequestBranch,
+        deleteMergeRequestBranches,
+        cleanUpMergedBranches,
+        startBranch
+    };
+}
+
+module.exports = {
+    PREFLIGHT_STASH_MESSAGE,
+    START_STASH_MESSAGE,
+    createFlow
+};
@@ -0,0 +1,1247 @@
+// The git helpers the merge request flows share: choosing the remote and target branch, preflight checks, integrating
+// the target branch, and pushing and following up on merge requests. Git execution, prompts, URL opening and logging
+// are passed in as a host, so the flows run against VS Code in the extension and against temporary repositories in tests.
+const fs = require('fs').promises;
+const path = require('path');
+const { parseRemoteUrl, getMergeRequestUrl } = require('./remoteUrl');
+const { UNMATCHED_BRANCH_ACTIONS, matchBranchRule, normalizeRule } = require('./branchRules');
+const {
+    DEFAULT_TITLE_TEMPLATE,
+    DEFAULT_DESCRIPTION_TEMPLATE,
+    renderTemplate,
+    buildTemplateVariables,
+    listDescriptionTemplateFiles,
+    readDescriptionTemplateFile
+} = require('./template');
+const { parseList, toPushOptionArgs, getRememberedDefaults } = require('./pushOptions');
+const { INTEGRATION_STRATEGIES, buildIntegrationArgs, isConflictOutput, buildForceWithLeaseArg } = require('./integration');
+const { parseStatus, isDirty } = require('./gitStatus');
+const { getCachedMergeRequest, cacheMergeRequest, forgetMergeRequest, findMergeRequestIidForSha } = require('./mergeRequestCache');
+const { getStackParent, rememberStackParent, parseBranchList, pickClosestBranch } = require('./stack');
+const { recordMergeRequest } = require('./mergeRequestHistory');
+const { getBranchStart } = require('./branchStart');
+const { normalizeChecks, findConflictMarkers, matchForbiddenPaths } = require('./checks');
+const { pollPipeline } = require('./gitlabApi');
+const {
+    REMOTE_CONFIG_PATTERN,
+    parseConfigEntries,
+    resolveRemotes,
+    getConfiguredPushRemote,
+    pickRemote,
+    getRememberedRemote,
+    rememberRemote
+} = require('./remotes');
+
+/** @typedef {import('./mergeRequestCache').CachedMergeRequest} CachedMergeRequest */
+
+/** Message of the stash entry created by the preflight stage. */
+const PREFLIGHT_STASH_MESSAGE = 'gitlab-mr-flow: changes stashed before creating merge request';
+
+/**
+ * Workspace state, e.g. `vscode.Memento`.
+ * @typedef {{get: function(string, any): any, update: function(string, any): Thenable<void>}} Memento
+ */
+
+/**
+ * Prompts and notifications, with the signatures of their `vscode.window` counterparts.
+ * @typedef {Object} FlowUi
+ * @property {function(string, ...any): Thenable<any>} showInformationMessage - Shows a message with optional buttons.
+ * @property {function(string, ...any): Thenable<any>} showWarningMessage - Shows a warning with optional buttons.
+ * @property {function(string, ...any): Thenable<any>} showErrorMessage - Shows an error with optional buttons.
+ * @property {function(any[], Object): Thenable<any>} showQuickPick - Lets the user pick one or (with `canPickMany`) several items.
+ * @property {function(Object): Thenable<string | undefined>} showInputBox - Asks for a line of text.
+ * @property {function(string, string): Promise<{title: string, description: string} | undefined>} editMergeRequestDetails -
+ *   Lets the user edit the generated title and description; undefined if cancelled.
+ * @property {function(import('./pushOptions').PushOptionDefaults): Promise<import('./pushOptions').PushOptionDefaults | undefined>} runOptionsWizard -
+ *   Lets the user adjust the push options; undefined if cancelled.
+ */
+
+/**
+ * Progress and cancellation of the run the flow belongs to.
+ * @typedef {Object} RunControl
+ * @property {function(string): void} reportStep - Shows and records the stage the run is in, e.g. `Fetching origin`.
+ * @property {function(string): void} setResult - Records how the run ended, e.g. `success` or `conflict`.
+ * @property {function(): boolean} isCancelled - Checks whether the user cancelled the run.
+ * @property {function(function(): Promise<any>): Promise<any>} uncancellable - Runs work that has to finish even after cancelling,
+ *   such as putting the repository back.
+ */
+
+/**
+ * What the flow needs from its host.
+ * @typedef {Object} FlowHost
+ * @property {function(string[], string, string): Promise<{stdout: string, stderr: string, exitCode?: number | null}>} runGitCommand -
+ *   Runs git with the arguments in a working directory; the third argument describes the command for messages.
+ *   The exit code is null if the command was killed, e.g. after a timeout.
+ * @property {FlowUi} ui - Prompts and notifications.
+ * @property {function(string): Promise<any>} openUrl - Opens a URL in the browser.
+ * @property {function(string): void} log - Appends a line to the log.
+ * @property {function(import('./checks').PreMergeRequestCheck, string): Promise<{passed: boolean, reason?: string}>} runCheck -
+ *   Runs a `gitlab-mr-flow.preMergeRequestChecks` entry in the repository root; the reason says why it failed,
+ *   e.g. `failed with exit code 1`.
+ * @property {function(): {get: function(string, any): any}} getConfiguration - Reads the `gitlab-mr-flow` settings.
+ * @property {function(import('./remoteUrl').GitLabProject): Promise<Object | undefined>} [getApiClient] - Creates a
+ *   `gitlabApi` client for the instance hosting a project; undefined if no access token is stored for it,
+ *   in which case the flow only uses git.
+ * @property {RunControl} [run] - Progress and cancellation; without it steps are only logged and runs cannot be cancelled.
+ * @property {function(): void} [onMergeRequestsChanged] - Called after the merge request history or the branches it lists changed,
+ *   e.g. when a pushed merge request was recorded or its branches were deleted.
+ */
+
+/**
+ * The host, with the run control filled in, and the helpers the flows share, as created by `createFlowCore`.
+ * @typedef {Object} FlowCore
+ */
+
+/**
+ * Creates the helpers the merge request flows share on top of a host.
+ * @param {FlowHost} host - Git execution, prompts, URL opening, logging and settings.
+ * @returns {FlowCore} The host and the shared helpers.
+ */
+function createFlowCore({
+    runGitCommand,
+    ui,
+    openUrl,
+    log,
+    runCheck,
+    getConfiguration,
+    getApiClient,
+    run = createLoggingRunControl(log),
+    onMergeRequestsChanged = () => {}
+}) {
+    /**
+     * Reads the remote related git configuration, including `[include]`/`[includeIf]` files.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @returns {Promise<import('./remotes').ConfigEntry[]>} The config entries.
+     * @throws {Error} If the configuration cannot be read.
+     */
+    async function readRemoteConfig(workspaceRoot) {
+        const result = await runGitCommand(['config', '-z', '--get-regexp', REMOTE_CONFIG_PATTERN], workspaceRoot, 'read remote configuration');
+        // Exit code 1 means no key matched
+        if (result.exitCode !== 0 && result.exitCode !== 1) {
+            throw new Error('Could not read the git configuration.');
+        }
+        return parseConfigEntries(result.stdout);
+    }
+
+    /**
+     * Lets the user pick one of several remotes.
+     * @param {import('./remotes').Remote[]} remotes - The remotes to choose from.
+     * @returns {Promise<import('./remotes').Remote | undefined>} The chosen remote, or undefined if cancelled.
+     */
+    async function promptForRemote(remotes) {
+        const selectedRemote = await ui.showQuickPick(remotes.map(r => ({
+            label: r.remoteName,
+            description: r.pushUrl,
+            detail: r.fetchUrl !== r.pushUrl ? `Fetch: ${r.fetchUrl}` : undefined
+        })), {
+            placeHolder: 'Multiple remotes found. Select the one to push to. The choice is remembered for this repository.',
+            ignoreFocusOut: true // Keep open even if focus moves
+        });
+        return selectedRemote ? remotes.find(r => r.remoteName === selectedRemote.label) : undefined;
+    }
+
+    /**
+     * Determines the remote to push to and its URLs.
+     * Uses the preferred remote, the choice remembered for the repository, git's push remote for the branch,
+     * `origin` or the only remote, in that order, and prompts (remembering the answer) otherwise.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {{memento?: Memento, branch?: string, preferredRemoteName?: string}} [options] - Workspace state holding
+     *   the remembered choice, the branch being pushed, and a remote to use without prompting, if it exists.
+     * @returns {Promise<{remoteName: string, remoteUrl: string, fetchUrl: string, pushUrl: string}>} The selected remote.
+     *   `remoteUrl` is the push URL, since that is the project the merge request is created in.
+     * @throws {Error} If no remote is found, the config is unreadable, or the user cancels the selection.
+     */
+    async function getOrigin(workspaceRoot, { memento, branch, preferredRemoteName } = {}) {
+        const entries = await readRemoteConfig(workspaceRoot);
+        const remotes = resolveRemotes(entries);
+        if (remotes.length === 0) {
+            log('No remote URLs found in git config.');
+            throw new Error('No remote URLs found in git config.');
+        }
+        const toOrigin = remote => ({ remoteName: remote.remoteName, remoteUrl: remote.pushUrl, fetchUrl: remote.fetchUrl, pushUrl: remote.pushUrl });
+
+        const picked = pickRemote(remotes, {
+            preferred: preferredRemoteName,
+            remembered: memento ? getRememberedRemote(memento, workspaceRoot) : undefined,
+            configured: getConfiguredPushRemote(entries, branch)
+        });
+        if (picked) {
+            log(`Using remote ${picked.remote.remoteName} (${picked.reason}): push ${picked.remote.pushUrl}, fetch ${picked.remote.fetchUrl}`);
+            return toOrigin(picked.remote);
+        }
+
+        log(`Multiple remotes found: ${remotes.map(r => `${r.remoteName}: ${r.pushUrl}`).join(', ')}`);
+        const selected = await promptForRemote(remotes);
+        if (!selected) {
+            log('User cancelled remote selection.');
+            throw new Error('Remote selection cancelled by user.');
+        }
+        if (memento) {
+            await rememberRemote(memento, workspaceRoot, selected.remoteName);
+        }
+        log(`User selected remote ${selected.remoteName}: ${selected.pushUrl}`);
+        return toOrigin(selected);
+    }
+
+    /**
+     * Gets the GitLab API client for the project behind a remote.
+     * @param {{remoteName: string, remoteUrl: string}} origin - The remote.
+     * @returns {Promise<{client: Object, project: import('./remoteUrl').GitLabProject} | undefined>} The client and project;
+     *   undefined if no access token is stored for the instance or the remote URL is not a GitLab project.
+     */
+    async function getGitLabApi(origin) {
+        if (!getApiClient) {
+            return undefined;
+        }
+        try {
+            const project = getGitLabProject(origin);
+            const client = await getApiClient(project);
+            return client ? { client, project } : undefined;
+        } catch (error) {
+            log(`GitLab API not available for ${origin.remoteName}: ${error.message}`);
+            return undefined;
+        }
+    }
+
+    /**
+     * Determines the target branch for the merge request.
+     * Asks the GitLab API for the project's default branch if an access token is stored,
+     * then tries 'git remote show <remote>'.
+     * Falls back to prompting the user with a list of the remote's branches.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {string} remoteName - The remote whose default branch is the target.
+     * @returns {Promise<string>} The selected target branch name.
+     * @throws {Error} If the target branch cannot be determined or user cancels selection.
+     */
+    async function getTargetBranch(workspaceRoot, remoteName) {
+        log('Determining target branch...');
+
+        // Attempt 0: Ask the GitLab API
+        const remote = getApiClient
+            ? resolveRemotes(await readRemoteConfig(workspaceRoot).catch(() => [])).find(r => r.remoteName === remoteName)
+            : undefined;
+        const api = remote ? await getGitLabApi({ remoteName, remoteUrl: remote.pushUrl }) : undefined;
+        if (api) {
+            try {
+                const defaultBranch = await api.client.getDefaultBranch(api.project.projectPath);
+                if (defaultBranch) {
+                    log(`Found default branch via GitLab API: ${defaultBranch}`);
+                    return defaultBranch;
+                }
+                log('GitLab API reported no default branch.');
+            } catch (apiError) {
+                log(`${apiError.message}. Falling back to 'git remote show ${remoteName}'.`);
+            }
+        }
+
+        // Attempt 1: Use 'git remote show'
+        try {
+            const remoteShowResult = await runGitCommand(['remote', 'show', remoteName], workspaceRoot, `show remote ${remoteName}`);
+            if (remoteShowResult.exitCode === 0 && remoteShowResult.stdout) {
+                const headBranchMatch = remoteShowResult.stdout.match(/HEAD branch:\s*(\S+)/);
+                if (headBranchMatch && headBranchMatch[1]) {
+                    const defaultBranch = headBranchMatch[1];
+                    // Verify it's not '(unknown)' which sometimes happens
+                    if (defaultBranch !== '(unknown)') {
+                        log(`Found default remote branch via 'remote show': ${defaultBranch}`);
+                        return defaultBranch;
+                    } else {
+                         log(`'git remote show ${remoteName}' reported HEAD branch as '(unknown)'.`);
+                    }
+                } else {
+                     log(`Could not parse HEAD branch from 'git remote show ${remoteName}' output.`);
+                }
+            } else {
+                 log(`'git remote show ${remoteName}' failed or produced no output. Exit code: ${remoteShowResult.exitCode}`);
+            }
+        } catch (error) {
+            // Log error from runGitCommand but continue to fallback
+            log(`Error running 'git remote show ${remoteName}': ${error.message}. Falling back to listing the ${remoteName} branches.`);
+        }
+
+        // Attempt 2: Fallback to listing the remote-tracking branches and prompt user
+        log(`Falling back to listing the ${remoteName} branches.`);
+        let remoteBranches = [];
+        try {
+            const listResult = await runGitCommand(['for-each-ref', '--format=%(refname:lstrip=3)', `refs/remotes/${remoteName}/`], workspaceRoot, `list ${remoteName} branches`);
+            if (listResult.exitCode === 0) {
+                // Skip the symbolic ref pointing to the remote HEAD branch
+                remoteBranches = parseBranchList(listResult.stdout).filter(branch => branch !== 'HEAD');
+            } else {
+                log(`Listing the ${remoteName} branches failed. Exit code: ${listResult.exitCode}`);
+                throw new Error(`Could not list the branches of ${remoteName}.`);
+            }
+
+            if (remoteBranches.length === 0) {
+                log(`No remote branches found for ${remoteName}.`);
+                throw new Error(`No remote branches found for ${remoteName}.`);
+            }
+
+            log(`Found remote branches: ${remoteBranches.join(', ')}`);
+            const selectedBranch = await ui.showQuickPick(remoteBranches, {
+                placeHolder: "Could not automatically determine default branch. Please select the target branch for the Merge Request.",
+                ignoreFocusOut: true
+            });
+
+            if (!selectedBranch) {
+                log('User cancelled target branch selection.');
+                throw new Error('Target branch selection cancelled by user.');
+            }
+
+            log(`User selected target branch: ${selectedBranch}`);
+            return selectedBranch;
+
+        } catch (error) {
+            // Log or handle error from runGitCommand or QuickPick
+            log(`Error during fallback branch selection: ${error.message}`);
+            // Re-throw if it's not already a user cancellation
+            if (error.message.includes('cancelled by user')) {
+                 throw error;
+            }
+            throw new Error('Failed to determine target branch.');
+        }
+    }
+
+    /**
+     * Gets the current Git branch name.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @returns {Promise<string>} The current branch name.
+     * @throws {Error} If the branch name cannot be determined.
+     */
+    async function getCurrentBranch(workspaceRoot) {
+        log('Determining current branch...');
+        try {
+            const { stdout, exitCode } = await runGitCommand(['branch', '--show-current'], workspaceRoot, 'get current branch');
+            if (exitCode === 0 && stdout) {
+                const currentBranch = stdout.trim();
+                if (currentBranch) {
+                    log(`Current branch is: ${currentBranch}`);
+                    return currentBranch;
+                } else {
+                     log('`git branch --show-current` returned empty output.');
+                     // This might happen in detached HEAD state, though less common with --show-current
+                     throw new Error('Could not determine current branch (empty output). Possibly in detached HEAD state?');
+                }
+            } else {
+                log(`'git branch --show-current' failed. Exit code: ${exitCode}`);
+                // Attempt fallback for older Git versions? `git rev-parse --abbrev-ref HEAD` is an alternative
+                // For now, just error out based on the plan.
+                throw new Error('Failed to get current branch name.');
+            }
+        } catch (error) {
+            log(`Error getting current branch: ${error.message}`);
+            // Re-throw the specific error
+            throw new Error(`Failed to determine current branch: ${error.message}`);
+        }
+    }
+
+    /**
+     * Resolves the GitLab project descriptor for a remote, applying `gitlab-mr-flow.instances`
+     * and the SSH-to-web host mapping.
+     * @param {{remoteName: string, remoteUrl: string}} origin - The selected remote.
+     * @returns {import('./remoteUrl').GitLabProject} The parsed project descriptor.
+     * @throws {Error} If the remote URL cannot be parsed.
+     */
+    function getGitLabProject(origin) {
+        const config = getConfiguration();
+        const project = parseRemoteUrl(origin.remoteUrl, {
+            hostMapping: config.get('sshHostMapping', {}),
+            instances: config.get('instances', [])
+        });
+        log(`Resolved GitLab project: ${project.projectPath} at ${project.webBaseUrl}`);
+        return project;
+    }
+
+    /**
+     * Determines which branch rule applies to the current branch.
+     * Branches matching no rule are handled according to `gitlab-mr-flow.unmatchedBranchAction`.
+     * @param {string} currentBranch - The current branch name.
+     * @returns {Promise<import('./branchRules').BranchRule | undefined>} The rule to create the MR with,
+     *   or undefined if only the MR list page should be opened.
+     * @throws {Error} If a configured rule or the unmatched branch action is invalid.
+     */
+    async function resolveBranchRule(currentBranch) {
+        const config = getConfiguration();
+        const rule = matchBranchRule(currentBranch, config.get('branchRules', []));
+        if (rule) {
+            log(`Branch "${currentBranch}" matched rule "${rule.pattern}" (createMergeRequest: ${rule.createMergeRequest}).`);
+            return rule.createMergeRequest ? rule : undefined;
+        }
+
+        const unmatchedAction = config.get('unmatchedBranchAction', 'openList');
+        if (!UNMATCHED_BRANCH_ACTIONS.includes(unmatchedAction)) {
+            throw new Error(`Invalid gitlab-mr-flow.unmatchedBranchAction setting "${unmatchedAction}". Use one of: ${UNMATCHED_BRANCH_ACTIONS.join(', ')}.`);
+        }
+        log(`Branch "${currentBranch}" matched no branch rule. Unmatched branch action: ${unmatchedAction}.`);
+        if (unmatchedAction === 'create') {
+            return normalizeRule({ pattern: currentBranch });
+        }
+        if (unmatchedAction === 'ask') {
+            const createItem = 'Create Merge Request';
+            const choice = await ui.showQuickPick([createItem, 'Open Merge Requests List'], {
+                placeHolder: `Branch "${currentBranch}" matches no branch rule. What do you want to do?`,
+                ignoreFocusOut: true
+            });
+            if (choice === createItem) {
+                log('User chose to create a Merge Request for the unmatched branch.');
+                return normalizeRule({ pattern: currentBranch });
+            }
+            log('User chose to open the MR list page (or cancelled).');
+        }
+        return undefined;
+    }
+
+    /**
+     * Lists the subjects of commits on HEAD that are not yet in the remote target branch, oldest first.
+     * Merge commits are skipped.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {string} remoteName - The remote name.
+     * @param {string} targetBranch - The target branch name.
+     * @returns {Promise<string[]>} The commit subjects; empty if the log cannot be read.
+     */
+    async function getCommitSubjects(workspaceRoot, remoteName, targetBranch) {
+        const range = `${remoteName}/${targetBranch}..HEAD`;
+        const logResult = await runGitCommand(['log', '--reverse', '--no-merges', '--format=%s', range], workspaceRoot, `list commits in ${range}`);
+        if (logResult.exitCode !== 0) {
+            log(`Could not list commits in ${range}. Exit code: ${logResult.exitCode}`);
+            return [];
+        }
+        return logResult.stdout.split('\n').map(line => line.trim()).filter(Boolean);
+    }
+
+    /**
+     * Reads the configured git `user.name`.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @returns {Promise<string>} The user name, or an empty string if not configured.
+     */
+    async function getGitUserName(workspaceRoot) {
+        const result = await runGitCommand(['config', 'user.name'], workspaceRoot, 'get git user name');
+        return result.exitCode === 0 ? result.stdout.trim() : '';
+    }
+
+    /**
+     * Picks the description template: the file named by `gitlab-mr-flow.descriptionTemplateFile`,
+     * else GitLab's `Default.md` template, else the `gitlab-mr-flow.descriptionTemplate` setting.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @returns {Promise<string>} The description template text.
+     */
+    async function resolveDescriptionTemplate(workspaceRoot) {
+        const config = getConfiguration();
+        const templateFile = config.get('descriptionTemplateFile', '');
+        if (templateFile) {
+            const content = await readDescriptionTemplateFile(workspaceRoot, templateFile);
+            if (content !== undefined) {
+                log(`Using description template file: ${templateFile}`);
+                return content;
+            }
+            log(`Description template file "${templateFile}" not found. Falling back to settings.`);
+        } else if ((await listDescriptionTemplateFiles(workspaceRoot)).includes('Default')) {
+            log('Using description template file: Default');
+            return await readDescriptionTemplateFile(workspaceRoot, 'Default');
+        }
+        return config.get('descriptionTemplate', DEFAULT_DESCRIPTION_TEMPLATE);
+    }
+
+    /**
+     * Reads the SHA a remote-tracking branch points to.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {string} remoteName - The remote name.
+     * @param {string} branch - The branch name on the remote.
+     * @returns {Promise<string | undefined>} The SHA, or undefined if the remote branch does not exist.
+     */
+    async function getRemoteBranchSha(workspaceRoot, remoteName, branch) {
+        const result = await runGitCommand(['rev-parse', '--verify', '--quiet', `refs/remotes/${remoteName}/${branch}`], workspaceRoot, `resolve ${remoteName}/${branch}`);
+        return result.exitCode === 0 && result.stdout.trim() ? result.stdout.trim() : undefined;
+    }
+
+    /**
+     * Finds the merge request that already exists for a source branch, first in the workspace state cache,
+     * then (if allowed) in GitLab's `refs/merge-requests/<iid>/head` refs on the remote.
+     * With an access token, querying the remote asks the GitLab API instead, which also drops
+     * a cached entry whose merge request was merged or closed.
+     * A cached entry is dropped when the remote branch no longer exists, e.g. after it was deleted on merge.
+     * @param {Memento} memento - Workspace state holding the branch → merge request cache.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {{remoteName: string, remoteUrl: string}} origin - The selected remote.
+     * @param {string} currentBranch - The source branch.
+     * @param {string} targetBranch - The target branch, remembered with a merge request found on the remote.
+     * @param {boolean} queryRemote - Whether to ask the GitLab API, or run `git ls-remote` when nothing is cached.
+     * @returns {Promise<CachedMergeRequest | undefined>} The existing merge request, if any.
+     */
+    async function findExistingMergeRequest(memento, workspaceRoot, origin, currentBranch, targetBranch, queryRemote) {
+        const cached = getCachedMergeRequest(memento, workspaceRoot, origin.remoteName, currentBranch);
+        const remoteSha = await getRemoteBranchSha(workspaceRoot, origin.remoteName, currentBranch);
+        if (!remoteSha) {
+            if (cached) {
+                log(`${origin.remoteName}/${currentBranch} no longer exists. Forgetting Merge Request !${cached.iid}.`);
+                await forgetMergeRequest(memento, workspaceRoot, origin.remoteName, currentBranch);
+            }
+            return undefined;
+        }
+        if (!queryRemote) {
+            return cached;
+        }
+
+        const api = await getGitLabApi(origin);
+        if (api) {
+            try {
+                const mergeRequest = await api.client.findOpenMergeRequest(api.project.projectPath, currentBranch);
+                if (!mergeRequest) {
+                    if (cached) {
+                        log(`Merge Request !${cached.iid} is no longer open. Forgetting it.`);
+                        await forgetMergeRequest(memento, workspaceRoot, origin.remoteName, currentBranch);
+                    }
+                    return undefined;
+                }
+                log(`Found open Merge Request !${mergeRequest.iid} via GitLab API.`);
+                await cacheMergeRequest(memento, workspaceRoot, origin.remoteName, currentBranch, mergeRequest);
+                return mergeRequest;
+            } catch (apiError) {
+                log(`${apiError.message}. Falling back to merge request refs.`);
+            }
+        }
+        if (cached) {
+            return cached;
+        }
+
+        // Only the head refs matter, and only the merge request whose head is the branch's tip on the remote right now
+        const result = await runGitCommand(['ls-remote', origin.remoteName, `refs/heads/${currentBranch}`, 'refs/merge-requests/*/head'], workspaceRoot, 'list merge request refs');
+        const tipLine = result.exitCode === 0 ? result.stdout.split('\n').find(line => line.endsWith(`\trefs/heads/${currentBranch}`)) : undefined;
+        const iid = tipLine ? findMergeRequestIidForSha(result.stdout, tipLine.split('\t')[0]) : undefined;
+        if (iid === undefined) {
+            return undefined;
+        }
+        try {
+            const mergeRequest = { iid, url: getMergeRequestUrl(getGitLabProject(origin), iid), targetBranch };
+            await cacheMergeRequest(memento, workspaceRoot, origin.remoteName, currentBranch, mergeRequest);
+            return mergeRequest;
+        } catch (parseError) {
+            log(`Found Merge Request !${iid}, but could not build its URL: ${parseError.message}`);
+            return undefined;
+        }
+    }
+
+    /**
+     * Remembers a merge request that was just pushed: caches it for its branch and records it in the history.
+     * @param {Memento} memento - Workspace state.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {string} remoteName - The remote the branch was pushed to.
+     * @param {string} branch - The source branch.
+     * @param {CachedMergeRequest} mergeRequest - The merge request.
+     * @returns {Promise<void>}
+     */
+    async function rememberPushedMergeRequest(memento, workspaceRoot, remoteName, branch, mergeRequest) {
+        await cacheMergeRequest(memento, workspaceRoot, remoteName, branch, mergeRequest);
+        await recordMergeRequest(memento, workspaceRoot, { ...mergeRequest, remoteName, branch });
+        onMergeRequestsChanged();
+    }
+
+    /**
+     * Follows up on a pushed merge request through the GitLab API, if an access token is stored:
+     * sets the multi-line description and the `gitlab-mr-flow.reviewers` on a new merge request
+     * and watches its pipeline in the background.
+     * @param {{remoteName: string, remoteUrl: string}} origin - The remote the branch was pushed to.
+     * @param {number} iid - The merge request IID.
+     * @param {boolean} created - Whether the push created the merge request.
+     * @param {string} [description] - The description the merge request was created with.
+     * @returns {Promise<void>}
+     */
+    async function followUpMergeRequest(origin, iid, created, description) {
+        const api = await getGitLabApi(origin);
+        if (!api) {
+            return;
+        }
+        if (created && description && /\n/.test(description)) {
+            // Push options cannot carry line breaks, so the pushed description has <br> instead of its Markdown lines
+            try {
+                await api.client.setDescription(api.project.projectPath, iid, description);
+                log(`Set the description of Merge Request !${iid} through the GitLab API.`);
+            } catch (apiError) {
+                log(`Could not set the description: ${apiError.message}`);
+                ui.showWarningMessage(`Could not set the description of Merge Request !${iid}, so its line breaks show as <br>: ${apiError.message}`);
+            }
+        }
+        const config = getConfiguration();
+        const reviewers = created ? parseList(config.get('reviewers', [])) : [];
+        if (reviewers.length > 0) {
+            try {
+                const { ids, unknown } = await api.client.findUserIds(reviewers);
+                if (unknown.length > 0) {
+                    ui.showWarningMessage(`No GitLab users named ${unknown.join(', ')}. They were not added as reviewers of Merge Request !${iid}.`);
+                }
+                if (ids.length > 0) {
+                    await api.client.setReviewers(api.project.projectPath, iid, ids);
+                    log(`Set reviewers of Merge Request !${iid}: ${reviewers.join(', ')}`);
+                }
+            } catch (apiError) {
+                log(`Could not set reviewers: ${apiError.message}`);
+                ui.showWarningMessage(`Could not set the reviewers of Merge Request !${iid}: ${apiError.message}`);
+            }
+        }
+        if (config.get('pipelineNotifications', true)) {
+            watchPipeline(api, iid);
+        }
+    }
+
+    /**
+     * Polls the pipeline of a merge request and notifies the user when it finishes. Not awaited by the flow.
+     * @param {{client: Object, project: import('./remoteUrl').GitLabProject}} api - The API client and project.
+     * @param {number} iid - The merge request IID.
+     * @returns {Promise<void>} Resolves once the notification was dismissed or polling stopped.
+     */
+    function watchPipeline(api, iid) {
+        log(`Watching the pipeline of Merge Request !${iid}...`);
+        return pollPipeline(api.client, api.project.projectPath, iid, {
+            onUpdate: pipeline => log(`Pipeline #${pipeline.id} of Merge Request !${iid}: ${pipeline.status}`)
+        }).then(async pipeline => {
+            if (!pipeline) {
+                log(`Stopped watching the pipeline of Merge Request !${iid}: none finished in time.`);
+                return;
+            }
+            const show = pipeline.status === 'success' ? ui.showInformationMessage
+                : pipeline.status === 'failed' ? ui.showErrorMessage
+                    : ui.showWarningMessage;
+            const openItem = 'Open Pipeline';
+            const choice = await show(`Pipeline #${pipeline.id} of Merge Request !${iid}: ${pipeline.status}.`, openItem);
+            if (choice === openItem) {
+                await openUrl(pipeline.url);
+            }
+        }, error => {
+            log(`Stopped watching the pipeline of Merge Request !${iid}: ${error.message}`);
+        });
+    }
+
+    /**
+     * Reads the `gitlab-mr-flow.integrationStrategy` setting.
+     * @returns {string} `merge`, `rebase` or `none`.
+     * @throws {Error} If the setting has another value, which would otherwise be run as a git command.
+     */
+    function getIntegrationStrategy() {
+        const strategy = getConfiguration().get('integrationStrategy', 'merge');
+        if (!INTEGRATION_STRATEGIES.includes(strategy)) {
+            throw new Error(`Invalid gitlab-mr-flow.integrationStrategy setting "${strategy}". Use one of: ${INTEGRATION_STRATEGIES.join(', ')}.`);
+        }
+        return strategy;
+    }
+
+    /**
+     * Merges or rebases the remote target branch into the checked out branch, following the integration strategy.
+     * Offers to continue or abort on conflicts.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {string} integrationStrategy - `merge`, `rebase` or `none`.
+     * @param {string} remoteName - The remote name.
+     * @param {string} currentBranch - The checked out branch.
+     * @param {string} targetBranch - The target branch.
+     * @param {{outcome: string, conflictResult?: string, integrated?: {branch: string, sha: string}}} flowState - Updated with
+     *   where the branch was before integrating, to undo it if the flow fails, and with the conflict outcome.
+     * @returns {Promise<boolean>} True if the branch is ready to push.
+     */
+    async function integrateTargetBranch(workspaceRoot, integrationStrategy, remoteName, currentBranch, targetBranch, flowState) {
+        if (integrationStrategy === 'none') {
+            log('Integration strategy is "none". Skipping merge/rebase of the target branch.');
+            return true;
+        }
+        const headResult = await runGitCommand(['rev-parse', 'HEAD'], workspaceRoot, `resolve ${currentBranch}`);
+        flowState.integrated = headResult.exitCode === 0 ? { branch: currentBranch, sha: headResult.stdout.trim() } : undefined;
+        log(`Attempting to ${integrationStrategy} ${currentBranch} with ${remoteName}/${targetBranch}...`);
+        const integrationArgs = buildIntegrationArgs(integrationStrategy, remoteName, targetBranch);
+        const integrationResult = await runGitCommand(integrationArgs, workspaceRoot, `${integrationStrategy} ${remoteName}/${targetBranch}`);
+
+        // Check for conflicts or other errors during merge/rebase
+        if (integrationResult.exitCode !== 0) {
+            const errorOutput = `${integrationResult.stdout || ''}\n${integrationResult.stderr || ''}`; // Combine outputs for checking
+            // Check specifically for conflict indicators
+            if (isConflictOutput(errorOutput)) {
+                log(`${integrationStrategy === 'rebase' ? 'Rebase' : 'Merge'} conflict detected.`);
+                flowState.outcome = 'conflict';
+                flowState.conflictResult = await offerConflictResolution(workspaceRoot, integrationStrategy);
+                return false;
+            } else if (errorOutput.includes('fatal: Need to specify how to reconcile divergent branches.')) {
+                // This specific error shouldn't happen with fetch + merge, but handle defensively
+                log('Error: Divergent branches detected during merge attempt.');
+                ui.showErrorMessage(`Error: Divergent branches. This shouldn't happen with fetch+merge. Check Git status and Output channel.`);
+                return false;
+            }
+            else {
+                log(`Git ${integrationStrategy} failed with exit code ${integrationResult.exitCode}.`);
+                ui.showErrorMessage(`Git ${integrationStrategy} of ${remoteName}/${targetBranch} failed. Check Output channel for details.`);
+                return false;
+            }
+        }
+        log(`${integrationStrategy === 'rebase' ? 'Rebase' : 'Merge'} successful.`);
+        return true;
+    }
+
+    /**
+     * Runs the pre-MR quality gates on the integrated branch: the conflict marker and forbidden path checks
+     * on the changes against the target branch, then every `gitlab-mr-flow.preMergeRequestChecks` entry.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {string} remoteName - The remote name.
+     * @param {string} targetBranch - The target branch.
+     * @returns {Promise<string[]>} What failed, e.g. `npm test failed with exit code 1`; empty if every check passed.
+     * @throws {Error} If the checks setting is invalid.
+     */
+    async function runPreMergeRequestChecks(workspaceRoot, remoteName, targetBranch) {
+        const config = getConfiguration();
+        let checks;
+        try {
+            checks = normalizeChecks(config.get('preMergeRequestChecks', []));
+        } catch (settingError) {
+            throw new Error(`Invalid gitlab-mr-flow.preMergeRequestChecks setting: ${settingError.message}`);
+        }
+        const range = `${remoteName}/${targetBranch}...HEAD`;
+        const failures = [];
+
+        if (config.get('checkConflictMarkers', true)) {
+            const diffResult = await runGitCommand(['diff', '--unified=0', '--no-color', '--no-ext-diff', range], workspaceRoot, `look for conflict markers in ${range}`);
+            const markers = diffResult.exitCode === 0 ? findConflictMarkers(diffResult.stdout) : [];
+            if (diffResult.exitCode !== 0) {
+                failures.push('conflict markers could not be checked');
+            } else if (markers.length > 0) {
+                const locations = markers.map(marker => `${marker.file}:${marker.line}`);
+                log(`Conflict markers: ${locations.join(', ')}`);
+                failures.push(`conflict markers in ${locations.slice(0, 3).join(', ')}${locations.length > 3 ? ` and ${locations.length - 3} more` : ''}`);
+            }
+        }
+
+        const forbiddenPaths = config.get('forbiddenPaths', []);
+        if (forbiddenPaths.length > 0) {
+            const namesResult = await runGitCommand(['diff', '--name-only', '-z', '--diff-filter=d', range], workspaceRoot, `list files changed in ${range}`);
+            const forbidden = namesResult.exitCode === 0 ? matchForbiddenPaths(namesResult.stdout.split('\0').filter(Boolean), forbiddenPaths) : [];
+            if (namesResult.exitCode !== 0) {
+                failures.push('forbidden paths could not be checked');
+            } else if (forbidden.length > 0) {
+                log(`Forbidden paths changed: ${forbidden.join(', ')}`);
+                failures.push(`forbidden paths changed: ${forbidden.join(', ')}`);
+            }
+        }
+
+        for (const check of checks) {
+            run.reportStep(`Running check: ${check.name}`);
+            const result = await runCheck(check, workspaceRoot);
+            log(`Check "${check.name}" ${result.passed ? 'passed' : result.reason}.`);
+            if (!result.passed) {
+                failures.push(`${check.name} ${result.reason}`);
+            }
+        }
+        return failures;
+    }
+
+    /**
+     * Asks how to go on after pre-MR checks failed.
+     * @param {string[]} failures - What failed.
+     * @param {string} [branch] - The branch the checks ran on, named in the message when several branches are pushed.
+     * @returns {Promise<'abort' | 'draft' | 'push'>} The choice; `abort` if the message was dismissed.
+     */
+    async function askAfterFailedChecks(failures, branch) {
+        const draftItem = 'Push as Draft';
+        const pushItem = 'Push Anyway';
+        const choice = await ui.showErrorMessage(`Pre-MR checks failed${branch ? ` for ${branch}` : ''}: ${failures.join('; ')}. Check Output channel for details.`, draftItem, pushItem, 'Abort');
+        if (choice === draftItem) {
+            return 'draft';
+        }
+        return choice === pushItem ? 'push' : 'abort';
+    }
+
+    /**
+     * Finds the closest local branch a branch is built on, ignoring branches already merged into the default branch.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {string} remoteName - The remote name.
+     * @param {string} branch - The branch.
+     * @param {string} defaultBranch - The default branch of the remote.
+     * @param {boolean} pushedOnly - Only consider branches that exist on the remote.
+     * @returns {Promise<string | undefined>} The parent branch, if any.
+     */
+    async function findParentBranch(workspaceRoot, remoteName, branch, defaultBranch, pushedOnly) {
+        const listResult = await runGitCommand(
+            ['for-each-ref', '--format=%(refname:short)', '--merged', `refs/heads/${branch}`, '--no-merged', `refs/remotes/${remoteName}/${defaultBranch}`, 'refs/heads'],
+            workspaceRoot,
+            `list branches ${branch} is built on`
+        );
+        if (listResult.exitCode !== 0) {
+            return undefined;
+        }
+        const candidates = [];
+        for (const candidate of parseBranchList(listResult.stdout)) {
+            if (candidate === branch || (pushedOnly && !await getRemoteBranchSha(workspaceRoot, remoteName, candidate))) continue;
+            const countResult = await runGitCommand(['rev-list', '--count', `refs/heads/${candidate}..refs/heads/${branch}`], workspaceRoot, `count commits between ${candidate} and ${branch}`);
+            if (countResult.exitCode === 0) {
+                candidates.push({ branch: candidate, distance: parseInt(countResult.stdout.trim(), 10) });
+            }
+        }
+        return pickClosestBranch(candidates);
+    }
+
+    /**
+     * Checks whether a branch can still be stacked on: it exists locally (and on the remote, if required)
+     * and is not merged into the default branch yet.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {string} remoteName - The remote name.
+     * @param {string} parent - The parent branch.
+     * @param {string} defaultBranch - The default branch of the remote.
+     * @param {boolean} requirePushed - Whether the parent must exist on the remote.
+     * @returns {Promise<boolean>} True if the parent is usable as a target.
+     */
+    async function isStackableParent(workspaceRoot, remoteName, parent, defaultBranch, requirePushed) {
+        const localResult = await runGitCommand(['rev-parse', '--verify', '--quiet', `refs/heads/${parent}`], workspaceRoot, `resolve ${parent}`);
+        if (localResult.exitCode !== 0 || (requirePushed && !await getRemoteBranchSha(workspaceRoot, remoteName, parent))) {
+            return false;
+        }
+        const mergedResult = await runGitCommand(['merge-base', '--is-ancestor', `refs/heads/${parent}`, `refs/remotes/${remoteName}/${defaultBranch}`], workspaceRoot, `check whether ${parent} is merged`);
+        // Exit code 1 means "not an ancestor", i.e. not merged yet
+        return mergedResult.exitCode === 1;
+    }
+
+    /**
+     * Determines the target branch: the target chosen when the branch was started, the branch rule's target,
+     * the pushed branch the current branch is built on (remembered, or detected and offered), or the default branch.
+     * @param {Memento} memento - Workspace state holding the remembered branch starts and stack parents.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {string} remoteName - The remote name.
+     * @param {string} currentBranch - The source branch.
+     * @param {import('./branchRules').BranchRule} branchRule - The rule matching the source branch.
+     * @returns {Promise<string>} The target branch.
+     * @throws {Error} If the default branch cannot be determined or the user cancels.
+     */
+    async function resolveTargetBranch(memento, workspaceRoot, remoteName, currentBranch, branchRule) {
+        const start = getBranchStart(memento, workspaceRoot, currentBranch);
+        if (start && start.targetBranch) {
+            log(`${currentBranch} was started for ${start.targetBranch}.`);
+            return start.targetBranch;
+        }
+        if (branchRule.targetBranch) {
+            return branchRule.targetBranch;
+        }
+        const defaultBranch = await getTargetBranch(workspaceRoot, remoteName);
+        if (!getConfiguration().get('detectStackedBranches', true)) {
+            return defaultBranch;
+        }
+
+        const remembered = getStackParent(memento, workspaceRoot, currentBranch);
+        if (remembered === '') {
+            return defaultBranch;
+        }
+        if (remembered) {
+            if (await isStackableParent(workspaceRoot, remoteName, remembered, defaultBranch, true)) {
+                log(`${currentBranch} is stacked on ${remembered}.`);
+                return remembered;
+            }
+            log(`${remembered} is merged or gone. ${currentBranch} targets ${defaultBranch} again.`);
+            await rememberStackParent(memento, workspaceRoot, currentBranch, undefined);
+        }
+
+        const parent = await findParentBranch(workspaceRoot, remoteName, currentBranch, defaultBranch, true);
+        if (!parent) {
+            return defaultBranch;
+        }
+        const parentItem = { label: parent, description: 'Stacked: the Merge Request only shows the commits on top of it' };
+        const defaultItem = { label: defaultBranch, description: 'Default branch' };
+        const picked = await ui.showQuickPick([parentItem, defaultItem], {
+            title: `Target branch for ${currentBranch}`,
+            placeHolder: `${currentBranch} is built on ${parent}, which is not merged yet. Select the target branch; the choice is remembered.`,
+            ignoreFocusOut: true
+        });
+        if (!picked) {
+            throw new Error('Target branch selection cancelled by user.');
+        }
+        await rememberStackParent(memento, workspaceRoot, currentBranch, picked === parentItem ? parent : '');
+        return picked.label;
+    }
+
+    /**
+     * Reports merge or rebase conflicts and offers to continue or abort the operation from the notification.
+     * Offers again if continuing stops at further conflicts or fails because conflicts are still unresolved.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {string} strategy - `merge` or `rebase`.
+     * @param {string} [message] - Message to show instead of the default conflict message.
+     * @returns {Promise<'continued' | 'aborted' | undefined>} How the operation ended; undefined if it is still in progress.
+     */
+    async function offerConflictResolution(workspaceRoot, strategy, message) {
+        const operation = strategy === 'rebase' ? 'Rebase' : 'Merge';
+        const continueItem = `Continue ${operation}`;
+        const abortItem = `Abort ${operation}`;
+        const choice = await ui.showErrorMessage(
+            message || `${operation} conflicts detected. Please resolve them manually (e.g., using VS Code's Source Control view) and stage the files, then continue. Or abort to restore your branch.`,
+            continueItem,
+            abortItem
+        );
+
+        if (choice === continueItem) {
+            // core.editor=true accepts the default commit message instead of waiting for an editor
+            const result = await runGitCommand(['-c', 'core.editor=true', strategy, '--continue'], workspaceRoot, `${strategy} --continue`);
+            if (result.exitCode === 0) {
+                log(`${operation} continued successfully.`);
+                ui.showInformationMessage(`${operation} completed. Run GitLab MR Flow again to push and create the Merge Request.`);
+                return 'continued';
+            } else if (isConflictOutput(`${result.stdout}\n${result.stderr}`)) {
+                log(`${operation} stopped at further conflicts.`);
+                return await offerConflictResolution(workspaceRoot, strategy);
+            } else {
+                log(`Could not continue ${strategy}. Exit code: ${result.exitCode}`);
+                return await offerConflictResolution(workspaceRoot, strategy, `Could not continue the ${operation.toLowerCase()}. Make sure all conflicts are resolved and staged, then try again.`);
+            }
+        } else if (choice === abortItem) {
+            const result = await runGitCommand([strategy, '--abort'], workspaceRoot, `${strategy} --abort`);
+            if (result.exitCode === 0) {
+                log(`${operation} aborted.`);
+                ui.showInformationMessage(`${operation} aborted. Your branch is back to its previous state.`);
+                return 'aborted';
+            } else {
+                ui.showErrorMessage(`Failed to abort the ${operation.toLowerCase()}. Check Output channel for details.`);
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Reads the working tree status.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @returns {Promise<import('./gitStatus').WorkingTreeStatus>} The parsed status.
+     * @throws {Error} If `git status` fails.
+     */
+    async function getWorkingTreeStatus(workspaceRoot) {
+        const result = await runGitCommand(['status', '--porcelain=v2', '--branch'], workspaceRoot, 'get working tree status');
+        if (result.exitCode !== 0) {
+            throw new Error('Failed to read the working tree status.');
+        }
+        return parseStatus(result.stdout);
+    }
+
+    /**
+     * Detects a merge or rebase that is still in progress.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @returns {Promise<'merge' | 'rebase' | undefined>} The operation in progress, if any.
+     */
+    async function getInProgressOperation(workspaceRoot) {
+        const markers = [['MERGE_HEAD', 'merge'], ['rebase-merge', 'rebase'], ['rebase-apply', 'rebase']];
+        for (const [marker, operation] of markers) {
+            const result = await runGitCommand(['rev-parse', '--git-path', marker], workspaceRoot, `locate ${marker}`);
+            if (result.exitCode !== 0) continue;
+            try {
+                await fs.access(path.resolve(workspaceRoot, result.stdout.trim()));
+                return /** @type {'merge' | 'rebase'} */ (operation);
+            } catch {
+                // Marker does not exist
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Offers to create a branch when HEAD is detached, since an MR needs a source branch.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @returns {Promise<boolean>} True if HEAD is (now) on a branch.
+     */
+    async function resolveDetachedHead(workspaceRoot) {
+        const status = await getWorkingTreeStatus(workspaceRoot);
+        if (!status.detached) {
+            return true;
+        }
+        log('Preflight: HEAD is detached.');
+        const createItem = 'Create Branch';
+        const choice = await ui.showWarningMessage('HEAD is detached. A Merge Request needs a source branch. Create a branch at the current commit?', createItem, 'Abort');
+        if (choice !== createItem) {
+            return false;
+        }
+        const branchName = await ui.showInputBox({
+            prompt: 'Name of the new branch',
+            placeHolder: 'feat/my-change',
+            ignoreFocusOut: true,
+            validateInput: value => /^\S+$/.test(value.trim()) ? null : 'Branch names cannot be empty or contain spaces.'
+        });
+        if (!branchName) {
+            return false;
+        }
+        const result = await runGitCommand(['switch', '-c', branchName.trim()], workspaceRoot, `create branch ${branchName.trim()}`);
+        if (result.exitCode !== 0) {
+            ui.showErrorMessage(`Could not create branch ${branchName.trim()}. Check Output channel for details.`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Checks that no merge or rebase is in progress and offers to stash or commit uncommitted changes.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {{stashed: boolean}} flowState - Updated with whether changes were stashed.
+     * @returns {Promise<boolean>} True if the flow can proceed.
+     */
+    async function runLocalPreflight(workspaceRoot, flowState) {
+        const inProgress = await getInProgressOperation(workspaceRoot);
+        if (inProgress) {
+            log(`Preflight: a ${inProgress} is in progress.`);
+            await offerConflictResolution(workspaceRoot, inProgress, `A ${inProgress} is still in progress. Finish it by resolving and staging all conflicts, or abort it, before creating a Merge Request.`);
+            return false;
+        }
+
+        const status = await getWorkingTreeStatus(workspaceRoot);
+        if (!isDirty(status)) {
+            return true;
+        }
+        log(`Preflight: ${status.changed} changed and ${status.untracked} untracked file(s).`);
+        const stashItem = 'Stash Changes';
+        const commitItem = 'Commit Changes';
+        const choice = await ui.showWarningMessage(
+            `You have ${status.changed} uncommitted and ${status.untracked} untracked file(s). Stash them for the duration of the flow, or commit them first?`,
+            stashItem,
+            commitItem,
+            'Abort'
+        );
+
+        if (choice === stashItem) {
+            const result = await runGitCommand(['stash', 'push', '--include-untracked', '-m', PREFLIGHT_STASH_MESSAGE], workspaceRoot, 'stash changes');
+            if (result.exitCode !== 0) {
+                ui.showErrorMessage('Failed to stash changes. Check Output channel for details.');
+                return false;
+            }
+            flowState.stashed = true;
+            return true;
+        }
+        if (choice === commitItem) {
+            const message = await ui.showInputBox({
+                prompt: 'Commit message for all uncommitted and untracked changes',
+                ignoreFocusOut: true,
+                validateInput: value => value.trim() ? null : 'The commit message must not be empty.'
+            });
+            if (!message) {
+                return false;
+            }
+            const addResult = await runGitCommand(['add', '--all'], workspaceRoot, 'stage all changes');
+            const commitResult = addResult.exitCode === 0 ? await runGitCommand(['commit', '-m', message.trim()], workspaceRoot, 'commit changes') : addResult;
+            if (commitResult.exitCode !== 0) {
+                ui.showErrorMessage('Failed to commit changes. Check Output channel for details.');
+                return false;
+            }
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Undoes the merge or rebase of the target branch into the checked out branch by resetting it to where it was before.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {{branch: string, sha: string} | undefined} integrated - The integrated branch and its commit before integrating.
+     * @returns {Promise<void>}
+     */
+    async function undoIntegration(workspaceRoot, integrated) {
+        if (!integrated) {
+            return;
+        }
+        const headResult = await runGitCommand(['rev-parse', 'HEAD'], workspaceRoot, `resolve ${integrated.branch}`);
+        if (headResult.exitCode !== 0 || headResult.stdout.trim() === integrated.sha) {
+            return;
+        }
+        log(`Resetting ${integrated.branch} to ${integrated.sha}, where it was before integrating the target branch...`);
+        const resetResult = await runGitCommand(['reset', '--keep', integrated.sha], workspaceRoot, `reset ${integrated.branch}`);
+        if (resetResult.exitCode !== 0) {
+            ui.showWarningMessage(`Could not undo the merge of the target branch into ${integrated.branch}. Check Output channel.`);
+        }
+    }
+
+    /**
+     * Puts the repository back the way the flow found it: after a failure, undoes the merge or rebase of
+     * the target branch that was not pushed and returns to the starting branch, then restores stashed changes.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {{startBranch: string, stashed: boolean, outcome: 'success' | 'failed' | 'conflict', conflictResult?: string, integrated?: {branch: string, sha: string}}} flowState - State recorded during the flow.
+     * @returns {Promise<void>}
+     */
+    function restoreStartingState(workspaceRoot, flowState) {
+        // Putting the repository back has to work after the run was cancelled too
+        return run.uncancellable(() => putBackStartingState(workspaceRoot, flowState));
+    }
+
+    /**
+     * Does the work of {@link restoreStartingState}.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {{startBranch: string, stashed: boolean, outcome: 'success' | 'failed' | 'conflict', conflictResult?: string, integrated?: {branch: string, sha: string}}} flowState - State recorded during the flow.
+     * @returns {Promise<void>}
+     */
+    async function putBackStartingState(workspaceRoot, flowState) {
+        run.setResult(flowState.outcome);
+        if (run.isCancelled()) {
+            // A killed merge or rebase leaves its state behind
+            const operation = await getInProgressOperation(workspaceRoot);
+            if (operation) {
+                await runGitCommand([operation, '--abort'], workspaceRoot, `abort ${operation}`);
+            }
+        }
+        if (flowState.outcome === 'failed') {
+            const status = await getWorkingTreeStatus(workspaceRoot).catch(() => undefined);
+            if (flowState.integrated && status && status.branch === flowState.integrated.branch) {
+                await undoIntegration(workspaceRoot, flowState.integrated);
+            }
+            if (status && status.branch !== flowState.startBranch) {
+                log(`Rolling back to starting branch ${flowState.startBranch}...`);
+                const checkoutResult = await runGitCommand(['checkout', flowState.startBranch], workspaceRoot, `checkout ${flowState.startBranch}`);
+                if (checkoutResult.exitCode !== 0) {
+                    ui.showWarningMessage(`Could not switch back to ${flowState.startBranch}. Check Output channel.`);
+                }
+            }
+        }
+        if (!flowState.stashed) {
+            return;
+        }
+        if (flowState.outcome === 'conflict' && !flowState.conflictResult) {
+            ui.showWarningMessage(`Your uncommitted changes are stashed as "${PREFLIGHT_STASH_MESSAGE}". Run "git stash pop" once the conflicts are resolved.`);
+            return;
+        }
+        const listResult = await runGitCommand(['stash', 'list', '-n', '1', '--format=%s'], workspaceRoot, 'read latest stash');
+        if (listResult.exitCode !== 0 || !listResult.stdout.includes(PREFLIGHT_STASH_MESSAGE)) {
+            ui.showWarningMessage('Could not find the changes stashed by GitLab MR Flow on top of the stash. Restore them with "git stash pop" manually.');
+            return;
+        }
+        const popResult = await runGitCommand(['stash', 'pop'], workspaceRoot, 'restore stashed changes');
+        if (popResult.exitCode === 0) {
+            log('Restored stashed changes.');
+        } else {
+            ui.showWarningMessage('Could not restore your stashed changes automatically. Resolve the conflicts and run "git stash pop". Check Output channel.');
+        }
+    }
+
+    /**
+     * Renders the title and description templates for a branch.
+     * The description and issue number given when the branch was started take precedence over the branch name.
+     * @param {Memento} memento - Workspace state holding what was given when starting branches.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {string} remoteName - The remote name.
+     * @param {string} currentBranch - The source branch.
+     * @param {string} targetBranch - The target branch.
+     * @param {import('./branchRules').BranchRule} branchRule - The rule matching the source branch.
+     * @returns {Promise<{title: string, description: string}>} The rendered title and description.
+     */
+    async function composeMergeRequestDetails(memento, workspaceRoot, remoteName, currentBranch, targetBranch, branchRule) {
+        const config = getConfiguration();
+        const start = getBranchStart(memento, workspaceRoot, currentBranch);
+        const templateVariables = buildTemplateVariables({
+            branch: currentBranch,
+            target: targetBranch,
+            commitSubjects: await getCommitSubjects(workspaceRoot, remoteName, targetBranch),
+            author: await getGitUserName(workspaceRoot),
+            title: start && start.description,
+            issue: start && start.issue
+        });
+        const titleTemplate = branchRule.titleTemplate || config.get('titleTemplate', DEFAULT_TITLE_TEMPLATE);
+        return {
+            title: renderTemplate(titleTemplate, templateVariables).trim() || currentBranch,
+            description: renderTemplate(await resolveDescriptionTemplate(workspaceRoot), templateVariables).trim()
+        };
+    }
+
+    /**
+     * Combines the push options remembered for a repository with the labels and settings of the branch rule.
+     * @param {Memento} memento - Workspace state.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {import('./branchRules').BranchRule} branchRule - The rule matching the source branch.
+     * @returns {import('./pushOptions').PushOptionDefaults} The push option values to start from.
+     */
+    function getInitialPushOptionValues(memento, workspaceRoot, branchRule) {
+        const rememberedDefaults = getRememberedDefaults(memento, workspaceRoot);
+        return {
+            ...rememberedDefaults,
+            labels: [...branchRule.labels, ...rememberedDefaults.labels.filter(label => !branchRule.labels.includes(label))],
+            removeSourceBranch: rememberedDefaults.removeSourceBranch || branchRule.removeSourceBranch
+        };
+    }
+
+    /**
+     * Builds the `git push` arguments that push the branch and create the merge request.
+     * @param {string} remoteName - The remote name.
+     * @param {string} currentBranch - The branch to push.
+     * @param {string[]} pushOptions - The `merge_request.*` push options.
+     * @param {string} integrationStrategy - `merge`, `rebase` or `none`.
+     * @param {string | undefined} leaseSha - Remote SHA of the branch before a rebase.
+     * @returns {string[]} The git arguments.
+     */
+    function buildPushArgs(remoteName, currentBranch, pushOptions, integrationStrategy, leaseSha) {
+        const pushArgs = [
+            'push',
+            remoteName,
+            currentBranch, // Push the current branch
+            ...toPushOptionArgs(pushOptions)
+        ];
+        if (integrationStrategy === 'rebase') {
+            // Rebased history needs a forced push; only overwrite what we saw before rebasing
+            pushArgs.splice(1, 0, buildForceWithLeaseArg(currentBranch, leaseSha));
+        }
+        return pushArgs;
+    }
+
+    /**
+     * Works out what a push did to the branch's merge request. GitLab's output only tells a new merge request
+     * apart on a new branch, so the lookup made before pushing decides.
+     * @param {CachedMergeRequest | undefined} existingMergeRequest - The open merge request found before pushing.
+     * @param {import('./pushResponse').PushResponse} pushResponse - The parsed push output.
+     * @returns {'created' | 'updated' | 'pushed'} `pushed` if GitLab reported no merge request.
+     */
+    function getPushOutcome(existingMergeRequest, pushResponse) {
+        if (existingMergeRequest || pushResponse.status === 'existing') {
+            return 'updated';
+        }
+        return pushResponse.url ? 'created' : 'pushed';
+    }
+
+    return {
+        runGitCommand,
+        ui,
+        openUrl,
+        log,
+        runCheck,
+        getConfiguration,
+        run,
+        onMergeRequestsChanged,
+        readRemoteConfig,
+        promptForRemote,
+        getOrigin,
+        getGitLabApi,
+        getTargetBranch,
+        getCurrentBranch,
+        getGitLabProject,
+        resolveBranchRule,
+        getCommitSubjects,
+        getGitUserName,
+        resolveDescriptionTemplate,
+        getRemoteBranchSha,
+        findExistingMergeRequest,
+        rememberPushedMergeRequest,
+        followUpMergeRequest,
+        watchPipeline,
+        getIntegrationStrategy,
+        integrateTargetBranch,
+        runPreMergeRequestChecks,
+        askAfterFailedChecks,
+        findParentBranch,
+        isStackableParent,
+        resolveTargetBranch,
+        offerConflictResolution,
+        getWorkingTreeStatus,
+        getInProgressOperation,
+        resolveDetachedHead,
+        runLocalPreflight,
+        undoIntegration,
+        restoreStartingState,
+        putBackStartingState,
+        composeMergeRequestDetails,
+        getInitialPushOptionValues,
+        buildPushArgs,
+        getPushOutcome
+    };
+}
+
+/**
+ * Creates the run control used when the host has none: steps are logged, and runs are never cancelled.
+ * @param {function(string): void} log - Appends a line to the log.
+ * @returns {RunControl} The run control.
+ */
+function createLoggingRunControl(log) {
+    return {
+        reportStep: message => log(`--- ${message} ---`),
+        setResult: () => {},
+        isCancelled: () => false,
+        uncancellable: task => task()
+    };
+}
+
+module.exports = {
+    PREFLIGHT_STASH_MESSAGE,
+    createFlowCore
+};
@@ -0,0 +1,69 @@
+// Parses `git status --porcelain=v2 --branch` output.
+
+/**
+ * @typedef {Object} WorkingTreeStatus
+ * @property {string | undefined} branch - Current branch name; undefined on detached HEAD.
+ * @property {boolean} detached - True if HEAD is detached.
+ * @property {string | undefined} upstream - Configured upstream, e.g. `origin/feat/a`.
+ * @property {number} ahead - Commits ahead of the upstream.
+ * @property {number} behind - Commits behind the upstream.
+ * @property {number} changed - Tracked files with staged or unstaged changes.
+ * @property {number} untracked - Untracked files.
+ * @property {number} conflicted - Files with unresolved conflicts.
+ */
+
+/**
+ * Parses the output of `git status --porcelain=v2 --branch`.
+ * @param {string} output - The command output.
+ * @returns {WorkingTreeStatus} The parsed status.
+ */
+function parseStatus(output) {
+    /** @type {WorkingTreeStatus} */
+    const status = {
+        branch: undefined,
+        detached: false,
+        upstream: undefined,
+        ahead: 0,
+        behind: 0,
+        changed: 0,
+        untracked: 0,
+        conflicted: 0
+    };
+
+    for (const line of output.split('\n')) {
+        if (line.startsWith('# branch.head ')) {
+            const head = line.slice('# branch.head '.length).trim();
+            status.detached = head === '(detached)';
+            status.branch = status.detached ? undefined : head;
+        } else if (line.startsWith('# branch.upstream ')) {
+            status.upstream = line.slice('# branch.upstream '.length).trim();
+        } else if (line.startsWith('# branch.ab ')) {
+            const match = line.match(/\+(\d+) -(\d+)/);
+            if (match) {
+                status.ahead = parseInt(match[1], 10);
+                status.behind = parseInt(match[2], 10);
+            }
+        } else if (line.startsWith('1 ') || line.startsWith('2 ')) {
+            status.changed++;
+        } else if (line.startsWith('u ')) {
+            status.conflicted++;
+        } else if (line.startsWith('? ')) {
+            status.untracked++;
+        }
+    }
+    return status;
+}
+
+/**
+ * Checks whether the working tree has uncommitted or untracked changes.
+ * @param {WorkingTreeStatus} status - The parsed status.
+ * @returns {boolean} True if anything would be affected by a merge or checkout.
+ */
+function isDirty(status) {
+    return status.changed > 0 || status.untracked > 0 || status.conflicted > 0;
+}
+
+module.exports = {
+    parseStatus,
+    isDirty
+};
@@ -0,0 +1,235 @@
+// Minimal client of the GitLab REST API (v4), used instead of git alone when an access token is stored for the instance.
+
+/** Prefix of the secret storage keys holding the access token per GitLab host. */
+const TOKEN_KEY_PREFIX = 'gitlab-mr-flow.accessToken:';
+
+/** Milliseconds after which an API request is given up. */
+const REQUEST_TIMEOUT_MS = 30000;
+
+/** Pipeline statuses that do not change without someone acting on the pipeline. */
+const FINISHED_PIPELINE_STATUSES = ['success', 'failed', 'canceled', 'skipped', 'manual'];
+
+/**
+ * @typedef {Object} PipelineInfo
+ * @property {number} id - The pipeline ID.
+ * @property {string} status - The pipeline status, e.g. `running`, `success` or `failed`.
+ * @property {string} url - The pipeline page.
+ */
+
+/**
+ * @typedef {Object} PipelinePollOptions
+ * @property {number} [intervalMs] - Milliseconds between two status requests.
+ * @property {number} [timeoutMs] - Milliseconds after which polling stops while the pipeline is still running.
+ * @property {number} [noPipelineTimeoutMs] - Milliseconds after which polling stops if no pipeline was started,
+ *   e.g. because the project has no CI configuration.
+ * @property {function(number): Promise<void>} [sleep] - Waits the given milliseconds.
+ * @property {function(): number} [now] - The current time, in milliseconds since the epoch.
+ * @property {function(PipelineInfo): void} [onUpdate] - Called when the pipeline status changes.
+ */
+
+/**
+ * Builds the key a host's access token is stored under.
+ * @param {string} host - The web host of the instance, e.g. `gitlab.example.com` or `localhost:8080`.
+ * @returns {string} The secret storage key.
+ */
+function getTokenKey(host) {
+    return TOKEN_KEY_PREFIX + host.toLowerCase();
+}
+
+/**
+ * Builds the API base URL of the instance hosting a project.
+ * @param {import('./remoteUrl').GitLabProject} project - The project.
+ * @returns {string} The API base URL, e.g. `https://corp.example.com/gitlab/api/v4`.
+ */
+function getApiUrl(project) {
+    return `${project.webBaseUrl}/api/v4`;
+}
+
+/**
+ * Reads the error message of a failed API response.
+ * @param {string} body - The response body, usually `{"message": "..."}` or `{"error": "..."}`.
+ * @returns {string} The message, or an empty string.
+ */
+function readErrorMessage(body) {
+    try {
+        const parsed = JSON.parse(body);
+        const message = parsed.message || parsed.error;
+        return typeof message === 'string' ? message : JSON.stringify(message || '');
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Creates a client of the GitLab REST API.
+ * @param {{apiUrl: string, token: string, fetch?: typeof globalThis.fetch, timeoutMs?: number}} options - The API base URL,
+ *   the personal access token, and the `fetch` implementation and request timeout to use.
+ * @returns {Object} The client.
+ */
+function createGitLabClient({ apiUrl, token, fetch = globalThis.fetch, timeoutMs = REQUEST_TIMEOUT_MS }) {
+    /**
+     * Sends a request and parses the JSON response.
+     * @param {string} method - The HTTP method.
+     * @param {string} path - The path below the API base URL, including the query string.
+     * @param {Object} [body] - The JSON body.
+     * @returns {Promise<any>} The parsed response.
+     * @throws {Error} If the request fails or GitLab answers with an error status.
+     */
+    async function request(method, path, body) {
+        const resource = path.split('?')[0];
+        let response;
+        try {
+            response = await fetch(`${apiUrl}${path}`, {
+                method,
+                headers: body ? { 'PRIVATE-TOKEN': token, 'Content-Type': 'application/json' } : { 'PRIVATE-TOKEN': token },
+                body: body ? JSON.stringify(body) : undefined,
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+        } catch (error) {
+            throw new Error(`GitLab API request ${method} ${resource} failed: ${error.message}`);
+        }
+        if (!response.ok) {
+            const message = readErrorMessage(await response.text().catch(() => ''));
+            throw new Error(`GitLab API request ${method} ${resource} failed with HTTP ${response.status}${message ? `: ${message}` : ''}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Builds the API path of a project.
+     * @param {string} projectPath - Full project path, e.g. `group/sub/proj`.
+     * @returns {string} The path, e.g. `/projects/group%2Fsub%2Fproj`.
+     */
+    function projectUrl(projectPath) {
+        return `/projects/${encodeURIComponent(projectPath)}`;
+    }
+
+    return {
+        /**
+         * Reads the user the token belongs to.
+         * @returns {Promise<{username: string}>} The user.
+         */
+        getCurrentUser() {
+            return request('GET', '/user');
+        },
+
+        /**
+         * Reads the default branch of a project.
+         * @param {string} projectPath - Full project path.
+         * @returns {Promise<string | undefined>} The default branch; undefined for an empty project.
+         */
+        async getDefaultBranch(projectPath) {
+            const project = await request('GET', projectUrl(projectPath));
+            return project.default_branch || undefined;
+        },
+
+        /**
+         * Finds the open merge request of a source branch.
+         * @param {string} projectPath - Full project path.
+         * @param {string} sourceBranch - The source branch.
+         * @returns {Promise<import('./mergeRequestCache').CachedMergeRequest | undefined>} The merge request, if one is open.
+         */
+        async findOpenMergeRequest(projectPath, sourceBranch) {
+            const mergeRequests = await request('GET', `${projectUrl(projectPath)}/merge_requests?state=opened&source_branch=${encodeURIComponent(sourceBranch)}`);
+            const [mergeRequest] = mergeRequests;
+            return mergeRequest ? { iid: mergeRequest.iid, url: mergeRequest.web_url, targetBranch: mergeRequest.target_branch } : undefined;
+        },
+
+        /**
+         * Looks up the IDs of users by user name.
+         * @param {string[]} usernames - The user names, with or without a leading `@`.
+         * @returns {Promise<{ids: number[], unknown: string[]}>} The IDs of the users found, and the names not found.
+         */
+        async findUserIds(usernames) {
+            const ids = [];
+            const unknown = [];
+            for (const username of usernames.map(name => name.replace(/^@/, ''))) {
+                const [user] = await request('GET', `/users?username=${encodeURIComponent(username)}`);
+                if (user) {
+                    ids.push(user.id);
+                } else {
+                    unknown.push(username);
+                }
+            }
+            return { ids, unknown };
+        },
+
+        /**
+         * Replaces the reviewers of a merge request.
+         * @param {string} projectPath - Full project path.
+         * @param {number} iid - The merge request IID.
+         * @param {number[]} reviewerIds - The user IDs of the reviewers.
+         * @returns {Promise<void>}
+         */
+        async setReviewers(projectPath, iid, reviewerIds) {
+            await request('PUT', `${projectUrl(projectPath)}/merge_requests/${iid}`, { reviewer_ids: reviewerIds });
+        },
+
+        /**
+         * Replaces the description of a merge request. Unlike a push option, it keeps its line breaks.
+         * @param {string} projectPath - Full project path.
+         * @param {number} iid - The merge request IID.
+         * @param {string} description - The Markdown description.
+         * @returns {Promise<void>}
+         */
+        async setDescription(projectPath, iid, description) {
+            await request('PUT', `${projectUrl(projectPath)}/merge_requests/${iid}`, { description });
+        },
+
+        /**
+         * Reads the latest pipeline of a merge request.
+         * @param {string} projectPath - Full project path.
+         * @param {number} iid - The merge request IID.
+         * @returns {Promise<PipelineInfo | undefined>} The pipeline; undefined if none was started yet.
+         */
+        async getHeadPipeline(projectPath, iid) {
+            const mergeRequest = await request('GET', `${projectUrl(projectPath)}/merge_requests/${iid}`);
+            const pipeline = mergeRequest.head_pipeline;
+            return pipeline ? { id: pipeline.id, status: pipeline.status, url: pipeline.web_url } : undefined;
+        }
+    };
+}
+
+/**
+ * Polls the pipeline of a merge request until it finishes.
+ * @param {{getHeadPipeline: function(string, number): Promise<PipelineInfo | undefined>}} client - The API client.
+ * @param {string} projectPath - Full project path.
+ * @param {number} iid - The merge request IID.
+ * @param {PipelinePollOptions} [options] - Intervals, timeouts and a status callback.
+ * @returns {Promise<PipelineInfo | undefined>} The finished pipeline; undefined if it did not finish in time or none was started.
+ * @throws {Error} If the status cannot be read.
+ */
+async function pollPipeline(client, projectPath, iid, {
+    intervalMs = 15000,
+    timeoutMs = 60 * 60 * 1000,
+    noPipelineTimeoutMs = 2 * 60 * 1000,
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+    now = Date.now,
+    onUpdate = () => {}
+} = {}) {
+    const startedAt = now();
+    let lastStatus;
+    for (;;) {
+        const pipeline = await client.getHeadPipeline(projectPath, iid);
+        if (pipeline && pipeline.status !== lastStatus) {
+            lastStatus = pipeline.status;
+            onUpdate(pipeline);
+        }
+        if (pipeline && FINISHED_PIPELINE_STATUSES.includes(pipeline.status)) {
+            return pipeline;
+        }
+        const elapsed = now() - startedAt;
+        if (elapsed >= timeoutMs || (!pipeline && elapsed >= noPipelineTimeoutMs)) {
+            return undefined;
+        }
+        await sleep(intervalMs);
+    }
+}
+
+module.exports = {
+    TOKEN_KEY_PREFIX,
+    getTokenKey,
+    getApiUrl,
+    createGitLabClient,
+    pollPipeline
+};
@@ -0,0 +1,56 @@
+// Helpers for integrating the target branch into the source branch (merge, rebase or none).
+
+/** Valid values of the `gitlab-mr-flow.integrationStrategy` setting. */
+const INTEGRATION_STRATEGIES = ['merge', 'rebase', 'none'];
+
+/**
+ * Builds the git arguments integrating the remote target branch into the current branch.
+ * @param {string} strategy - `merge` or `rebase`.
+ * @param {string} remoteName - The remote name.
+ * @param {string} targetBranch - The target branch name.
+ * @returns {string[]} The git arguments.
+ * @throws {Error} If the strategy does not run a git command.
+ */
+function buildIntegrationArgs(strategy, remoteName, targetBranch) {
+    const upstream = `${remoteName}/${targetBranch}`;
+    if (strategy === 'merge') {
+        return ['merge', upstream];
+    }
+    if (strategy === 'rebase') {
+        return ['rebase', upstream];
+    }
+    throw new Error(`Integration strategy "${strategy}" does not run a git command.`);
+}
+
+/**
+ * Checks merge or rebase output for conflict markers.
+ * @param {string} output - Combined stdout and stderr of the command.
+ * @returns {boolean} True if the command stopped because of conflicts.
+ */
+function isConflictOutput(output) {
+    return /^CONFLICT \(/m.test(output)
+        || output.includes('Merge conflict')
+        || output.includes('Automatic merge failed; fix conflicts and then commit the result.')
+        || /could not apply [0-9a-f]+/i.test(output)
+        || output.includes('Resolve all conflicts manually');
+}
+
+/**
+ * Builds the `--force-with-lease` argument for pushing a rebased branch.
+ * The lease is pinned to the remote SHA seen before the rebase, so the push fails
+ * if someone else pushed to the branch in the meantime.
+ * @param {string} branch - The branch being pushed.
+ * @param {string | undefined} expectedSha - Remote SHA before the rebase; undefined if the branch does not exist on the remote yet.
+ * @returns {string} The push argument.
+ */
+function buildForceWithLeaseArg(branch, expectedSha) {
+    // An empty expected value means "the remote branch must not exist yet"
+    return `--force-with-lease=refs/heads/${branch}:${expectedSha || ''}`;
+}
+
+module.exports = {
+    INTEGRATION_STRATEGIES,
+    buildIntegrationArgs,
+    isConflictOutput,
+    buildForceWithLeaseArg
+};
@@ -0,0 +1,93 @@
+// Remembers which merge request belongs to which source branch, and finds existing MRs from GitLab's merge request refs.
+
+/** Prefix of the workspace state keys holding the branch → merge request mapping per repository. */
+const CACHE_STATE_KEY_PREFIX = 'gitlab-mr-flow.mergeRequests:';
+
+/**
+ * @typedef {Object} CachedMergeRequest
+ * @property {number} iid - Project-level ID of the merge request.
+ * @property {string} url - URL of the merge request.
+ * @property {string} targetBranch - Target branch the merge request was last pushed for.
+ */
+
+/**
+ * Builds the key of a branch within a repository's cache.
+ * @param {string} remoteName - The remote the branch is pushed to.
+ * @param {string} branch - The source branch.
+ * @returns {string} The key.
+ */
+function getBranchKey(remoteName, branch) {
+    return `${remoteName}/${branch}`;
+}
+
+/**
+ * Reads the merge request cached for a source branch.
+ * @param {{get: function(string, any): any}} memento - Workspace state.
+ * @param {string} repositoryKey - Key identifying the repository, e.g. its root path.
+ * @param {string} remoteName - The remote the branch is pushed to.
+ * @param {string} branch - The source branch.
+ * @returns {CachedMergeRequest | undefined} The cached merge request, if any.
+ */
+function getCachedMergeRequest(memento, repositoryKey, remoteName, branch) {
+    const cache = memento.get(CACHE_STATE_KEY_PREFIX + repositoryKey, {});
+    const entry = cache[getBranchKey(remoteName, branch)];
+    return entry && Number.isInteger(entry.iid) && entry.url ? entry : undefined;
+}
+
+/**
+ * Caches the merge request of a source branch, replacing any previous entry.
+ * @param {{get: function(string, any): any, update: function(string, any): Thenable<void>}} memento - Workspace state.
+ * @param {string} repositoryKey - Key identifying the repository, e.g. its root path.
+ * @param {string} remoteName - The remote the branch is pushed to.
+ * @param {string} branch - The source branch.
+ * @param {CachedMergeRequest} mergeRequest - The merge request.
+ * @returns {Thenable<void>}
+ */
+function cacheMergeRequest(memento, repositoryKey, remoteName, branch, mergeRequest) {
+    const cache = memento.get(CACHE_STATE_KEY_PREFIX + repositoryKey, {});
+    return memento.update(CACHE_STATE_KEY_PREFIX + repositoryKey, {
+        ...cache,
+        [getBranchKey(remoteName, branch)]: { iid: mergeRequest.iid, url: mergeRequest.url, targetBranch: mergeRequest.targetBranch }
+    });
+}
+
+/**
+ * Removes the cached merge request of a source branch, e.g. after the remote branch was deleted.
+ * @param {{get: function(string, any): any, update: function(string, any): Thenable<void>}} memento - Workspace state.
+ * @param {string} repositoryKey - Key identifying the repository, e.g. its root path.
+ * @param {string} remoteName - The remote the branch is pushed to.
+ * @param {string} branch - The source branch.
+ * @returns {Thenable<void>}
+ */
+function forgetMergeRequest(memento, repositoryKey, remoteName, branch) {
+    const cache = { ...memento.get(CACHE_STATE_KEY_PREFIX + repositoryKey, {}) };
+    delete cache[getBranchKey(remoteName, branch)];
+    return memento.update(CACHE_STATE_KEY_PREFIX + repositoryKey, cache);
+}
+
+/**
+ * Finds the merge request whose head is a given commit in the output of `git ls-remote <remote> refs/merge-requests/<iid>/head`.
+ * GitLab keeps a `refs/merge-requests/<iid>/head` ref per merge request pointing at its latest source commit,
+ * so a match means the pushed branch already has a merge request. The newest (highest IID) match wins.
+ * @param {string} output - The `git ls-remote` output (`<sha>\t<ref>` lines).
+ * @param {string} sha - The commit the remote source branch points to.
+ * @returns {number | undefined} The IID of the merge request, if any.
+ */
+function findMergeRequestIidForSha(output, sha) {
+    let iid;
+    for (const line of (output || '').split('\n')) {
+        const match = line.trim().match(/^([0-9a-f]+)\s+refs\/merge-requests\/(\d+)\/head$/i);
+        if (match && match[1] === sha) {
+            const candidate = parseInt(match[2], 10);
+            iid = iid === undefined || candidate > iid ? candidate : iid;
+        }
+    }
+    return iid;
+}
+
+module.exports = {
+    getCachedMergeRequest,
+    cacheMergeRequest,
+    forgetMergeRequest,
+    findMergeRequestIidForSha
+};
@@ -0,0 +1,107 @@
+// Keeps a per-repository history of the merge requests created or updated through the extension, for the "GitLab MRs" view.
+
+/** Prefix of the workspace state keys holding the merge request history per repository. */
+const HISTORY_STATE_KEY_PREFIX = 'gitlab-mr-flow.mergeRequestHistory:';
+
+/** Maximum number of merge requests kept per repository; the least recently updated are dropped first. */
+const MAX_HISTORY_ENTRIES = 200;
+
+/**
+ * @typedef {Object} MergeRequestHistoryEntry
+ * @property {number} iid - Project-level ID of the merge request.
+ * @property {string} url - URL of the merge request; identifies the entry.
+ * @property {string} remoteName - The remote the source branch was pushed to.
+ * @property {string} branch - The source branch.
+ * @property {string} targetBranch - Target branch the merge request was last pushed for.
+ * @property {number} createdAt - When the merge request was first recorded, in milliseconds since the epoch.
+ * @property {number} updatedAt - When the merge request was last pushed, in milliseconds since the epoch.
+ */
+
+/**
+ * Records a push of a merge request: adds it to the history, or updates the entry with the same URL.
+ * @param {{get: function(string, any): any, update: function(string, any): Thenable<void>}} memento - Workspace state.
+ * @param {string} repositoryKey - Key identifying the repository, e.g. its root path.
+ * @param {{iid: number, url: string, remoteName: string, branch: string, targetBranch: string}} mergeRequest - The merge request.
+ * @param {number} [now] - The current time, in milliseconds since the epoch.
+ * @returns {Thenable<void>}
+ */
+function recordMergeRequest(memento, repositoryKey, mergeRequest, now = Date.now()) {
+    const entries = memento.get(HISTORY_STATE_KEY_PREFIX + repositoryKey, []);
+    const previous = entries.find(entry => entry.url === mergeRequest.url);
+    const entry = {
+        iid: mergeRequest.iid,
+        url: mergeRequest.url,
+        remoteName: mergeRequest.remoteName,
+        branch: mergeRequest.branch,
+        targetBranch: mergeRequest.targetBranch,
+        createdAt: previous ? previous.createdAt : now,
+        updatedAt: now
+    };
+    const updated = [entry, ...entries.filter(other => other.url !== mergeRequest.url)].slice(0, MAX_HISTORY_ENTRIES);
+    return memento.update(HISTORY_STATE_KEY_PREFIX + repositoryKey, updated);
+}
+
+/**
+ * Lists the merge requests recorded for a repository, newest first.
+ * @param {{get: function(string, any): any}} memento - Workspace state.
+ * @param {string} repositoryKey - Key identifying the repository, e.g. its root path.
+ * @returns {MergeRequestHistoryEntry[]} The recorded merge requests.
+ */
+function listMergeRequests(memento, repositoryKey) {
+    return [...memento.get(HISTORY_STATE_KEY_PREFIX + repositoryKey, [])].sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Lists the repositories that have recorded merge requests.
+ * @param {{keys: function(): readonly string[], get: function(string, any): any}} memento - Workspace state.
+ * @returns {string[]} The repository keys, sorted.
+ */
+function listRepositories(memento) {
+    return memento.keys()
+        .filter(key => key.startsWith(HISTORY_STATE_KEY_PREFIX) && memento.get(key, []).length > 0)
+        .map(key => key.slice(HISTORY_STATE_KEY_PREFIX.length))
+        .sort();
+}
+
+/**
+ * Removes a merge request from the history.
+ * @param {{get: function(string, any): any, update: function(string, any): Thenable<void>}} memento - Workspace state.
+ * @param {string} repositoryKey - Key identifying the repository, e.g. its root path.
+ * @param {string} url - URL of the merge request.
+ * @returns {Thenable<void>}
+ */
+function removeMergeRequest(memento, repositoryKey, url) {
+    const entries = memento.get(HISTORY_STATE_KEY_PREFIX + repositoryKey, []);
+    return memento.update(HISTORY_STATE_KEY_PREFIX + repositoryKey, entries.filter(entry => entry.url !== url));
+}
+
+/**
+ * Builds the texts a tree item shows for a recorded merge request.
+ * @param {MergeRequestHistoryEntry} entry - The merge request.
+ * @param {boolean | undefined} branchExists - Whether the local source branch still exists; undefined if unknown.
+ * @returns {{label: string, description: string, tooltip: string}} The texts.
+ */
+function describeMergeRequest(entry, branchExists) {
+    const created = new Date(entry.createdAt).toLocaleString();
+    const branchState = branchExists === undefined ? 'unknown' : branchExists ? 'exists' : 'deleted';
+    return {
+        label: `!${entry.iid} ${entry.branch}`,
+        description: `→ ${entry.targetBranch}${branchExists === false ? ' · local branch deleted' : ''}`,
+        tooltip: [
+            `!${entry.iid}: ${entry.branch} → ${entry.targetBranch}`,
+            entry.url,
+            `Remote: ${entry.remoteName}`,
+            `Created: ${created}`,
+            `Last pushed: ${new Date(entry.updatedAt).toLocaleString()}`,
+            `Local branch: ${branchState}`
+        ].join('\n')
+    };
+}
+
+module.exports = {
+    recordMergeRequest,
+    listMergeRequests,
+    listRepositories,
+    removeMergeRequest,
+    describeMergeRequest
+};
@@ -0,0 +1,136 @@
+// Multi-step QuickPick wizard for GitLab merge request push options.
+const vscode = require('vscode');
+const { parseList } = require('./pushOptions');
+
+/** Returned by a wizard step when the user pressed the back button. */
+const BACK = Symbol('back');
+
+/**
+ * Shows a multi-select QuickPick as one wizard step.
+ * @param {{title: string, step: number, totalSteps: number, placeholder: string,
+ *   items: {label: string, description?: string, picked: boolean}[]}} options - Step configuration.
+ * @returns {Promise<string[] | typeof BACK | undefined>} Labels of the picked items, BACK, or undefined if cancelled.
+ */
+function pickManyStep(options) {
+    return new Promise(resolve => {
+        const quickPick = vscode.window.createQuickPick();
+        quickPick.title = options.title;
+        quickPick.step = options.step;
+        quickPick.totalSteps = options.totalSteps;
+        quickPick.placeholder = options.placeholder;
+        quickPick.canSelectMany = true;
+        quickPick.ignoreFocusOut = true;
+        quickPick.items = options.items;
+        quickPick.selectedItems = quickPick.items.filter(item => item.picked);
+        if (options.step > 1) {
+            quickPick.buttons = [vscode.QuickInputButtons.Back];
+        }
+        let result;
+        quickPick.onDidTriggerButton(() => {
+            result = BACK;
+            quickPick.hide();
+        });
+        quickPick.onDidAccept(() => {
+            result = quickPick.selectedItems.map(item => item.label);
+            quickPick.hide();
+        });
+        quickPick.onDidHide(() => {
+            quickPick.dispose();
+            resolve(result);
+        });
+        quickPick.show();
+    });
+}
+
+/**
+ * Shows an input box as one wizard step.
+ * @param {{title: string, step: number, totalSteps: number, prompt: string, value: string}} options - Step configuration.
+ * @returns {Promise<string | typeof BACK | undefined>} The entered text, BACK, or undefined if cancelled.
+ */
+function inputStep(options) {
+    return new Promise(resolve => {
+        const inputBox = vscode.window.createInputBox();
+        inputBox.title = options.title;
+        inputBox.step = options.step;
+        inputBox.totalSteps = options.totalSteps;
+        inputBox.prompt = options.prompt;
+        inputBox.value = options.value;
+        inputBox.ignoreFocusOut = true;
+        if (options.step > 1) {
+            inputBox.buttons = [vscode.QuickInputButtons.Back];
+        }
+        let result;
+        inputBox.onDidTriggerButton(() => {
+            result = BACK;
+            inputBox.hide();
+        });
+        inputBox.onDidAccept(() => {
+            result = inputBox.value;
+            inputBox.hide();
+        });
+        inputBox.onDidHide(() => {
+            inputBox.dispose();
+            resolve(result);
+        });
+        inputBox.show();
+    });
+}
+
+/**
+ * Walks the user through all merge request push options, pre-filled with `initial`.
+ * @param {import('./pushOptions').PushOptionDefaults} initial - Pre-filled values.
+ * @returns {Promise<import('./pushOptions').PushOptionDefaults | undefined>} The chosen options, or undefined if cancelled.
+ */
+async function runOptionsWizard(initial) {
+    const title = 'GitLab Merge Request Options';
+    const values = { ...initial };
+    const flags = [
+        { key: 'draft', label: 'Draft', description: 'merge_request.draft' },
+        { key: 'removeSourceBranch', label: 'Delete source branch', description: 'merge_request.remove_source_branch' },
+        { key: 'mergeWhenPipelineSucceeds', label: 'Merge when pipeline succeeds', description: 'merge_request.merge_when_pipeline_succeeds' }
+    ];
+    const listSteps = [
+        { key: 'labels', prompt: 'Labels to add, comma separated (merge_request.label)' },
+        { key: 'unlabels', prompt: 'Labels to remove, comma separated (merge_request.unlabel)' },
+        { key: 'assignees', prompt: 'Assignee user names, comma separated (merge_request.assign)' }
+    ];
+    const totalSteps = 2 + listSteps.length;
+
+    let step = 1;
+    while (step <= totalSteps) {
+        let result;
+        if (step === 1) {
+            result = await pickManyStep({
+                title,
+                step,
+                totalSteps,
+                placeholder: 'Select the options to enable',
+                items: flags.map(flag => ({ label: flag.label, description: flag.description, picked: values[flag.key] === true }))
+            });
+            if (Array.isArray(result)) {
+                flags.forEach(flag => { values[flag.key] = result.includes(flag.label); });
+            }
+        } else if (step <= 1 + listSteps.length) {
+            const listStep = listSteps[step - 2];
+            result = await inputStep({ title, step, totalSteps, prompt: listStep.prompt, value: values[listStep.key].join(', ') });
+            if (typeof result === 'string') {
+                values[listStep.key] = parseList(result);
+            }
+        } else {
+            result = await inputStep({ title, step, totalSteps, prompt: 'Milestone title, leave empty for none (merge_request.milestone)', value: values.milestone });
+            if (typeof result === 'string') {
+                values.milestone = result.trim().replace(/^~/, '');
+            }
+        }
+
+        if (result === undefined) {
+            return undefined;
+        }
+        step = result === BACK ? step - 1 : step + 1;
+    }
+    return values;
+}
+
+module.exports = {
+    runOptionsWizard
+};
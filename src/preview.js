@@ -0,0 +1,157 @@
+// Builds the "Preview Merge Request" page.
+
+/**
+ * @typedef {Object} ConflictCheck
+ * @property {boolean} checked - False if `git merge-tree` could not be run (e.g. git older than 2.38).
+ * @property {boolean} hasConflicts - True if integrating the target branch would conflict.
+ * @property {string[]} files - Files that would conflict.
+ */
+
+/**
+ * @typedef {Object} MergeRequestPlan
+ * @property {string} workspaceRoot - The root path of the repository.
+ * @property {string} currentBranch - The source branch.
+ * @property {string} remoteName - The remote to push to.
+ * @property {string} remoteUrl - The URL of the remote.
+ * @property {string} projectUrl - The GitLab project page.
+ * @property {import('./branchRules').BranchRule} branchRule - The rule matching the source branch.
+ * @property {string} targetBranch - The target branch.
+ * @property {string} integrationStrategy - `merge`, `rebase` or `none`.
+ * @property {string} title - The merge request title.
+ * @property {string} description - The merge request description.
+ * @property {import('./pushOptions').PushOptionDefaults} pushOptionValues - Push option values used for the push options.
+ * @property {string[]} pushOptions - The `merge_request.*` push options.
+ * @property {import('./mergeRequestCache').CachedMergeRequest | undefined} existingMergeRequest - Merge request the push would update instead of creating one.
+ * @property {string[][]} commands - Arguments of every git command the flow would run, in order.
+ * @property {string[]} commits - Commits not yet in the target branch, as `<short sha> <subject>`.
+ * @property {string} diffstat - `git diff --stat` against the target branch.
+ * @property {ConflictCheck} conflicts - Result of the conflict check.
+ */
+
+/**
+ * Formats git arguments as a copy-pasteable shell command, quoting arguments that need it.
+ * @param {string[]} args - The git arguments.
+ * @returns {string} The command line.
+ */
+function formatGitCommand(args) {
+    const quoted = args.map(arg => /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`);
+    return ['git', ...quoted].join(' ');
+}
+
+/**
+ * Interprets the result of `git merge-tree --write-tree --name-only <branch> <target>`.
+ * Exit code 0 means a clean merge, 1 means conflicts; the conflicted files follow the tree OID
+ * on the first line, up to the first blank line.
+ * @param {string} stdout - The command output.
+ * @param {number | null | undefined} exitCode - The command exit code.
+ * @returns {ConflictCheck} The conflict check result.
+ */
+function parseMergeTreeOutput(stdout, exitCode) {
+    if (exitCode !== 0 && exitCode !== 1) {
+        return { checked: false, hasConflicts: false, files: [] };
+    }
+    if (exitCode === 0) {
+        return { checked: true, hasConflicts: false, files: [] };
+    }
+    const lines = stdout.split('\n').slice(1);
+    const blankIndex = lines.findIndex(line => line.trim() === '');
+    const files = (blankIndex === -1 ? lines : lines.slice(0, blankIndex)).map(line => line.trim()).filter(Boolean);
+    return { checked: true, hasConflicts: true, files: [...new Set(files)] };
+}
+
+/**
+ * Escapes text for use in HTML.
+ * @param {string} text - The raw text.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders the preview page for a webview.
+ * @param {MergeRequestPlan} plan - What the flow would do.
+ * @param {{nonce: string, cspSource: string}} webview - Nonce for the inline script and the webview CSP source.
+ * @returns {string} The HTML document.
+ */
+function renderPreviewHtml(plan, { nonce, cspSource }) {
+    const list = items => items.length > 0
+        ? `<ul>${items.map(item => `<li><code>${escapeHtml(item)}</code></li>`).join('')}</ul>`
+        : '<p><em>None</em></p>';
+
+    let conflictSection;
+    if (plan.integrationStrategy === 'none') {
+        conflictSection = '<p>The target branch is not integrated (strategy <code>none</code>).</p>';
+    } else if (!plan.conflicts.checked) {
+        conflictSection = '<p class="warning">Could not check for conflicts. <code>git merge-tree --write-tree</code> needs Git 2.38 or later.</p>';
+    } else if (plan.conflicts.hasConflicts) {
+        conflictSection = `<p class="error">Integrating <code>${escapeHtml(`${plan.remoteName}/${plan.targetBranch}`)}</code> would conflict in:</p>${list(plan.conflicts.files)}`;
+    } else {
+        conflictSection = `<p class="ok">Integrating <code>${escapeHtml(`${plan.remoteName}/${plan.targetBranch}`)}</code> applies cleanly.</p>`;
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}';">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Merge Request Preview</title>
+<style>
+    body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); padding: 0 1.5em 2em; }
+    th { text-align: left; padding-right: 1em; vertical-align: top; }
+    pre { background: var(--vscode-textCodeBlock-background); padding: 0.75em; overflow-x: auto; white-space: pre-wrap; }
+    .error { color: var(--vscode-errorForeground); }
+    .warning { color: var(--vscode-editorWarning-foreground); }
+    .ok { color: var(--vscode-testing-iconPassed); }
+    button { color: var(--vscode-button-foreground); background: var(--vscode-button-background); border: none; padding: 0.5em 1.25em; cursor: pointer; }
+    button:hover { background: var(--vscode-button-hoverBackground); }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(plan.title)}</h1>
+<table>
+    <tr><th>Repository</th><td><code>${escapeHtml(plan.workspaceRoot)}</code></td></tr>
+    <tr><th>Project</th><td><code>${escapeHtml(plan.projectUrl)}</code></td></tr>
+    <tr><th>Remote</th><td><code>${escapeHtml(`${plan.remoteName} (${plan.remoteUrl})`)}</code></td></tr>
+    <tr><th>Source branch</th><td><code>${escapeHtml(plan.currentBranch)}</code></td></tr>
+    <tr><th>Target branch</th><td><code>${escapeHtml(plan.targetBranch)}</code></td></tr>
+    <tr><th>Branch rule</th><td><code>${escapeHtml(plan.branchRule.pattern)}</code></td></tr>
+    <tr><th>Integration</th><td><code>${escapeHtml(plan.integrationStrategy)}</code></td></tr>
+    <tr><th>Merge request</th><td>${plan.existingMergeRequest
+        ? `Updates existing <code>!${escapeHtml(plan.existingMergeRequest.iid)}</code> (${escapeHtml(plan.existingMergeRequest.url)}); title and description are left unchanged`
+        : 'Creates a new merge request'}</td></tr>
+</table>
+<h2>Description</h2>
+<pre>${escapeHtml(plan.description || '(empty)')}</pre>
+<h2>Git commands</h2>
+<pre>${plan.commands.map(args => escapeHtml(formatGitCommand(args))).join('\n')}</pre>
+<h2>Push options</h2>
+${list(plan.pushOptions)}
+<h2>Commits (${plan.commits.length})</h2>
+${list(plan.commits)}
+<h2>Changes</h2>
+<pre>${escapeHtml(plan.diffstat || '(no changes)')}</pre>
+<h2>Conflicts</h2>
+${conflictSection}
+<p>Based on the remote-tracking branches of the last fetch. Nothing has been changed yet.</p>
+<button id="create">Create Merge Request</button>
+<script nonce="${nonce}">
+    const vscode = acquireVsCodeApi();
+    document.getElementById('create').addEventListener('click', () => vscode.postMessage({ command: 'create' }));
+</script>
+</body>
+</html>`;
+}
+
+module.exports = {
+    formatGitCommand,
+    parseMergeTreeOutput,
+    escapeHtml,
+    renderPreviewHtml
+};
@@ -0,0 +1,167 @@
+// Builds GitLab `merge_request.*` push options for `git push -o`.
+
+/** Prefix of the workspace state keys holding remembered push options per repository. */
+const DEFAULTS_STATE_KEY_PREFIX = 'gitlab-mr-flow.pushOptionDefaults:';
+
+/**
+ * @typedef {Object} MergeRequestOptions
+ * @property {string} target - Target branch.
+ * @property {string} title - Merge request title.
+ * @property {string} [description] - Merge request description.
+ * @property {boolean} [draft] - Mark the merge request as draft.
+ * @property {string[]} [labels] - Labels to add.
+ * @property {string[]} [unlabels] - Labels to remove.
+ * @property {string[]} [assignees] - User names to assign.
+ * @property {string} [milestone] - Milestone title.
+ * @property {boolean} [removeSourceBranch] - Delete the source branch when merged.
+ * @property {boolean} [mergeWhenPipelineSucceeds] - Merge automatically once the pipeline succeeds.
+ */
+
+/**
+ * @typedef {Object} PushOptionDefaults
+ * @property {boolean} draft
+ * @property {string[]} labels
+ * @property {string[]} unlabels
+ * @property {string[]} assignees
+ * @property {string} milestone
+ * @property {boolean} removeSourceBranch
+ * @property {boolean} mergeWhenPipelineSucceeds
+ */
+
+/** Defaults used for repositories without remembered push options. */
+const EMPTY_PUSH_OPTION_DEFAULTS = Object.freeze({
+    draft: false,
+    labels: [],
+    unlabels: [],
+    assignees: [],
+    milestone: '',
+    removeSourceBranch: false,
+    mergeWhenPipelineSucceeds: false
+});
+
+/**
+ * Prepares a value for use in a `git push -o` option.
+ * Git rejects push options containing line breaks, so they are turned into `<br>`,
+ * which GitLab renders as a line break in Markdown. Lists, headings and code blocks spanning
+ * several lines do not survive this; with an access token, the flow sets the description
+ * through the GitLab API after the push. NUL characters are dropped.
+ * Values are passed to git as separate arguments, never through a shell, so spaces
+ * and quotes need no further escaping.
+ * @param {string} value - The raw option value.
+ * @returns {string} The value safe to pass as a push option.
+ */
+function escapePushOptionValue(value) {
+    return String(value)
+        .replace(/\0/g, '')
+        .replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Splits a comma separated list (as typed into an input box) into trimmed, unique, non-empty entries.
+ * A leading `@` on user names and `~` on labels or milestones is removed, matching GitLab's reference syntax.
+ * @param {string | string[] | undefined} value - Comma separated text or an array of entries.
+ * @returns {string[]} The entries.
+ */
+function parseList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    const result = [];
+    for (const item of items) {
+        const trimmed = String(item).trim().replace(/^[@~]/, '').trim();
+        if (trimmed && !result.includes(trimmed)) {
+            result.push(trimmed);
+        }
+    }
+    return result;
+}
+
+/**
+ * Builds the list of `merge_request.*` push options for creating a merge request.
+ * @param {MergeRequestOptions} options - The merge request options.
+ * @returns {string[]} Push option strings (without the `-o` flag).
+ */
+function buildPushOptions(options) {
+    const pushOptions = [
+        'merge_request.create',
+        `merge_request.target=${escapePushOptionValue(options.target)}`,
+        `merge_request.remove_source_branch=${options.removeSourceBranch === true}`,
+        `merge_request.title=${escapePushOptionValue(options.title)}`
+    ];
+    if (options.description) {
+        pushOptions.push(`merge_request.description=${escapePushOptionValue(options.description)}`);
+    }
+    if (options.draft) {
+        pushOptions.push('merge_request.draft');
+    }
+    parseList(options.labels).forEach(label => pushOptions.push(`merge_request.label=${escapePushOptionValue(label)}`));
+    parseList(options.unlabels).forEach(label => pushOptions.push(`merge_request.unlabel=${escapePushOptionValue(label)}`));
+    parseList(options.assignees).forEach(user => pushOptions.push(`merge_request.assign=${escapePushOptionValue(user)}`));
+    if (options.milestone && options.milestone.trim()) {
+        pushOptions.push(`merge_request.milestone=${escapePushOptionValue(options.milestone.trim())}`);
+    }
+    if (options.mergeWhenPipelineSucceeds) {
+        pushOptions.push('merge_request.merge_when_pipeline_succeeds');
+    }
+    return pushOptions;
+}
+
+/**
+ * Builds the push options for updating the existing merge request of a branch.
+ * Title, description and the other creation settings are left alone so edits made in GitLab are kept.
+ * `merge_request.create` is still sent: GitLab ignores it while an open merge request exists for the branch,
+ * and creates a new one if the remembered merge request has been merged or closed in the meantime.
+ * @param {{target: string, draft?: boolean, labels?: string[]}} options - Target branch, draft status and labels to add.
+ * @returns {string[]} Push option strings (without the `-o` flag).
+ */
+function buildUpdatePushOptions(options) {
+    const pushOptions = [
+        'merge_request.create',
+        `merge_request.target=${escapePushOptionValue(options.target)}`
+    ];
+    if (options.draft) {
+        pushOptions.push('merge_request.draft');
+    }
+    parseList(options.labels).forEach(label => pushOptions.push(`merge_request.label=${escapePushOptionValue(label)}`));
+    return pushOptions;
+}
+
+/**
+ * Turns push options into `git push` arguments.
+ * @param {string[]} pushOptions - Push option strings.
+ * @returns {string[]} Arguments of the form `['-o', option, ...]`.
+ */
+function toPushOptionArgs(pushOptions) {
+    return pushOptions.flatMap(option => ['-o', option]);
+}
+
+/**
+ * Reads the push options remembered for a repository.
+ * @param {{get: function(string, any): any}} memento - Workspace state.
+ * @param {string} repositoryKey - Key identifying the repository, e.g. its root path.
+ * @returns {PushOptionDefaults} The remembered options, or empty defaults.
+ */
+function getRememberedDefaults(memento, repositoryKey) {
+    const stored = memento.get(DEFAULTS_STATE_KEY_PREFIX + repositoryKey, {});
+    return { ...EMPTY_PUSH_OPTION_DEFAULTS, ...stored };
+}
+
+/**
+ * Remembers push options for a repository.
+ * @param {{update: function(string, any): Thenable<void>}} memento - Workspace state.
+ * @param {string} repositoryKey - Key identifying the repository, e.g. its root path.
+ * @param {PushOptionDefaults} defaults - The options to remember.
+ * @returns {Thenable<void>}
+ */
+function rememberDefaults(memento, repositoryKey, defaults) {
+    return memento.update(DEFAULTS_STATE_KEY_PREFIX + repositoryKey, defaults);
+}
+
+module.exports = {
+    EMPTY_PUSH_OPTION_DEFAULTS,
+    escapePushOptionValue,
+    parseList,
+    buildPushOptions,
+    buildUpdatePushOptions,
+    toPushOptionArgs,
+    getRememberedDefaults,
+    rememberDefaults
+};
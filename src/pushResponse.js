@@ -0,0 +1,191 @@
+// Parses the output of `git push` against GitLab: merge request links, warnings and rejections.
+
+/**
+ * @typedef {Object} PushIssue
+ * @property {string} kind - Machine readable kind, e.g. `protected-branch` or `push-option`.
+ * @property {string} message - User-facing description of what happened.
+ * @property {string} action - Suggested next step for the user.
+ * @property {string} detail - The raw output line(s) the issue was derived from.
+ */
+
+/**
+ * @typedef {Object} PushResponse
+ * @property {'created' | 'existing' | 'unknown' | 'none'} status - Whether a merge request was created, already existed,
+ *   was reported without saying which, or no link was reported.
+ * @property {number | undefined} iid - Project-level ID of the merge request.
+ * @property {string | undefined} url - URL of the merge request.
+ * @property {string | undefined} newMergeRequestUrl - "Create merge request" link GitLab prints when no MR exists.
+ * @property {boolean} newBranch - True if the push created the branch on the remote.
+ * @property {PushIssue[]} warnings - Non-fatal problems, e.g. rejected push options.
+ * @property {PushIssue[]} rejections - Reasons the push was rejected.
+ */
+
+/** Known rejection reasons, matched against the complete output in order. */
+const REJECTION_PATTERNS = [
+    {
+        kind: 'protected-branch',
+        pattern: /not allowed to (?:push code to|force push code to) (?:a )?protected branch|\(protected branch hook declined\)/i,
+        message: 'GitLab rejected the push because the branch is protected.',
+        action: 'Push to an unprotected feature branch, or ask a maintainer to allow pushes to it.'
+    },
+    {
+        kind: 'stale-lease',
+        pattern: /\[rejected\].*\(stale info\)/,
+        message: 'The remote branch changed since it was last fetched, so the forced push was refused.',
+        action: 'Fetch, integrate the new remote commits and run the flow again.'
+    },
+    {
+        kind: 'non-fast-forward',
+        pattern: /\[rejected\].*\((?:non-fast-forward|fetch first)\)/,
+        message: 'The remote branch contains commits that are not in your local branch.',
+        action: 'Pull or merge the remote branch into your branch, then run the flow again.'
+    },
+    {
+        kind: 'pre-receive-hook',
+        pattern: /\[remote rejected\].*\(pre-receive hook declined\)/,
+        message: 'A GitLab pre-receive hook (push rule) declined the push.',
+        action: 'Check the "remote:" messages in the Output channel, e.g. commit message or file size rules, fix the commits and push again.'
+    },
+    {
+        kind: 'push-options-unsupported',
+        pattern: /the receiving end does not support push options/i,
+        message: 'The remote does not support push options, so no merge request can be created by push.',
+        action: 'Check that the remote is a GitLab server (11.10 or later) and that it is reached directly, not through a mirror.'
+    },
+    {
+        kind: 'authentication',
+        pattern: /Authentication failed|HTTP Basic: Access denied|Permission denied \(publickey|could not read Username/i,
+        message: 'Git could not authenticate with the remote.',
+        action: 'Check your credentials or SSH key for this GitLab instance.'
+    },
+    {
+        kind: 'permission',
+        pattern: /You are not allowed to push code to this project|The project you were looking for could not be found/i,
+        message: 'You do not have permission to push to this project.',
+        action: 'Ask a maintainer for Developer access, or push to your fork.'
+    },
+    {
+        kind: 'remote-rejected',
+        pattern: /\[remote rejected\]/,
+        message: 'GitLab rejected the push.',
+        action: 'Check the "remote:" messages in the Output channel for the reason.'
+    }
+];
+
+/**
+ * Extracts the text of `remote:` lines, without the prefix.
+ * @param {string} output - Combined stdout and stderr of `git push`.
+ * @returns {string[]} The remote lines, trimmed.
+ */
+function getRemoteLines(output) {
+    return output
+        .split(/\r?\n/)
+        .filter(line => /^remote:/.test(line))
+        .map(line => line.replace(/^remote:/, '').trim());
+}
+
+/**
+ * Collects warnings GitLab printed in its `WARNINGS:` block, e.g. push options it could not apply.
+ * @param {string[]} remoteLines - The remote lines.
+ * @returns {PushIssue[]} The warnings.
+ */
+function collectWarnings(remoteLines) {
+    const warnings = [];
+    let inWarningBlock = false;
+    for (const line of remoteLines) {
+        if (/^WARNINGS?:$/i.test(line)) {
+            inWarningBlock = true;
+            continue;
+        }
+        if (inWarningBlock && (line === '' || /^=+$/.test(line))) {
+            inWarningBlock = false;
+            continue;
+        }
+        const pushOptionMatch = line.match(/Error encountered with push options? ((?:'[^']*'\s*)+):\s*(.*)$/i);
+        if (pushOptionMatch) {
+            warnings.push({
+                kind: 'push-option',
+                message: `GitLab could not apply push options ${pushOptionMatch[1].trim()}: ${pushOptionMatch[2] || 'unknown error'}`,
+                action: 'Set the option in the merge request page in GitLab.',
+                detail: line
+            });
+        } else if (inWarningBlock && line) {
+            warnings.push({ kind: 'remote-warning', message: line, action: 'Check the merge request in GitLab.', detail: line });
+        }
+    }
+    return warnings;
+}
+
+/**
+ * Parses the output of `git push` against GitLab.
+ * Only URLs GitLab announces as a merge request link are used; pipeline, warning or other URLs are ignored.
+ * @param {string} output - Combined stdout and stderr of `git push`.
+ * @param {string} [branch] - The pushed branch, used to pick the right link when several branches were pushed.
+ * @returns {PushResponse} The structured response.
+ */
+function parsePushResponse(output, branch) {
+    const text = output || '';
+    const remoteLines = getRemoteLines(text);
+
+    let url;
+    let newMergeRequestUrl;
+    let announcedExisting = false;
+    let hasHeadings = false;
+    for (let i = 0; i < remoteLines.length; i++) {
+        const line = remoteLines[i];
+        const viewMatch = line.match(/^View merge request for (.+):$/i);
+        const createMatch = line.match(/^To create a merge request for (.+), visit:$/i);
+        if (!viewMatch && !createMatch) continue;
+        hasHeadings = true;
+        const announcedBranch = (viewMatch || createMatch)[1];
+        if (branch && announcedBranch !== branch) continue;
+
+        const nextUrl = remoteLines.slice(i + 1).find(candidate => candidate !== '');
+        if (!nextUrl || !/^https?:\/\//i.test(nextUrl)) continue;
+        if (viewMatch && !url) {
+            url = nextUrl;
+        } else if (createMatch && !newMergeRequestUrl) {
+            newMergeRequestUrl = nextUrl;
+        }
+    }
+    if (!url && !hasHeadings) {
+        // Older GitLab versions print the link without the "View merge request" heading
+        url = remoteLines.find(line => /^https?:\/\/\S+\/merge_requests\/\d+\/?$/i.test(line));
+    }
+    if (remoteLines.some(line => /merge request .*already exists/i.test(line))) {
+        announcedExisting = true;
+    }
+
+    const iidMatch = url ? url.match(/merge_requests\/(\d+)/) : null;
+    const newBranch = /^\s*\* \[new branch\]/m.test(text);
+    let status = 'none';
+    if (url) {
+        // GitLab announces both new and existing MRs with "View merge request"; only a new branch can tell them
+        // apart, since it cannot have an MR yet. For an updated branch the caller knows better from its own lookup.
+        status = announcedExisting ? 'existing' : newBranch ? 'created' : 'unknown';
+    }
+
+    const rejections = [];
+    for (const rejection of REJECTION_PATTERNS) {
+        const match = text.match(rejection.pattern);
+        if (!match) continue;
+        // The generic pattern only applies when nothing more specific matched
+        if (rejection.kind === 'remote-rejected' && rejections.length > 0) continue;
+        const detailLine = text.split(/\r?\n/).find(line => rejection.pattern.test(line)) || match[0];
+        rejections.push({ kind: rejection.kind, message: rejection.message, action: rejection.action, detail: detailLine.trim() });
+    }
+
+    return {
+        status: /** @type {'created' | 'existing' | 'none'} */ (status),
+        iid: iidMatch ? parseInt(iidMatch[1], 10) : undefined,
+        url,
+        newMergeRequestUrl,
+        newBranch,
+        warnings: collectWarnings(remoteLines),
+        rejections
+    };
+}
+
+module.exports = {
+    parsePushResponse
+};
@@ -0,0 +1,244 @@
+// Parses git remote URLs into GitLab project descriptors.
+const { compilePattern } = require('./branchRules');
+
+/**
+ * @typedef {Object} GitLabProject
+ * @property {string} host - Web host name (including a non-default port for HTTP(S) remotes).
+ * @property {string} gitHost - Host name found in the remote URL.
+ * @property {string} webBaseUrl - Base URL of the GitLab web UI including any relative root, e.g. `https://corp.example.com/gitlab`.
+ * @property {string} relativeRoot - Relative URL root of the instance, e.g. `/gitlab`; empty when served from `/`.
+ * @property {string} groupPath - Nested group/namespace path, e.g. `group/sub`.
+ * @property {string} projectPath - Full project path including groups, e.g. `group/sub/proj`.
+ * @property {string} projectName - Last path segment, e.g. `proj`.
+ * @property {string} webUrl - Project home page, e.g. `https://gitlab.example.com/group/sub/proj`.
+ * @property {string | undefined} instancePattern - `hostPattern` of the `gitlab-mr-flow.instances` entry used, if any.
+ */
+
+/**
+ * @typedef {Object} GitLabInstanceConfig
+ * @property {string} hostPattern - Glob or /regex/ matched against the git host (and `host:port`) of the remote.
+ * @property {string} [webBaseUrl] - Base URL of the web UI, e.g. `https://gitlab.example.com` or `https://corp.example.com/gitlab`.
+ * @property {string} [relativeRoot] - Relative URL root, e.g. `/gitlab`. Overrides the path of `webBaseUrl`.
+ * @property {string} [protocol] - `https` or `http`. Overrides the scheme of `webBaseUrl`.
+ */
+
+/**
+ * @typedef {Object} RemoteUrlOptions
+ * @property {Object<string, string>} [hostMapping] - Mapping from SSH/git host to web host (`gitlab-mr-flow.sshHostMapping`).
+ * @property {GitLabInstanceConfig[]} [instances] - Per-instance web settings (`gitlab-mr-flow.instances`); take precedence over `hostMapping`.
+ */
+
+/**
+ * Strips a trailing `.git` suffix and surrounding slashes from a repository path.
+ * @param {string} repoPath - Path part of the remote URL.
+ * @returns {string} The normalized project path.
+ */
+function normalizeProjectPath(repoPath) {
+    let result = repoPath.trim().replace(/^\/+|\/+$/g, '');
+    if (result.endsWith('.git')) {
+        result = result.slice(0, -4);
+    }
+    return result.replace(/\/+$/, '');
+}
+
+/**
+ * Splits a remote URL into its scheme, host, port and path parts.
+ * Handles `https://`, `http://`, `ssh://`, `git://` and scp-style (`git@host:group/proj.git`) remotes.
+ * Embedded credentials (user names, tokens) are dropped.
+ * @param {string} remoteUrl - The remote URL as found in git config.
+ * @returns {{scheme: string, host: string, port: string, path: string}} The URL parts.
+ * @throws {Error} If the remote URL cannot be parsed.
+ */
+function splitRemoteUrl(remoteUrl) {
+    const trimmed = (remoteUrl || '').trim();
+    if (!trimmed) {
+        throw new Error('Remote URL is empty.');
+    }
+
+    // URL-style remotes: scheme://[user[:password]@]host[:port]/path
+    const urlMatch = trimmed.match(/^([a-z][a-z0-9+.-]*):\/\/(?:[^@/]*@)?(\[[^\]]+\]|[^/:]+)(?::(\d*))?(\/.*)?$/i);
+    if (urlMatch) {
+        return {
+            scheme: urlMatch[1].toLowerCase(),
+            host: urlMatch[2].toLowerCase(),
+            port: urlMatch[3] || '',
+            path: urlMatch[4] || ''
+        };
+    }
+
+    // scp-style remotes: [user@]host:path (no scheme, path must not start with '//')
+    const scpMatch = trimmed.match(/^(?:[^@/]+@)?([^/:]+):(?!\/\/)(.+)$/);
+    if (scpMatch) {
+        return {
+            scheme: 'ssh',
+            host: scpMatch[1].toLowerCase(),
+            port: '',
+            path: scpMatch[2]
+        };
+    }
+
+    throw new Error(`Unsupported remote URL format: ${trimmed}`);
+}
+
+/**
+ * Looks up the web host for a git host in a user supplied mapping.
+ * Values may be a bare host (`gitlab.example.com`) or a full base URL (`https://gitlab.example.com`).
+ * @param {string} host - Git host name from the remote URL.
+ * @param {Object<string, string>} [hostMapping] - Mapping from SSH/git host to web host.
+ * @returns {string | undefined} The mapped value, if any.
+ */
+function lookupHostMapping(host, hostMapping) {
+    if (!hostMapping) {
+        return undefined;
+    }
+    for (const [key, value] of Object.entries(hostMapping)) {
+        if (key.toLowerCase() === host && typeof value === 'string' && value.trim()) {
+            return value.trim();
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Finds the first instance whose `hostPattern` matches the git host, with or without port.
+ * @param {{host: string, port: string}} parts - Host and port of the remote URL.
+ * @param {GitLabInstanceConfig[]} [instances] - Configured instances.
+ * @returns {GitLabInstanceConfig | undefined} The matching instance.
+ * @throws {Error} If an instance has an invalid host pattern.
+ */
+function findInstance(parts, instances) {
+    if (!Array.isArray(instances)) {
+        return undefined;
+    }
+    const candidates = parts.port ? [parts.host, `${parts.host}:${parts.port}`] : [parts.host];
+    return instances.find(instance => {
+        if (!instance || !instance.hostPattern) return false;
+        const pattern = compilePattern(instance.hostPattern);
+        return candidates.some(candidate => pattern.test(candidate));
+    });
+}
+
+/**
+ * Normalizes a relative URL root to the form `/gitlab` (or an empty string for `/`).
+ * @param {string} relativeRoot - The configured root.
+ * @returns {string} The normalized root.
+ */
+function normalizeRelativeRoot(relativeRoot) {
+    const trimmed = (relativeRoot || '').trim().replace(/^\/+|\/+$/g, '');
+    return trimmed ? `/${trimmed}` : '';
+}
+
+/**
+ * Parses a git remote URL into a canonical GitLab project descriptor.
+ * SSH ports are dropped since the web UI never listens on them; HTTP(S) ports are kept.
+ * A configured relative root is removed from the start of HTTP(S) remote paths and added to the web URLs.
+ * @param {string} remoteUrl - The remote URL (HTTPS, SSH, scp-style or `ssh://`).
+ * @param {RemoteUrlOptions} [options] - Host mapping and instance settings.
+ * @returns {GitLabProject} The parsed project descriptor.
+ * @throws {Error} If the remote URL cannot be parsed or has no project path.
+ */
+function parseRemoteUrl(remoteUrl, options = {}) {
+    const parts = splitRemoteUrl(remoteUrl);
+    const isHttp = parts.scheme === 'http' || parts.scheme === 'https';
+    const instance = findInstance(parts, options.instances);
+
+    // Start from the remote itself, then apply the simple host mapping, then the instance settings
+    let protocol = isHttp ? parts.scheme : 'https';
+    let host = isHttp && parts.port ? `${parts.host}:${parts.port}` : parts.host;
+    let relativeRoot = '';
+
+    const mapped = lookupHostMapping(parts.host, options.hostMapping);
+    const baseUrl = instance && instance.webBaseUrl ? instance.webBaseUrl.trim() : mapped;
+    if (baseUrl) {
+        const baseMatch = baseUrl.match(/^(?:([a-z][a-z0-9+.-]*):\/\/)?([^/]+)(\/.*)?$/i);
+        if (baseMatch) {
+            protocol = baseMatch[1] ? baseMatch[1].toLowerCase() : 'https';
+            host = baseMatch[2].toLowerCase();
+            relativeRoot = normalizeRelativeRoot(baseMatch[3]);
+        }
+    }
+    if (instance && instance.relativeRoot !== undefined) {
+        relativeRoot = normalizeRelativeRoot(instance.relativeRoot);
+    }
+    if (instance && instance.protocol) {
+        protocol = instance.protocol.toLowerCase();
+    }
+
+    let repoPath = parts.path.replace(/^\/+/, '/');
+    if (relativeRoot && isHttp && (repoPath === relativeRoot || repoPath.startsWith(`${relativeRoot}/`))) {
+        repoPath = repoPath.slice(relativeRoot.length);
+    }
+    const projectPath = normalizeProjectPath(repoPath);
+    if (!projectPath || !projectPath.includes('/')) {
+        throw new Error(`Could not determine GitLab project path from remote URL: ${remoteUrl}`);
+    }
+
+    const webBaseUrl = `${protocol}://${host}${relativeRoot}`;
+    const segments = projectPath.split('/');
+    const projectName = segments.pop();
+    const groupPath = segments.join('/');
+
+    return {
+        host,
+        gitHost: parts.host,
+        webBaseUrl,
+        relativeRoot,
+        groupPath,
+        projectPath,
+        projectName,
+        webUrl: `${webBaseUrl}/${projectPath}`,
+        instancePattern: instance ? instance.hostPattern : undefined
+    };
+}
+
+/**
+ * Builds the URL of the project's merge request list page.
+ * @param {GitLabProject} project - The parsed project descriptor.
+ * @returns {string} The merge request list URL.
+ */
+function getMergeRequestListUrl(project) {
+    return `${project.webUrl}/-/merge_requests`;
+}
+
+/**
+ * Builds the URL of the "New merge request" page, pre-filled with source and target branch.
+ * @param {GitLabProject} project - The parsed project descriptor.
+ * @param {string} sourceBranch - The source branch.
+ * @param {string} [targetBranch] - The target branch; GitLab picks the default branch when omitted.
+ * @returns {string} The new merge request URL.
+ */
+function getNewMergeRequestUrl(project, sourceBranch, targetBranch) {
+    const query = [`merge_request%5Bsource_branch%5D=${encodeURIComponent(sourceBranch)}`];
+    if (targetBranch) {
+        query.push(`merge_request%5Btarget_branch%5D=${encodeURIComponent(targetBranch)}`);
+    }
+    return `${project.webUrl}/-/merge_requests/new?${query.join('&')}`;
+}
+
+/**
+ * Builds the URL of a merge request.
+ * @param {GitLabProject} project - The parsed project descriptor.
+ * @param {number | string} iid - The project-level merge request ID.
+ * @returns {string} The merge request URL.
+ */
+function getMergeRequestUrl(project, iid) {
+    return `${project.webUrl}/-/merge_requests/${iid}`;
+}
+
+/**
+ * Builds the URL listing the merge requests of a source branch.
+ * @param {GitLabProject} project - The parsed project descriptor.
+ * @param {string} sourceBranch - The source branch.
+ * @returns {string} The filtered merge request list URL.
+ */
+function getSourceBranchMergeRequestsUrl(project, sourceBranch) {
+    return `${project.webUrl}/-/merge_requests?scope=all&source_branch=${encodeURIComponent(sourceBranch)}`;
+}
+
+module.exports = {
+    parseRemoteUrl,
+    getMergeRequestListUrl,
+    getNewMergeRequestUrl,
+    getMergeRequestUrl,
+    getSourceBranchMergeRequestsUrl
+};
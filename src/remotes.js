@@ -0,0 +1,186 @@
+// Resolves git remotes from `git config` output, the way git itself does: `insteadOf`/`pushInsteadOf` rewrites, `pushurl` and push defaults.
+
+/** Prefix of the workspace state keys holding the remote chosen per repository. */
+const REMOTE_STATE_KEY_PREFIX = 'gitlab-mr-flow.remote:';
+
+/**
+ * Regular expression for `git config --get-regexp` selecting every key remote discovery needs.
+ * Git lower-cases section and variable names, so the pattern only needs lower case.
+ */
+const REMOTE_CONFIG_PATTERN = '^(remote\\..+\\.(url|pushurl)|remote\\.pushdefault|url\\..+\\.(insteadof|pushinsteadof)|branch\\..+\\.(remote|pushremote))$';
+
+/**
+ * @typedef {Object} ConfigEntry
+ * @property {string} key - Full key, e.g. `remote.origin.url`; section and variable lower case, subsection as written.
+ * @property {string} value - The value.
+ */
+
+/**
+ * @typedef {Object} Remote
+ * @property {string} remoteName - Name of the remote.
+ * @property {string} fetchUrl - URL git fetches from, after `insteadOf` rewrites.
+ * @property {string} pushUrl - URL git pushes to, after `pushurl`, `pushInsteadOf` and `insteadOf`.
+ */
+
+/**
+ * Parses the output of `git config -z --get-regexp <pattern>`: `key\nvalue` records separated by NUL.
+ * @param {string} output - The command output.
+ * @returns {ConfigEntry[]} The entries in config order, including those from included files.
+ */
+function parseConfigEntries(output) {
+    return (output || '')
+        .split('\0')
+        .filter(record => record.length > 0)
+        .map(record => {
+            const newline = record.indexOf('\n');
+            // A key without value (`[section] key`) is printed without newline
+            return newline === -1
+                ? { key: record, value: '' }
+                : { key: record.slice(0, newline), value: record.slice(newline + 1) };
+        });
+}
+
+/**
+ * Splits `section.subsection.variable` at the first and last dot; subsections may contain dots.
+ * @param {string} key - The config key.
+ * @returns {{section: string, subsection: string | undefined, variable: string}} The key parts.
+ */
+function splitKey(key) {
+    const first = key.indexOf('.');
+    const last = key.lastIndexOf('.');
+    if (first === last) {
+        return { section: key.slice(0, first), subsection: undefined, variable: key.slice(last + 1) };
+    }
+    return { section: key.slice(0, first), subsection: key.slice(first + 1, last), variable: key.slice(last + 1) };
+}
+
+/**
+ * Applies `url.<base>.insteadOf`-style rules to a URL. Like git, the longest matching prefix wins.
+ * @param {string} url - The URL as configured.
+ * @param {{base: string, prefix: string}[]} rules - Rewrite rules: URLs starting with `prefix` are rewritten to start with `base`.
+ * @returns {string | undefined} The rewritten URL, or undefined if no rule matches.
+ */
+function rewriteUrl(url, rules) {
+    let best;
+    for (const rule of rules) {
+        if (rule.prefix && url.startsWith(rule.prefix) && (!best || rule.prefix.length > best.prefix.length)) {
+            best = rule;
+        }
+    }
+    return best ? best.base + url.slice(best.prefix.length) : undefined;
+}
+
+/**
+ * Resolves the fetch and push URL of every remote that has a URL.
+ * Follows git: `insteadOf` applies to `url` and `pushurl`; `pushInsteadOf` applies to `url` only,
+ * and only when the remote has no `pushurl`. The first URL of each kind is used.
+ * @param {ConfigEntry[]} entries - Entries from `git config --get-regexp`.
+ * @returns {Remote[]} The remotes, in config order.
+ */
+function resolveRemotes(entries) {
+    const insteadOf = [];
+    const pushInsteadOf = [];
+    /** @type {Map<string, {urls: string[], pushUrls: string[]}>} */
+    const remotes = new Map();
+
+    for (const { key, value } of entries) {
+        const { section, subsection, variable } = splitKey(key);
+        if (subsection === undefined) continue;
+        if (section === 'url' && variable === 'insteadof') {
+            insteadOf.push({ base: subsection, prefix: value });
+        } else if (section === 'url' && variable === 'pushinsteadof') {
+            pushInsteadOf.push({ base: subsection, prefix: value });
+        } else if (section === 'remote' && (variable === 'url' || variable === 'pushurl')) {
+            if (!remotes.has(subsection)) {
+                remotes.set(subsection, { urls: [], pushUrls: [] });
+            }
+            const remote = remotes.get(subsection);
+            (variable === 'url' ? remote.urls : remote.pushUrls).push(value);
+        }
+    }
+
+    const result = [];
+    for (const [remoteName, { urls, pushUrls }] of remotes) {
+        if (urls.length === 0) continue;
+        const fetchUrl = rewriteUrl(urls[0], insteadOf) || urls[0];
+        let pushUrl;
+        if (pushUrls.length > 0) {
+            pushUrl = rewriteUrl(pushUrls[0], insteadOf) || pushUrls[0];
+        } else {
+            pushUrl = rewriteUrl(urls[0], pushInsteadOf) || fetchUrl;
+        }
+        result.push({ remoteName, fetchUrl, pushUrl });
+    }
+    return result;
+}
+
+/**
+ * Finds the remote git itself would push a branch to: `branch.<name>.pushRemote`, then `remote.pushDefault`,
+ * then `branch.<name>.remote`.
+ * @param {ConfigEntry[]} entries - Entries from `git config --get-regexp`.
+ * @param {string} [branch] - The branch to push.
+ * @returns {string | undefined} The configured remote name, if any.
+ */
+function getConfiguredPushRemote(entries, branch) {
+    const lastValue = key => {
+        // Later entries override earlier ones, as in `git config --get`
+        const matches = entries.filter(entry => entry.key === key);
+        return matches.length > 0 ? matches[matches.length - 1].value : undefined;
+    };
+    return (branch && lastValue(`branch.${branch}.pushremote`))
+        || lastValue('remote.pushdefault')
+        || (branch && lastValue(`branch.${branch}.remote`))
+        || undefined;
+}
+
+/**
+ * Picks the remote to use without asking, if possible: the preferred or remembered remote,
+ * git's push remote for the branch, `origin`, or the only remote.
+ * @param {Remote[]} remotes - The available remotes.
+ * @param {{preferred?: string, remembered?: string, configured?: string}} candidates - Remote names to try, in this order.
+ * @returns {{remote: Remote, reason: string} | undefined} The remote and why it was picked, or undefined if the user has to choose.
+ */
+function pickRemote(remotes, { preferred, remembered, configured }) {
+    const byName = name => name ? remotes.find(remote => remote.remoteName === name) : undefined;
+    const picks = [
+        [byName(preferred), 'preferred'],
+        [byName(remembered), 'remembered choice'],
+        [byName(configured), 'git push configuration'],
+        [byName('origin'), 'origin'],
+        [remotes.length === 1 ? remotes[0] : undefined, 'only remote']
+    ];
+    const pick = picks.find(([remote]) => remote);
+    return pick ? { remote: pick[0], reason: pick[1] } : undefined;
+}
+
+/**
+ * Reads the remote chosen for a repository.
+ * @param {{get: function(string, any): any}} memento - Workspace state.
+ * @param {string} repositoryKey - Key identifying the repository, e.g. its root path.
+ * @returns {string | undefined} The remote name, if one was chosen.
+ */
+function getRememberedRemote(memento, repositoryKey) {
+    return memento.get(REMOTE_STATE_KEY_PREFIX + repositoryKey, undefined);
+}
+
+/**
+ * Remembers the remote chosen for a repository.
+ * @param {{update: function(string, any): Thenable<void>}} memento - Workspace state.
+ * @param {string} repositoryKey - Key identifying the repository, e.g. its root path.
+ * @param {string | undefined} remoteName - The remote name; undefined forgets the choice.
+ * @returns {Thenable<void>}
+ */
+function rememberRemote(memento, repositoryKey, remoteName) {
+    return memento.update(REMOTE_STATE_KEY_PREFIX + repositoryKey, remoteName);
+}
+
+module.exports = {
+    REMOTE_CONFIG_PATTERN,
+    parseConfigEntries,
+    rewriteUrl,
+    resolveRemotes,
+    getConfiguredPushRemote,
+    pickRemote,
+    getRememberedRemote,
+    rememberRemote
+};
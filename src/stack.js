@@ -0,0 +1,107 @@
+// Works out stacks of dependent branches, where each branch builds on the one below it.
+
+/** Prefix of the workspace state keys holding the parent of each stacked branch per repository. */
+const STACK_STATE_KEY_PREFIX = 'gitlab-mr-flow.stackParents:';
+
+/**
+ * @typedef {Object} StackEntry
+ * @property {string} branch - The branch.
+ * @property {string} parent - The branch it builds on; empty when it targets the default branch.
+ */
+
+/**
+ * Reads the parent remembered for a branch.
+ * @param {{get: function(string, any): any}} memento - Workspace state.
+ * @param {string} repositoryKey - Key identifying the repository, e.g. its root path.
+ * @param {string} branch - The branch.
+ * @returns {string | undefined} The parent branch, an empty string if the branch targets the default branch,
+ *   or undefined if nothing is remembered.
+ */
+function getStackParent(memento, repositoryKey, branch) {
+    const parents = memento.get(STACK_STATE_KEY_PREFIX + repositoryKey, {});
+    return typeof parents[branch] === 'string' ? parents[branch] : undefined;
+}
+
+/**
+ * Remembers the parent of a branch.
+ * @param {{get: function(string, any): any, update: function(string, any): Thenable<void>}} memento - Workspace state.
+ * @param {string} repositoryKey - Key identifying the repository, e.g. its root path.
+ * @param {string} branch - The branch.
+ * @param {string | undefined} parent - The parent branch, an empty string for the default branch, or undefined to forget.
+ * @returns {Thenable<void>}
+ */
+function rememberStackParent(memento, repositoryKey, branch, parent) {
+    const parents = { ...memento.get(STACK_STATE_KEY_PREFIX + repositoryKey, {}) };
+    if (parent === undefined) {
+        delete parents[branch];
+    } else {
+        parents[branch] = parent;
+    }
+    return memento.update(STACK_STATE_KEY_PREFIX + repositoryKey, parents);
+}
+
+/**
+ * Splits `git for-each-ref --format=%(refname:short)` output into branch names.
+ * @param {string} output - The command output.
+ * @returns {string[]} The branch names.
+ */
+function parseBranchList(output) {
+    return (output || '').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Picks the closest ancestor branch: the one with the fewest commits between its tip and the branch.
+ * Branches at the same commit as the branch (distance 0) are skipped, since they add nothing to stack on.
+ * Ties are broken by name so the result does not depend on ref order.
+ * @param {{branch: string, distance: number}[]} candidates - Ancestor branches and their distance.
+ * @returns {string | undefined} The closest branch, if any.
+ */
+function pickClosestBranch(candidates) {
+    const sorted = candidates
+        .filter(candidate => candidate.distance > 0)
+        .sort((a, b) => a.distance - b.distance || a.branch.localeCompare(b.branch));
+    return sorted.length > 0 ? sorted[0].branch : undefined;
+}
+
+/**
+ * Orders the stack through a branch: its ancestors from the bottom up, the branch itself, then every branch
+ * built on top of it, each after its parent.
+ * @param {Object<string, string>} parents - Parent of every known branch; empty for branches on the default branch.
+ * @param {string} branch - The branch the stack is built around.
+ * @returns {StackEntry[]} The stack in push order; empty if the branch is unknown.
+ */
+function orderStack(parents, branch) {
+    if (!Object.prototype.hasOwnProperty.call(parents, branch)) {
+        return [];
+    }
+
+    const ancestors = [];
+    const seen = new Set([branch]);
+    let parent = parents[branch];
+    // Stop at the default branch, at branches outside the stack, and at cycles
+    while (parent && Object.prototype.hasOwnProperty.call(parents, parent) && !seen.has(parent)) {
+        seen.add(parent);
+        ancestors.unshift({ branch: parent, parent: parents[parent] });
+        parent = parents[parent];
+    }
+
+    const stack = [...ancestors, { branch, parent: parents[branch] }];
+    for (let i = ancestors.length; i < stack.length; i++) {
+        const children = Object.keys(parents)
+            .filter(child => parents[child] === stack[i].branch && !seen.has(child))
+            .sort();
+        for (const child of children) {
+            seen.add(child);
+            stack.push({ branch: child, parent: stack[i].branch });
+        }
+    }
+    return stack;
+}
+
+module.exports = {
+    getStackParent,
+    rememberStackParent,
+    parseBranchList,
+    pickClosestBranch,
+    orderStack
+};
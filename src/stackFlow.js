@@ -0,0 +1,227 @@
+// Creates or updates the merge requests of a stack of dependent branches, each targeting the branch below it.
+const { matchBranchRule } = require('./branchRules');
+const { buildPushOptions, buildUpdatePushOptions } = require('./pushOptions');
+const { parsePushResponse } = require('./pushResponse');
+const { getStackParent, rememberStackParent, parseBranchList, orderStack } = require('./stack');
+
+/** @typedef {import('./flowCore').Memento} Memento */
+
+/**
+ * Creates the MR stack flow on top of the shared flow core.
+ * @param {import('./flowCore').FlowCore} core - The host and the helpers the flows share.
+ * @returns {{collectStack: function, runMergeRequestStack: function}} The flow and the stack lookup behind it.
+ */
+function createStackFlow(core) {
+    const {
+        runGitCommand, ui, openUrl, log, getConfiguration, run, getOrigin, getTargetBranch, getCurrentBranch,
+        getRemoteBranchSha, findExistingMergeRequest, rememberPushedMergeRequest, followUpMergeRequest,
+        getIntegrationStrategy, integrateTargetBranch, runPreMergeRequestChecks, askAfterFailedChecks, findParentBranch,
+        resolveDetachedHead, runLocalPreflight, restoreStartingState, composeMergeRequestDetails,
+        getInitialPushOptionValues, buildPushArgs, getPushOutcome
+    } = core;
+
+    /**
+     * Collects the stack of unmerged local branches through a branch. Each branch's parent is the remembered one,
+     * or else the closest local branch it is built on.
+     * @param {Memento} memento - Workspace state holding the remembered stack parents.
+     * @param {string} workspaceRoot - The root path of the workspace.
+     * @param {string} remoteName - The remote name.
+     * @param {string} currentBranch - The branch the stack is built around.
+     * @param {string} defaultBranch - The default branch of the remote.
+     * @returns {Promise<import('./stack').StackEntry[]>} The stack in push order.
+     * @throws {Error} If the local branches cannot be listed.
+     */
+    async function collectStack(memento, workspaceRoot, remoteName, currentBranch, defaultBranch) {
+        const listResult = await runGitCommand(
+            ['for-each-ref', '--format=%(refname:short)', '--no-merged', `refs/remotes/${remoteName}/${defaultBranch}`, 'refs/heads'],
+            workspaceRoot,
+            `list branches not merged into ${remoteName}/${defaultBranch}`
+        );
+        if (listResult.exitCode !== 0) {
+            throw new Error(`Could not list the branches not merged into ${remoteName}/${defaultBranch}.`);
+        }
+        const branches = parseBranchList(listResult.stdout);
+        const parents = {};
+        for (const branch of branches) {
+            const remembered = getStackParent(memento, workspaceRoot, branch);
+            parents[branch] = remembered === '' || branches.includes(remembered)
+                ? remembered
+                : await findParentBranch(workspaceRoot, remoteName, branch, defaultBranch, false) || '';
+        }
+        return orderStack(parents, currentBranch);
+    }
+
+    /**
+     * Pushes every branch of the stack through the current branch, bottom up, and creates or updates
+     * their Merge Requests, each targeting the branch below it. Each branch is first re-integrated with
+     * its freshly pushed parent, so changes to lower branches reach the branches above them.
+     * @param {Memento} memento - Workspace state.
+     * @param {string} workspaceRoot - The root path of the repository.
+     * @returns {Promise<void>}
+     */
+    async function runMergeRequestStack(memento, workspaceRoot) {
+        if (!await resolveDetachedHead(workspaceRoot)) {
+            log('Stopping: HEAD is detached.');
+            return;
+        }
+
+        let flowState;
+        try {
+            const currentBranch = await getCurrentBranch(workspaceRoot);
+            const origin = await getOrigin(workspaceRoot, { memento: memento, branch: currentBranch });
+            flowState = { startBranch: currentBranch, stashed: false, outcome: /** @type {'success' | 'failed' | 'conflict'} */ ('failed'), conflictResult: undefined, integrated: undefined };
+            if (!await runLocalPreflight(workspaceRoot, flowState)) {
+                log('Stopping: local preflight checks did not pass.');
+                return;
+            }
+            run.reportStep(`Fetching ${origin.remoteName}`);
+            const fetchResult = await runGitCommand(['fetch', origin.remoteName], workspaceRoot, `fetch ${origin.remoteName}`);
+            if (fetchResult.exitCode !== 0) {
+                ui.showErrorMessage(`Git fetch from ${origin.remoteName} failed. Check Output channel for details.`);
+                return;
+            }
+
+            const defaultBranch = await getTargetBranch(workspaceRoot, origin.remoteName);
+            const stack = await collectStack(memento, workspaceRoot, origin.remoteName, currentBranch, defaultBranch);
+            if (stack.length < 2) {
+                flowState.outcome = 'success';
+                ui.showInformationMessage(`${currentBranch} is not part of a stack of unmerged branches. Use "Create Merge Request" instead.`);
+                return;
+            }
+            // Branches no rule creates MRs for are still pushed, since the branches above them target them
+            const config = getConfiguration();
+            const createsMergeRequest = entry => {
+                const rule = matchBranchRule(entry.branch, config.get('branchRules', []));
+                return Boolean(rule && rule.createMergeRequest);
+            };
+            const describe = entry => `${entry.branch} → ${entry.parent || defaultBranch}${createsMergeRequest(entry) ? '' : ' (push only)'}`;
+            log(`Merge Request stack: ${stack.map(describe).join(', ')}`);
+            const confirmItem = 'Push Stack';
+            const choice = await ui.showInformationMessage(
+                `Push ${stack.length} branches and create or update ${stack.filter(createsMergeRequest).length} Merge Requests?\n${stack.map(describe).join('\n')}`,
+                { modal: true },
+                confirmItem
+            );
+            if (choice !== confirmItem) {
+                flowState.outcome = 'success';
+                return;
+            }
+
+            const integrationStrategy = getIntegrationStrategy();
+            const results = [];
+            for (const [index, entry] of stack.entries()) {
+                const targetBranch = entry.parent || defaultBranch;
+                run.reportStep(`Pushing ${entry.branch} (${index + 1} of ${stack.length})`);
+                await rememberStackParent(memento, workspaceRoot, entry.branch, entry.parent);
+                const checkoutResult = await runGitCommand(['checkout', entry.branch], workspaceRoot, `checkout ${entry.branch}`);
+                if (checkoutResult.exitCode !== 0) {
+                    ui.showErrorMessage(`Could not check out ${entry.branch}. Check Output channel for details.`);
+                    return;
+                }
+                const leaseSha = integrationStrategy === 'rebase' ? await getRemoteBranchSha(workspaceRoot, origin.remoteName, entry.branch) : undefined;
+                if (!await integrateTargetBranch(workspaceRoot, integrationStrategy, origin.remoteName, entry.branch, targetBranch, flowState)) {
+                    return;
+                }
+                const aheadResult = await runGitCommand(['rev-list', '--count', `${origin.remoteName}/${targetBranch}..HEAD`], workspaceRoot, `count commits ahead of ${origin.remoteName}/${targetBranch}`);
+                if (aheadResult.exitCode === 0 && parseInt(aheadResult.stdout.trim(), 10) === 0) {
+                    log(`${entry.branch} has no commits on top of ${targetBranch}. Skipping.`);
+                    results.push({ ...entry, status: 'skipped', url: undefined });
+                    continue;
+                }
+
+                const branchRule = matchBranchRule(entry.branch, config.get('branchRules', []));
+                if (!branchRule || !branchRule.createMergeRequest) {
+                    const pushResult = await runGitCommand(buildPushArgs(origin.remoteName, entry.branch, [], integrationStrategy, leaseSha), workspaceRoot, `push ${entry.branch}`);
+                    if (pushResult.exitCode !== 0) {
+                        const [rejection] = parsePushResponse(`${pushResult.stdout}\n${pushResult.stderr}`, entry.branch).rejections;
+                        ui.showErrorMessage(rejection
+                            ? `Failed to push ${entry.branch}. ${rejection.message} ${rejection.action}`
+                            : `Failed to push ${entry.branch}. Exit Code: ${pushResult.exitCode}. Check Output channel for details.`);
+                        return;
+                    }
+                    flowState.integrated = undefined;
+                    results.push({ ...entry, status: 'pushed', url: undefined });
+                    continue;
+                }
+
+                const checkFailures = await runPreMergeRequestChecks(workspaceRoot, origin.remoteName, targetBranch);
+                const decision = checkFailures.length > 0 ? await askAfterFailedChecks(checkFailures, entry.branch) : 'push';
+                if (checkFailures.length > 0) {
+                    log(`Pre-MR checks failed for ${entry.branch}: ${checkFailures.join('; ')}. User chose to ${decision === 'draft' ? 'push as draft' : decision}.`);
+                }
+                if (decision === 'abort') {
+                    ui.showInformationMessage(`Stopped the stack before pushing ${entry.branch}. Fix the failed checks and run it again.`);
+                    return;
+                }
+
+                const existingMergeRequest = await findExistingMergeRequest(memento, workspaceRoot, origin, entry.branch, targetBranch, true);
+                let pushOptions;
+                let description;
+                if (existingMergeRequest) {
+                    pushOptions = buildUpdatePushOptions({ target: targetBranch, draft: decision === 'draft' });
+                } else {
+                    // The stack was confirmed as a whole, so use the matching rule's settings without asking per branch
+                    const details = await composeMergeRequestDetails(memento, workspaceRoot, origin.remoteName, entry.branch, targetBranch, branchRule);
+                    description = details.description;
+                    const pushOptionValues = getInitialPushOptionValues(memento, workspaceRoot, branchRule);
+                    pushOptions = buildPushOptions({
+                        ...pushOptionValues,
+                        draft: pushOptionValues.draft || decision === 'draft',
+                        target: targetBranch,
+                        title: details.title,
+                        description
+                    });
+                }
+                const pushArgs = buildPushArgs(origin.remoteName, entry.branch, pushOptions, integrationStrategy, leaseSha);
+                const pushResult = await runGitCommand(pushArgs, workspaceRoot, `push ${entry.branch} and create or update its merge request`);
+                const pushResponse = parsePushResponse(`${pushResult.stdout}\n${pushResult.stderr}`, entry.branch);
+                if (pushResult.exitCode !== 0) {
+                    const [rejection] = pushResponse.rejections;
+                    ui.showErrorMessage(rejection
+                        ? `Failed to push ${entry.branch}. ${rejection.message} ${rejection.action}`
+                        : `Failed to push ${entry.branch}. Exit Code: ${pushResult.exitCode}. Check Output channel for details.`);
+                    return;
+                }
+                // Pushed, so a later failure must not undo this branch's merge
+                flowState.integrated = undefined;
+                const url = pushResponse.url || (existingMergeRequest && existingMergeRequest.url);
+                const iid = pushResponse.url ? pushResponse.iid : existingMergeRequest && existingMergeRequest.iid;
+                if (url && iid) {
+                    await rememberPushedMergeRequest(memento, workspaceRoot, origin.remoteName, entry.branch, { iid, url, targetBranch });
+                    await followUpMergeRequest(origin, iid, getPushOutcome(existingMergeRequest, pushResponse) === 'created', description);
+                }
+                results.push({ ...entry, status: getPushOutcome(existingMergeRequest, pushResponse), url });
+            }
+
+            run.reportStep(`Switching back to ${currentBranch}`);
+            const backResult = await runGitCommand(['checkout', currentBranch], workspaceRoot, `checkout ${currentBranch}`);
+            flowState.outcome = backResult.exitCode === 0 ? 'success' : 'failed';
+            log('--- Merge Request stack ---');
+            results.forEach(result => log(`${describe(result)}: ${result.status}${result.url ? ` ${result.url}` : ''}`));
+            const openItem = 'Open Merge Requests';
+            const summary = `Merge Request stack pushed: ${results.map(result => `${result.branch} (${result.status})`).join(', ')}.`;
+            const urls = results.map(result => result.url).filter(Boolean);
+            if (await ui.showInformationMessage(summary, ...(urls.length > 0 ? [openItem] : [])) === openItem) {
+                for (const url of urls) {
+                    await openUrl(url);
+                }
+            }
+        } catch (error) {
+            log(`Unhandled error: ${error.message || error}`);
+            ui.showErrorMessage(`GitLab MR Flow failed to push the stack: ${error.message || 'Unknown error'}. Check Output channel.`);
+        } finally {
+            if (flowState) {
+                await restoreStartingState(workspaceRoot, flowState);
+            }
+        }
+    }
+
+    return {
+        collectStack,
+        runMergeRequestStack
+    };
+}
+
+module.exports = {
+    createStackFlow
+};
@@ -0,0 +1,129 @@
+// Renders merge request title and description templates.
+const fs = require('fs').promises;
+const path = require('path');
+
+/** Title template used when no rule or setting provides one. */
+const DEFAULT_TITLE_TEMPLATE = '${branchTitle}';
+
+/** Description template used when no setting or template file provides one. */
+const DEFAULT_DESCRIPTION_TEMPLATE = '${commits}';
+
+/** Directory GitLab reads merge request description templates from. */
+const TEMPLATE_DIRECTORY = path.join('.gitlab', 'merge_request_templates');
+
+/** Branch name prefixes stripped by {@link humanizeBranchName}. */
+const BRANCH_TYPE_PREFIX = /^(feat(ure)?|fix|bugfix|hotfix|chore|refactor|docs?|test|perf|style|build|ci)[-_.]/i;
+
+/**
+ * @typedef {Object} TemplateVariables
+ * @property {string} branch - Full source branch name, e.g. `feat/123-login-page`.
+ * @property {string} branchTitle - Branch name without prefix and issue number, humanized, e.g. `Login page`.
+ * @property {string} target - Target branch name.
+ * @property {string} firstCommit - Subject of the oldest commit not yet in the target branch.
+ * @property {string} commits - Markdown bullet list of commit subjects not yet in the target branch.
+ * @property {string} issue - Issue number found in the branch name, e.g. `123`.
+ * @property {string} author - Git `user.name`.
+ */
+
+/**
+ * Replaces `${name}` placeholders with values from `variables`.
+ * Unknown placeholders are replaced with an empty string.
+ * @param {string} template - The template text.
+ * @param {Object<string, string>} variables - Values available to the template.
+ * @returns {string} The rendered text.
+ */
+function renderTemplate(template, variables) {
+    return template.replace(/\$\{(\w+)\}/g, (_, name) => {
+        const value = variables[name];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+/**
+ * Extracts an issue number from a branch name, e.g. `feat/123-login` or `JIRA-123-login` give `123`.
+ * @param {string} branch - The branch name.
+ * @returns {string} The issue number, or an empty string if none is found.
+ */
+function extractIssueNumber(branch) {
+    const match = branch.match(/(?:^|[/_-])#?(\d+)(?=[-_/.]|$)/);
+    return match ? match[1] : '';
+}
+
+/**
+ * Turns a branch name into a readable title: the `type/` prefix, a leading issue key
+ * and separators are removed, and the first letter is capitalized.
+ * @param {string} branch - The branch name, e.g. `feat/JIRA-123-login-page`.
+ * @returns {string} The humanized title, e.g. `Login page`.
+ */
+function humanizeBranchName(branch) {
+    let name = branch.includes('/') ? branch.slice(branch.lastIndexOf('/') + 1) : branch;
+    name = name.replace(BRANCH_TYPE_PREFIX, '');
+    // Drop a leading issue key such as "123-", "#123-" or "JIRA-123-"
+    name = name.replace(/^(?:[A-Za-z][A-Za-z0-9]*-)?#?\d+(?:[-_.]|$)/, '');
+    name = name.replace(/[-_.]+/g, ' ').trim();
+    if (!name) {
+        return branch;
+    }
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Builds the variables available to title and description templates.
+ * @param {{branch: string, target: string, commitSubjects: string[], author: string, title?: string, issue?: string}} info - Branch and history information.
+ *   `commitSubjects` must be ordered oldest first. `title` and `issue`, e.g. given when the branch was started,
+ *   take precedence over what is read from the branch name.
+ * @returns {TemplateVariables} The template variables.
+ */
+function buildTemplateVariables({ branch, target, commitSubjects, author, title, issue }) {
+    const trimmedTitle = (title || '').trim();
+    return {
+        branch,
+        branchTitle: trimmedTitle ? trimmedTitle.charAt(0).toUpperCase() + trimmedTitle.slice(1) : humanizeBranchName(branch),
+        target,
+        firstCommit: commitSubjects.length > 0 ? commitSubjects[0] : '',
+        commits: commitSubjects.map(subject => `- ${subject}`).join('\n'),
+        issue: issue || extractIssueNumber(branch),
+        author
+    };
+}
+
+/**
+ * Lists the merge request description templates in `.gitlab/merge_request_templates`.
+ * @param {string} workspaceRoot - The root path of the repository.
+ * @returns {Promise<string[]>} Template names without the `.md` extension; empty if the directory does not exist.
+ */
+async function listDescriptionTemplateFiles(workspaceRoot) {
+    try {
+        const entries = await fs.readdir(path.join(workspaceRoot, TEMPLATE_DIRECTORY));
+        return entries.filter(entry => entry.toLowerCase().endsWith('.md')).map(entry => entry.slice(0, -3)).sort();
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Reads a merge request description template from `.gitlab/merge_request_templates/<name>.md`.
+ * @param {string} workspaceRoot - The root path of the repository.
+ * @param {string} name - The template name, with or without the `.md` extension.
+ * @returns {Promise<string | undefined>} The template text, or undefined if the file does not exist.
+ */
+async function readDescriptionTemplateFile(workspaceRoot, name) {
+    const fileName = name.toLowerCase().endsWith('.md') ? name : `${name}.md`;
+    try {
+        return await fs.readFile(path.join(workspaceRoot, TEMPLATE_DIRECTORY, fileName), 'utf-8');
+    } catch {
+        return undefined;
+    }
+}
+
+module.exports = {
+    DEFAULT_TITLE_TEMPLATE,
+    DEFAULT_DESCRIPTION_TEMPLATE,
+    TEMPLATE_DIRECTORY,
+    renderTemplate,
+    extractIssueNumber,
+    humanizeBranchName,
+    buildTemplateVariables,
+    listDescriptionTemplateFiles,
+    readDescriptionTemplateFile
+};
@@ -0,0 +1,38 @@
+const assert = require('assert');
+
+const { mapWithConcurrency, buildRelatedMergeRequestsSection } = require('../src/batch');
+
+suite('Batch Merge Requests', () => {
+	test('runs with bounded concurrency and keeps the order', async () => {
+		let running = 0;
+		let maxRunning = 0;
+		const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+			running++;
+			maxRunning = Math.max(maxRunning, running);
+			await new Promise(resolve => setTimeout(resolve, delay));
+			running--;
+			if (index === 3) {
+				throw new Error('boom');
+			}
+			return delay * 2;
+		});
+		assert.strictEqual(maxRunning, 2);
+		assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'fulfilled', 'rejected', 'fulfilled']);
+		assert.deepStrictEqual(results.filter(result => result.status === 'fulfilled').map(result => result.value), [60, 20, 40, 30]);
+		assert.strictEqual(results[3].reason.message, 'boom');
+	});
+
+	test('handles empty input and invalid limits', async () => {
+		assert.deepStrictEqual(await mapWithConcurrency([], 3, async item => item), []);
+		const results = await mapWithConcurrency([1, 2], 0, async item => item);
+		assert.deepStrictEqual(results.map(result => result.value), [1, 2]);
+	});
+
+	test('builds the related merge requests section', () => {
+		assert.strictEqual(buildRelatedMergeRequestsSection([]), '');
+		assert.strictEqual(
+			buildRelatedMergeRequestsSection([{ projectPath: 'g/api', url: 'https://h/g/api/-/merge_requests?scope=all&source_branch=feat%2Fa' }]),
+			'**Related merge requests**\n- [g/api](https://h/g/api/-/merge_requests?scope=all&source_branch=feat%2Fa)'
+		);
+	});
+});
@@ -0,0 +1,44 @@
+const assert = require('assert');
+
+const { matchBranchRule, compilePattern } = require('../src/branchRules');
+
+suite('Branch Rules', () => {
+	test('defaults to feat and fix prefixes', () => {
+		assert.ok(matchBranchRule('feat/login-page', []));
+		assert.ok(matchBranchRule('fix-typo', undefined));
+		assert.strictEqual(matchBranchRule('chore/deps', []), undefined);
+	});
+
+	test('first matching rule wins and is normalized', () => {
+		const rules = [
+			{ pattern: 'hotfix/*', targetBranch: 'release', labels: ['urgent', ''], removeSourceBranch: true },
+			{ pattern: '*', createMergeRequest: false }
+		];
+		const rule = matchBranchRule('hotfix/crash', rules);
+		assert.deepStrictEqual(rule, {
+			pattern: 'hotfix/*',
+			createMergeRequest: true,
+			targetBranch: 'release',
+			titleTemplate: undefined,
+			labels: ['urgent'],
+			removeSourceBranch: true
+		});
+		assert.strictEqual(matchBranchRule('main', rules).createMergeRequest, false);
+	});
+
+	test('supports regex patterns', () => {
+		const rules = [{ pattern: '/^jira-\\d+/i' }];
+		assert.ok(matchBranchRule('JIRA-123-login', rules));
+		assert.strictEqual(matchBranchRule('feat/JIRA-123', rules), undefined);
+	});
+
+	test('escapes regex characters in globs', () => {
+		assert.ok(compilePattern('release-1.?').test('release-1.2'));
+		assert.strictEqual(compilePattern('release-1.?').test('release-152'), false);
+	});
+
+	test('rejects invalid patterns', () => {
+		assert.throws(() => compilePattern(''));
+		assert.throws(() => compilePattern('/[/'));
+	});
+});
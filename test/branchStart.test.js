@@ -0,0 +1,41 @@
+const assert = require('assert');
+
+const { slugify, normalizeIssue, buildBranchName, getBranchStart, rememberBranchStart } = require('../src/branchStart');
+const { extractIssueNumber } = require('../src/template');
+const { createMemento } = require('./helpers/memento');
+
+suite('Branch Start', () => {
+	test('slugifies descriptions', () => {
+		assert.strictEqual(slugify('Add SSO for Zoë\'s team!'), 'add-sso-for-zoe-s-team');
+		assert.strictEqual(slugify('  --Fix   the  bug--  '), 'fix-the-bug');
+		assert.strictEqual(slugify('日本語'), '');
+		const long = slugify('Support exporting every report as a spreadsheet, a PDF and a CSV file');
+		assert.ok(long.length <= 50, long);
+		assert.ok(!long.endsWith('-'), long);
+		assert.strictEqual(long, 'support-exporting-every-report-as-a-spreadsheet-a');
+	});
+
+	test('accepts issue numbers with or without hash', () => {
+		assert.strictEqual(normalizeIssue('#123'), '123');
+		assert.strictEqual(normalizeIssue(' 42 '), '42');
+		assert.strictEqual(normalizeIssue(''), '');
+		assert.strictEqual(normalizeIssue('JIRA-1'), undefined);
+	});
+
+	test('builds branch names the templates can read the issue from', () => {
+		const branch = buildBranchName({ type: 'feat', description: 'Login page', issue: '123' });
+		assert.strictEqual(branch, 'feat/123-login-page');
+		assert.strictEqual(extractIssueNumber(branch), '123');
+		assert.strictEqual(buildBranchName({ type: 'fix', description: 'Typo', issue: '' }), 'fix/typo');
+		assert.strictEqual(buildBranchName({ type: 'fix', description: '!!!' }), '');
+	});
+
+	test('remembers start information per repository and branch', async () => {
+		const memento = createMemento();
+		await rememberBranchStart(memento, '/repo', 'feat/1-a', { description: 'A', issue: '1', targetBranch: 'develop' });
+		assert.deepStrictEqual(getBranchStart(memento, '/repo', 'feat/1-a'), { description: 'A', issue: '1', targetBranch: 'develop' });
+		assert.strictEqual(getBranchStart(memento, '/other', 'feat/1-a'), undefined);
+		await rememberBranchStart(memento, '/repo', 'feat/1-a', undefined);
+		assert.strictEqual(getBranchStart(memento, '/repo', 'feat/1-a'), undefined);
+	});
+});
@@ -0,0 +1,61 @@
+const assert = require('assert');
+
+const { normalizeChecks, findConflictMarkers, matchForbiddenPaths } = require('../src/checks');
+
+suite('Pre-MR Checks', () => {
+	test('accepts shell commands and tasks', () => {
+		assert.deepStrictEqual(normalizeChecks([
+			'npm run lint',
+			{ name: 'Unit tests', command: 'npm test' },
+			{ task: 'build' }
+		]), [
+			{ name: 'npm run lint', command: 'npm run lint' },
+			{ name: 'Unit tests', command: 'npm test' },
+			{ name: 'task "build"', task: 'build' }
+		]);
+		assert.deepStrictEqual(normalizeChecks(undefined), []);
+		assert.throws(() => normalizeChecks([{ name: 'Nothing' }]), /Check 1 must have either/);
+		assert.throws(() => normalizeChecks([{ command: 'make', task: 'build' }]), /either a "command" or a "task"/);
+	});
+
+	test('finds conflict markers on added lines only', () => {
+		const diff = [
+			'diff --git a/src/a.js b/src/a.js',
+			'--- a/src/a.js',
+			'+++ b/src/a.js',
+			'@@ -3,0 +4,5 @@ function a() {',
+			'+<<<<<<< HEAD',
+			'+const a = 1;',
+			'+=======',
+			'+const a = 2;',
+			'+>>>>>>> origin/main',
+			'diff --git a/README.md b/README.md',
+			'--- a/README.md',
+			'+++ b/README.md',
+			'@@ -10 +10 @@',
+			'-<<<<<<< removed',
+			'+Title',
+			'@@ -20,0 +21 @@',
+			'+=======',
+			'diff --git a/old.txt b/old.txt',
+			'--- a/old.txt',
+			'+++ /dev/null',
+			'@@ -1 +0,0 @@',
+			'-<<<<<<< HEAD'
+		].join('\n');
+		assert.deepStrictEqual(findConflictMarkers(diff), [
+			{ file: 'src/a.js', line: 4 },
+			{ file: 'src/a.js', line: 8 }
+		]);
+		assert.deepStrictEqual(findConflictMarkers(''), []);
+	});
+
+	test('matches forbidden paths like .gitignore', () => {
+		const files = ['.env', 'config/.env', 'secrets/prod/key.pem', 'src/app.js', 'docs/secrets.md'];
+		assert.deepStrictEqual(matchForbiddenPaths(files, ['.env']), ['.env', 'config/.env']);
+		assert.deepStrictEqual(matchForbiddenPaths(files, ['/.env']), ['.env']);
+		assert.deepStrictEqual(matchForbiddenPaths(files, ['/secrets/**']), ['secrets/prod/key.pem']);
+		assert.deepStrictEqual(matchForbiddenPaths(files, ['src/*.js', '**/*.pem']), ['secrets/prod/key.pem', 'src/app.js']);
+		assert.deepStrictEqual(matchForbiddenPaths(files, ['', 'secrets']), []);
+	});
+});
@@ -0,0 +1,26 @@
+const assert = require('assert');
+
+const { isPatchMerged, parseMergeTreeOid, classifyCleanupCandidate } = require('../src/cleanup');
+
+suite('Branch Cleanup', () => {
+	test('recognizes squashed changes already in the target branch', () => {
+		assert.strictEqual(isPatchMerged('- 1111111111111111111111111111111111111111\n'), true);
+		assert.strictEqual(isPatchMerged('+ 1111111111111111111111111111111111111111\n'), false);
+		assert.strictEqual(isPatchMerged(''), false);
+	});
+
+	test('reads the tree of a clean merge only', () => {
+		const oid = 'a'.repeat(40);
+		assert.strictEqual(parseMergeTreeOid(`${oid}\n`, 0), oid);
+		assert.strictEqual(parseMergeTreeOid(`${oid}\nconflicted.txt\n`, 1), undefined);
+		assert.strictEqual(parseMergeTreeOid('usage: git merge-tree', 0), undefined);
+	});
+
+	test('never deletes the current branch or unpushed work', () => {
+		const merged = { branch: 'feat/a', current: false, pushed: true, mergedBy: 'patch' };
+		assert.deepStrictEqual(classifyCleanupCandidate(merged, 'origin/main'), { deletable: true, reason: 'squash-merged in origin/main' });
+		assert.strictEqual(classifyCleanupCandidate({ ...merged, current: true }, 'origin/main').deletable, false);
+		assert.strictEqual(classifyCleanupCandidate({ ...merged, pushed: false }, 'origin/main').deletable, false);
+		assert.deepStrictEqual(classifyCleanupCandidate({ ...merged, mergedBy: undefined }, 'origin/main'), { deletable: false, reason: 'not merged into origin/main' });
+	});
+});
@@ -0,0 +1,742 @@
+const assert = require('assert');
+const { execFile, execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createFlow } = require('../src/flow');
+const { getRememberedRemote } = require('../src/remotes');
+const { properties } = require('../package.json').contributes.configuration;
+const { createMemento } = require('./helpers/memento');
+
+// Stands in for GitLab: answers `merge_request.create` with the "View merge request" lines GitLab prints,
+// numbering merge requests per branch, and declines every push while a `decline-pushes` file exists.
+const PRE_RECEIVE_HOOK = `#!/bin/sh
+: > last-push-options
+create=
+i=0
+while [ "$i" -lt "\${GIT_PUSH_OPTION_COUNT:-0}" ]; do
+	eval "option=\\$GIT_PUSH_OPTION_$i"
+	echo "$option" >> last-push-options
+	[ "$option" = merge_request.create ] && create=1
+	i=$((i + 1))
+done
+if [ -f decline-pushes ]; then
+	echo "GitLab: $(cat decline-pushes)"
+	exit 1
+fi
+[ -f merge-requests ] || : > merge-requests
+while read -r old new ref; do
+	branch=\${ref#refs/heads/}
+	[ -n "$create" ] || continue
+	iid=$(grep -F "$branch " merge-requests | cut -d ' ' -f 2)
+	if [ -z "$iid" ]; then
+		iid=$(($(wc -l < merge-requests) + 1))
+		echo "$branch $iid" >> merge-requests
+	fi
+	echo ""
+	echo "View merge request for $branch:"
+	echo "  https://gitlab.example.com/group/project/-/merge_requests/$iid"
+	echo ""
+done
+`;
+
+// Stands in for \`ssh\`, so remotes can have GitLab URLs: ignores the host and path and serves the repository in $FAKE_GITLAB_REMOTE.
+const FAKE_SSH = `#!/bin/sh
+for command; do :; done
+command=\${command#git-}
+cd "$FAKE_GITLAB_REMOTE" && exec git "\${command%% *}" .
+`;
+
+/**
+ * Runs git in a temporary repository, isolated from the user's git configuration.
+ * @param {string} tmpDir - The temporary directory of the test, holding the empty global config.
+ * @returns {Object<string, string>} The environment.
+ */
+function createGitEnv(tmpDir) {
+	const globalConfig = path.join(tmpDir, 'gitconfig');
+	fs.writeFileSync(globalConfig, '');
+	return {
+		...process.env,
+		GIT_CONFIG_GLOBAL: globalConfig,
+		GIT_CONFIG_NOSYSTEM: '1',
+		GIT_AUTHOR_NAME: 'Test User',
+		GIT_AUTHOR_EMAIL: 'test@example.com',
+		GIT_COMMITTER_NAME: 'Test User',
+		GIT_COMMITTER_EMAIL: 'test@example.com'
+	};
+}
+
+/**
+ * Creates a bare repository with the fake GitLab pre-receive hook.
+ * @param {string} dir - Path of the new repository.
+ * @param {Object<string, string>} env - The git environment.
+ */
+function createFakeGitLabRemote(dir, env) {
+	execFileSync('git', ['init', '--bare', '--quiet', '--initial-branch=main', dir], { env });
+	execFileSync('git', ['config', 'receive.advertisePushOptions', 'true'], { cwd: dir, env });
+	fs.writeFileSync(path.join(dir, 'hooks', 'pre-receive'), PRE_RECEIVE_HOOK, { mode: 0o755 });
+}
+
+/**
+ * Prompts that answer from a script and record what was shown.
+ * @param {Object<string, function(...any): any>} answers - Answer per prompt, e.g. `showQuickPick`; unanswered prompts are dismissed.
+ * @returns {Object} The prompts, with the shown prompts in `shown`.
+ */
+function createUi(answers = {}) {
+	const shown = [];
+	const prompt = name => async (...args) => {
+		shown.push({ name, args });
+		return answers[name] ? answers[name](...args) : undefined;
+	};
+	return {
+		shown,
+		showInformationMessage: prompt('showInformationMessage'),
+		showWarningMessage: prompt('showWarningMessage'),
+		showErrorMessage: prompt('showErrorMessage'),
+		showQuickPick: prompt('showQuickPick'),
+		showInputBox: prompt('showInputBox'),
+		editMergeRequestDetails: async (title, description) => ({ title, description }),
+		runOptionsWizard: async values => values
+	};
+}
+
+suite('Merge Request Flow', function () {
+	this.timeout(30000);
+
+	let tmpDir;
+	let env;
+	let work;
+	let remote;
+
+	/**
+	 * Runs git synchronously in the working repository to set up a test.
+	 * @param {...string} args - The git arguments.
+	 * @returns {string} The trimmed stdout.
+	 */
+	function git(...args) {
+		return execFileSync('git', args, { cwd: work, env, encoding: 'utf8' }).trim();
+	}
+
+	/**
+	 * Writes a file in the working repository and commits it.
+	 * @param {string} file - The file name.
+	 * @param {string} content - The file content.
+	 * @param {string} message - The commit message.
+	 */
+	function commit(file, content, message) {
+		fs.writeFileSync(path.join(work, file), content);
+		git('add', file);
+		git('commit', '--quiet', '-m', message);
+	}
+
+	/**
+	 * Creates the flow on top of git in the test environment and scripted prompts.
+	 * @param {Object} [answers] - Answers of the prompts, see {@link createUi}.
+	 * @param {Object<string, any>} [settings] - Settings to use instead of the defaults from `package.json`, without the `gitlab-mr-flow.` prefix.
+	 * @param {Object} [host] - Further host entries, e.g. `getApiClient`.
+	 * @returns {{flow: Object, ui: Object, opened: string[], memento: Object}} The flow, the prompts shown, the URLs opened and the workspace state.
+	 */
+	function createTestFlow(answers, settings = {}, host = {}) {
+		const ui = createUi(answers);
+		const opened = [];
+		const memento = createMemento();
+		const flow = createFlow({
+			runGitCommand: (args, cwd) => new Promise(resolve => {
+				execFile('git', args, { cwd, env }, (error, stdout, stderr) => {
+					resolve({ stdout: stdout.replace(/\n$/, ''), stderr: stderr.replace(/\n$/, ''), exitCode: error ? error.code : 0 });
+				});
+			}),
+			ui,
+			openUrl: async url => { opened.push(url); },
+			log: () => {},
+			runCheck: (check, cwd) => new Promise(resolve => {
+				execFile('sh', ['-c', check.command], { cwd, env }, error => {
+					resolve(error ? { passed: false, reason: `failed with exit code ${error.code}` } : { passed: true });
+				});
+			}),
+			getConfiguration: () => ({
+				get: (key, defaultValue) => {
+					if (key in settings) {
+						return settings[key];
+					}
+					return properties[`gitlab-mr-flow.${key}`] ? properties[`gitlab-mr-flow.${key}`].default : defaultValue;
+				}
+			}),
+			...host
+		});
+		return { flow, ui, opened, memento };
+	}
+
+	/**
+	 * Runs the MR flow in the working repository.
+	 * @param {Object} [answers] - Answers of the prompts, see {@link createUi}.
+	 * @param {Object<string, any>} [settings] - Settings to use instead of the defaults from `package.json`, without the `gitlab-mr-flow.` prefix.
+	 * @param {Object} [host] - Further host entries, e.g. `getApiClient`.
+	 * @returns {Promise<{ui: Object, opened: string[], memento: Object}>} The prompts shown, the URLs opened and the workspace state.
+	 */
+	async function runFlow(answers, settings = {}, host = {}) {
+		const { flow, ui, opened, memento } = createTestFlow(answers, settings, host);
+		await flow.runMergeRequestFlow(memento, work);
+		return { ui, opened, memento };
+	}
+
+	/**
+	 * Reads the push options the fake GitLab remote received with the last push.
+	 * @returns {string[]} The push options.
+	 */
+	function lastPushOptions() {
+		return fs.readFileSync(path.join(remote, 'last-push-options'), 'utf8').split('\n').filter(Boolean);
+	}
+
+	/**
+	 * Lists the branches of a bare repository.
+	 * @param {string} dir - The bare repository.
+	 * @returns {string[]} The branch names.
+	 */
+	function remoteBranches(dir) {
+		return execFileSync('git', ['for-each-ref', '--format=%(refname:short)', 'refs/heads'], { cwd: dir, env, encoding: 'utf8' }).split('\n').filter(Boolean);
+	}
+
+	/**
+	 * Points `origin` at a GitLab SSH URL, served from the local remote through a fake `ssh`.
+	 * @returns {string} The URL.
+	 */
+	function useGitLabUrl() {
+		const fakeSsh = path.join(tmpDir, 'fake-ssh');
+		fs.writeFileSync(fakeSsh, FAKE_SSH, { mode: 0o755 });
+		Object.assign(env, { GIT_SSH_COMMAND: fakeSsh, GIT_SSH_VARIANT: 'simple', FAKE_GITLAB_REMOTE: remote });
+		git('remote', 'set-url', 'origin', 'git@gitlab.example.com:group/project.git');
+		return 'git@gitlab.example.com:group/project.git';
+	}
+
+	/**
+	 * Waits until a condition holds, e.g. for the pipeline notification the flow does not wait for.
+	 * @param {function(): boolean} condition - The condition.
+	 * @returns {Promise<void>}
+	 */
+	async function waitFor(condition) {
+		for (let attempt = 0; !condition(); attempt++) {
+			assert.ok(attempt < 200, 'Timed out waiting for condition');
+			await new Promise(resolve => setTimeout(resolve, 10));
+		}
+	}
+
+	setup(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitlab-mr-flow-'));
+		env = createGitEnv(tmpDir);
+		remote = path.join(tmpDir, 'remote.git');
+		work = path.join(tmpDir, 'work');
+		createFakeGitLabRemote(remote, env);
+		execFileSync('git', ['init', '--quiet', '--initial-branch=main', work], { env });
+		commit('README.md', 'Hello\n', 'Initial commit');
+		git('remote', 'add', 'origin', remote);
+		git('push', '--quiet', 'origin', 'main');
+		git('switch', '--quiet', '-c', 'feat/login-page');
+		commit('login.txt', 'Login\n', 'Add login page');
+	});
+
+	teardown(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true });
+	});
+
+	test('pushes with merge request options, opens the merge request and switches to the target branch', async () => {
+		const { ui, opened } = await runFlow();
+
+		assert.deepStrictEqual(opened, ['https://gitlab.example.com/group/project/-/merge_requests/1']);
+		assert.deepStrictEqual(remoteBranches(remote), ['feat/login-page', 'main']);
+		const pushOptions = lastPushOptions();
+		assert.ok(pushOptions.includes('merge_request.create'), pushOptions);
+		assert.ok(pushOptions.includes('merge_request.target=main'), pushOptions);
+		assert.ok(pushOptions.includes('merge_request.title=Login page'), pushOptions);
+		assert.strictEqual(git('branch', '--show-current'), 'main');
+		assert.ok(ui.shown.some(({ name, args }) => name === 'showInformationMessage' && args[0].includes('created Merge Request !1')), JSON.stringify(ui.shown));
+	});
+
+	test('reports a merge request created for a branch that was pushed before as created', async () => {
+		git('push', '--quiet', 'origin', 'feat/login-page');
+		commit('login.txt', 'Login form\n', 'Add login form');
+
+		const { ui } = await runFlow();
+
+		assert.ok(ui.shown.some(({ args }) => args[0] === 'Successfully created Merge Request !1 targeting main and opened it in your browser.'), JSON.stringify(ui.shown));
+	});
+
+	test('offers to abort a conflicting merge of the target branch and pushes nothing', async () => {
+		git('switch', '--quiet', 'main');
+		commit('README.md', 'Hello from main\n', 'Change greeting on main');
+		git('push', '--quiet', 'origin', 'main');
+		git('switch', '--quiet', 'feat/login-page');
+		commit('README.md', 'Hello from the branch\n', 'Change greeting on the branch');
+		const head = git('rev-parse', 'HEAD');
+
+		const { ui, opened } = await runFlow({
+			showErrorMessage: (message, ...items) => items.find(item => item === 'Abort Merge')
+		});
+
+		assert.ok(ui.shown.some(({ name, args }) => name === 'showErrorMessage' && args[0].startsWith('Merge conflicts detected')), JSON.stringify(ui.shown));
+		assert.deepStrictEqual(opened, []);
+		assert.deepStrictEqual(remoteBranches(remote), ['main']);
+		assert.strictEqual(git('branch', '--show-current'), 'feat/login-page');
+		assert.strictEqual(git('rev-parse', 'HEAD'), head);
+		assert.strictEqual(git('status', '--porcelain'), '');
+	});
+
+	test('asks which of several remotes to push to and remembers the choice', async () => {
+		const fork = path.join(tmpDir, 'fork.git');
+		createFakeGitLabRemote(fork, env);
+		git('remote', 'rename', 'origin', 'upstream');
+		git('remote', 'add', 'fork', fork);
+		git('push', '--quiet', 'fork', 'main');
+
+		const { ui, memento } = await runFlow({
+			showQuickPick: items => items.find(item => item.label === 'fork')
+		});
+
+		const [remotePick] = ui.shown.filter(({ name }) => name === 'showQuickPick');
+		assert.deepStrictEqual(remotePick.args[0].map(item => item.label), ['upstream', 'fork']);
+		assert.deepStrictEqual(remoteBranches(fork), ['feat/login-page', 'main']);
+		assert.deepStrictEqual(remoteBranches(remote), ['main']);
+		assert.strictEqual(getRememberedRemote(memento, work), 'fork');
+	});
+
+	test('asks for the target branch when the remote HEAD branch is unknown', async () => {
+		execFileSync('git', ['symbolic-ref', 'HEAD', 'refs/heads/trunk'], { cwd: remote, env });
+
+		const { ui, opened } = await runFlow({
+			showQuickPick: items => items.includes('main') ? 'main' : undefined
+		});
+
+		const [targetPick] = ui.shown.filter(({ name }) => name === 'showQuickPick');
+		assert.deepStrictEqual(targetPick.args[0], ['main']);
+		assert.deepStrictEqual(opened, ['https://gitlab.example.com/group/project/-/merge_requests/1']);
+		assert.ok(lastPushOptions().includes('merge_request.target=main'));
+	});
+
+	test('lists the branches of a remote not named origin when its HEAD branch is unknown', async () => {
+		execFileSync('git', ['symbolic-ref', 'HEAD', 'refs/heads/trunk'], { cwd: remote, env });
+		git('remote', 'rename', 'origin', 'upstream');
+
+		const { ui } = await runFlow({
+			showQuickPick: items => items.includes('main') ? 'main' : undefined
+		});
+
+		const [targetPick] = ui.shown.filter(({ name }) => name === 'showQuickPick');
+		assert.deepStrictEqual(targetPick.args[0], ['main']);
+		assert.ok(lastPushOptions().includes('merge_request.target=main'));
+	});
+
+	test('reports a mistyped unmatched branch action instead of ignoring it', async () => {
+		git('branch', '--quiet', '-m', 'chore/login-page');
+
+		const { ui, opened } = await runFlow({}, { unmatchedBranchAction: 'Create' });
+
+		const errors = ui.shown.filter(({ name }) => name === 'showErrorMessage').map(({ args }) => args[0]);
+		assert.strictEqual(errors.length, 1, JSON.stringify(errors));
+		assert.ok(errors[0].includes('Invalid gitlab-mr-flow.unmatchedBranchAction setting "Create". Use one of: openList, ask, create.'), errors[0]);
+		assert.deepStrictEqual(opened, []);
+		assert.deepStrictEqual(remoteBranches(remote), ['main']);
+	});
+
+	test('reports an unknown integration strategy before running any git command with it', async () => {
+		const { ui, opened } = await runFlow({}, { integrationStrategy: 'squash' });
+
+		const errors = ui.shown.filter(({ name }) => name === 'showErrorMessage').map(({ args }) => args[0]);
+		assert.strictEqual(errors.length, 1, JSON.stringify(errors));
+		assert.ok(errors[0].includes('Invalid gitlab-mr-flow.integrationStrategy setting "squash". Use one of: merge, rebase, none.'), errors[0]);
+		assert.deepStrictEqual(opened, []);
+		assert.deepStrictEqual(remoteBranches(remote), ['main']);
+		assert.strictEqual(git('branch', '--show-current'), 'feat/login-page');
+	});
+
+	test('reports a push declined by a pre-receive hook and stays on the branch', async () => {
+		fs.writeFileSync(path.join(remote, 'decline-pushes'), 'Commit message does not follow the pattern \'^(feat|fix): \'');
+
+		const { ui, opened } = await runFlow();
+
+		const errors = ui.shown.filter(({ name }) => name === 'showErrorMessage').map(({ args }) => args[0]);
+		assert.strictEqual(errors.length, 1, JSON.stringify(errors));
+		assert.ok(errors[0].includes('A GitLab pre-receive hook (push rule) declined the push.'), errors[0]);
+		assert.deepStrictEqual(opened, []);
+		assert.deepStrictEqual(remoteBranches(remote), ['main']);
+		assert.strictEqual(git('branch', '--show-current'), 'feat/login-page');
+	});
+
+	test('undoes the merge of the target branch when the push is declined', async () => {
+		git('switch', '--quiet', 'main');
+		commit('NEWS.md', 'News\n', 'Add news');
+		git('push', '--quiet', 'origin', 'main');
+		git('switch', '--quiet', 'feat/login-page');
+		const head = git('rev-parse', 'HEAD');
+		fs.writeFileSync(path.join(remote, 'decline-pushes'), 'Commit message does not follow the pattern \'^(feat|fix): \'');
+
+		await runFlow();
+
+		assert.strictEqual(git('branch', '--show-current'), 'feat/login-page');
+		assert.strictEqual(git('rev-parse', 'HEAD'), head);
+		assert.strictEqual(git('status', '--porcelain'), '');
+	});
+
+	test('stops before pushing when a pre-MR check fails and the user aborts', async () => {
+		const { ui, opened } = await runFlow({
+			showErrorMessage: (message, ...items) => items.find(item => item === 'Abort')
+		}, { preMergeRequestChecks: ['test -f login.txt', { name: 'Unit tests', command: 'exit 3' }] });
+
+		const errors = ui.shown.filter(({ name }) => name === 'showErrorMessage').map(({ args }) => args[0]);
+		assert.deepStrictEqual(errors, ['Pre-MR checks failed: Unit tests failed with exit code 3. Check Output channel for details.']);
+		assert.deepStrictEqual(opened, []);
+		assert.deepStrictEqual(remoteBranches(remote), ['main']);
+		assert.strictEqual(git('branch', '--show-current'), 'feat/login-page');
+	});
+
+	test('pushes as draft when the user accepts conflict markers and forbidden paths', async () => {
+		commit('notes.txt', 'Notes\n<<<<<<< HEAD\nmine\n=======\ntheirs\n>>>>>>> origin/main\n', 'Add notes');
+		commit('.env', 'TOKEN=secret\n', 'Add environment');
+
+		const { ui, opened } = await runFlow({
+			showErrorMessage: (message, ...items) => items.find(item => item === 'Push as Draft')
+		}, { forbiddenPaths: ['.env'] });
+
+		const errors = ui.shown.filter(({ name }) => name === 'showErrorMessage').map(({ args }) => args[0]);
+		assert.deepStrictEqual(errors, ['Pre-MR checks failed: conflict markers in notes.txt:2, notes.txt:6; forbidden paths changed: .env. Check Output channel for details.']);
+		assert.deepStrictEqual(opened, ['https://gitlab.example.com/group/project/-/merge_requests/1']);
+		assert.ok(lastPushOptions().includes('merge_request.draft'));
+	});
+
+	test('uses the GitLab API for the default branch, reviewers and pipeline when an access token is stored', async () => {
+		useGitLabUrl();
+		const calls = [];
+		const client = {
+			getDefaultBranch: async projectPath => { calls.push(['getDefaultBranch', projectPath]); return 'main'; },
+			findOpenMergeRequest: async (projectPath, branch) => { calls.push(['findOpenMergeRequest', branch]); return undefined; },
+			findUserIds: async usernames => { calls.push(['findUserIds', ...usernames]); return { ids: [42], unknown: [] }; },
+			setReviewers: async (projectPath, iid, ids) => { calls.push(['setReviewers', iid, ...ids]); },
+			getHeadPipeline: async () => ({ id: 7, status: 'success', url: 'https://gitlab.example.com/group/project/-/pipelines/7' })
+		};
+		const projects = [];
+
+		const { ui, opened } = await runFlow({
+			showInformationMessage: (message, ...items) => items.find(item => item === 'Open Pipeline')
+		}, { reviewers: ['@jane'] }, {
+			getApiClient: async project => { projects.push(project.host); return client; }
+		});
+		await waitFor(() => opened.length === 2);
+
+		assert.ok(projects.every(host => host === 'gitlab.example.com'), JSON.stringify(projects));
+		assert.deepStrictEqual(calls, [
+			['getDefaultBranch', 'group/project'],
+			['findUserIds', 'jane'],
+			['setReviewers', 1, 42]
+		]);
+		assert.deepStrictEqual(opened, [
+			'https://gitlab.example.com/group/project/-/merge_requests/1',
+			'https://gitlab.example.com/group/project/-/pipelines/7'
+		]);
+		assert.ok(ui.shown.some(({ args }) => args[0] === 'Pipeline #7 of Merge Request !1: success.'), JSON.stringify(ui.shown));
+	});
+
+	test('sets the reviewers of a new merge request on a branch that was pushed before', async () => {
+		useGitLabUrl();
+		git('push', '--quiet', 'origin', 'feat/login-page');
+		commit('login.txt', 'Login form\n', 'Add login form');
+		const calls = [];
+		const client = {
+			getDefaultBranch: async () => 'main',
+			findOpenMergeRequest: async () => undefined,
+			findUserIds: async usernames => ({ ids: usernames.map(() => 42), unknown: [] }),
+			setReviewers: async (projectPath, iid, ids) => { calls.push(['setReviewers', iid, ...ids]); }
+		};
+
+		const { opened } = await runFlow({}, { reviewers: ['jane'], pipelineNotifications: false }, { getApiClient: async () => client });
+
+		assert.deepStrictEqual(opened, ['https://gitlab.example.com/group/project/-/merge_requests/1']);
+		assert.deepStrictEqual(calls, [['setReviewers', 1, 42]]);
+	});
+
+	test('sets a multi-line description through the GitLab API after pushing it with <br> line breaks', async () => {
+		useGitLabUrl();
+		commit('login.txt', 'Login form\n', 'Add login form');
+		const descriptions = [];
+		const client = {
+			getDefaultBranch: async () => 'main',
+			findOpenMergeRequest: async () => undefined,
+			setDescription: async (projectPath, iid, description) => { descriptions.push([iid, description]); }
+		};
+
+		await runFlow({}, { pipelineNotifications: false }, { getApiClient: async () => client });
+
+		assert.ok(lastPushOptions().includes('merge_request.description=- Add login page<br>- Add login form'), lastPushOptions());
+		assert.deepStrictEqual(descriptions, [[1, '- Add login page\n- Add login form']]);
+	});
+
+	test('pushes to the open merge request the GitLab API finds for the branch', async () => {
+		useGitLabUrl();
+		git('push', '--quiet', 'origin', 'feat/login-page');
+		commit('login.txt', 'Login form\n', 'Add login form');
+		fs.writeFileSync(path.join(remote, 'merge-requests'), 'feat/login-page 5\n');
+		const url = 'https://gitlab.example.com/group/project/-/merge_requests/5';
+		const client = {
+			getDefaultBranch: async () => 'main',
+			findOpenMergeRequest: async (projectPath, branch) => branch === 'feat/login-page' ? { iid: 5, url, targetBranch: 'main' } : undefined,
+			getHeadPipeline: async () => undefined
+		};
+
+		const { ui, opened, memento } = await runFlow({
+			showQuickPick: () => []
+		}, { pipelineNotifications: false }, { getApiClient: async () => client });
+
+		const [updatePick] = ui.shown.filter(({ name }) => name === 'showQuickPick');
+		assert.strictEqual(updatePick.args[1].title, 'Update Merge Request !5');
+		assert.deepStrictEqual(opened, [url]);
+		const pushOptions = lastPushOptions();
+		assert.ok(!pushOptions.some(option => option.startsWith('merge_request.title=')), pushOptions);
+		assert.ok(memento.keys().some(key => JSON.stringify(memento.get(key)).includes(url)), memento.keys());
+	});
+
+	test('updates the merge request whose head ref is the tip of the remote branch', async () => {
+		useGitLabUrl();
+		git('push', '--quiet', 'origin', 'feat/login-page');
+		const remoteRef = (ref, sha) => execFileSync('git', ['update-ref', ref, sha], { cwd: remote, env });
+		// A closed merge request of an earlier commit, and the open one of the pushed commit
+		remoteRef('refs/merge-requests/3/head', git('rev-parse', 'main'));
+		remoteRef('refs/merge-requests/5/head', git('rev-parse', 'HEAD'));
+		remoteRef('refs/merge-requests/5/merge', git('rev-parse', 'main'));
+		fs.writeFileSync(path.join(remote, 'merge-requests'), 'feat/login-page 5\n');
+		commit('login.txt', 'Login form\n', 'Add login form');
+
+		const { ui, opened } = await runFlow({ showQuickPick: () => [] });
+
+		const [updatePick] = ui.shown.filter(({ name }) => name === 'showQuickPick');
+		assert.strictEqual(updatePick.args[1].title, 'Update Merge Request !5');
+		assert.deepStrictEqual(opened, ['https://gitlab.example.com/group/project/-/merge_requests/5']);
+		assert.ok(!lastPushOptions().some(option => option.startsWith('merge_request.title=')), lastPushOptions());
+	});
+
+	test('falls back to git when the GitLab API fails', async () => {
+		useGitLabUrl();
+		const unavailable = async () => { throw new Error('GitLab API request failed with HTTP 503'); };
+		const client = { getDefaultBranch: unavailable, findOpenMergeRequest: unavailable, findUserIds: unavailable, getHeadPipeline: unavailable };
+
+		const { opened } = await runFlow({}, { reviewers: ['jane'], pipelineNotifications: false }, { getApiClient: async () => client });
+
+		assert.deepStrictEqual(opened, ['https://gitlab.example.com/group/project/-/merge_requests/1']);
+		assert.ok(lastPushOptions().includes('merge_request.target=main'));
+		assert.strictEqual(git('branch', '--show-current'), 'main');
+	});
+
+	test('starts a branch from the remote target branch and creates its merge request with the given title', async () => {
+		git('switch', '--quiet', 'main');
+		const { flow, ui, memento } = createTestFlow({
+			showQuickPick: items => items[0],
+			showInputBox: options => options.prompt.startsWith('Short description') ? 'Sign up form'
+				: options.prompt.startsWith('Issue number') ? '42'
+					: options.value
+		});
+
+		await flow.startBranch(memento, work);
+
+		assert.strictEqual(git('branch', '--show-current'), 'feat/42-sign-up-form');
+		assert.strictEqual(git('rev-parse', 'HEAD'), git('rev-parse', 'origin/main'));
+		const [typePick] = ui.shown.filter(({ name }) => name === 'showQuickPick');
+		assert.deepStrictEqual(typePick.args[0], ['feat', 'fix']);
+
+		commit('signup.txt', 'Sign up\n', 'Add sign up form');
+		const run = createTestFlow();
+		await run.flow.runMergeRequestFlow(memento, work);
+		assert.ok(lastPushOptions().includes('merge_request.title=Sign up form'), lastPushOptions());
+	});
+
+	/**
+	 * Squash-merges a branch into `main` and pushes `main`, as GitLab does when merging with "Squash commits".
+	 * @param {string} branch - The branch.
+	 * @param {function(): void} [edit] - Changes made to the squash commit before it is committed.
+	 */
+	function squashMerge(branch, edit = () => {}) {
+		git('switch', '--quiet', 'main');
+		// `git merge --squash` reports on stderr even with --quiet
+		execFileSync('git', ['merge', '--squash', branch], { cwd: work, env, stdio: 'ignore' });
+		edit();
+		git('commit', '--quiet', '-m', `Merge ${branch}`);
+		git('push', '--quiet', 'origin', 'main');
+	}
+
+	test('finds branches merged by a squash, by an edited squash, and not at all', async () => {
+		commit('login.txt', 'Login form\n', 'Polish login page');
+		git('switch', '--quiet', '-c', 'feat/sign-up', 'main');
+		commit('signup.txt', 'Sign up\n', 'Add sign up page');
+		git('switch', '--quiet', '-c', 'feat/profile', 'main');
+		commit('profile.txt', 'Profile\n', 'Add profile page');
+		squashMerge('feat/login-page');
+		squashMerge('feat/sign-up', () => {
+			fs.writeFileSync(path.join(work, 'CHANGELOG.md'), 'Sign up page\n');
+			git('add', 'CHANGELOG.md');
+		});
+		const { flow } = createTestFlow();
+
+		assert.strictEqual(await flow.findMergedBy(work, 'feat/login-page', 'origin/main'), 'patch');
+		assert.strictEqual(await flow.findMergedBy(work, 'feat/sign-up', 'origin/main'), 'tree');
+		assert.strictEqual(await flow.findMergedBy(work, 'feat/profile', 'origin/main'), undefined);
+	});
+
+	test('cleans up merged branches, keeping remote branches with commits that were not merged', async () => {
+		git('push', '--quiet', 'origin', 'feat/login-page');
+		commit('login.txt', 'Login form\n', 'Polish login page');
+		git('push', '--quiet', 'origin', 'feat/login-page');
+		git('reset', '--quiet', '--hard', 'HEAD~1');
+		git('switch', '--quiet', '-c', 'feat/sign-up', 'main');
+		commit('signup.txt', 'Sign up\n', 'Add sign up page');
+		git('push', '--quiet', 'origin', 'feat/sign-up');
+		squashMerge('feat/login-page');
+		squashMerge('feat/sign-up');
+		const { flow, ui, memento } = createTestFlow({
+			showQuickPick: items => items,
+			showWarningMessage: (message, options, ...items) => items.find(item => item === 'Delete Local and Remote Branches')
+		});
+
+		await flow.cleanUpMergedBranches(memento, work);
+
+		const [pick] = ui.shown.filter(({ name }) => name === 'showQuickPick');
+		assert.deepStrictEqual(pick.args[0].map(item => item.detail), [
+			'origin/feat/login-page still exists with unmerged commits and is kept',
+			'origin/feat/sign-up still exists'
+		]);
+		assert.strictEqual(git('for-each-ref', '--format=%(refname:short)', 'refs/heads'), 'main');
+		assert.deepStrictEqual(remoteBranches(remote), ['feat/login-page', 'main']);
+		assert.ok(ui.shown.some(({ args }) => args[0] === 'Deleted 2 local branches and 1 remote branches.'), JSON.stringify(ui.shown));
+	});
+
+	test('deletes the branches of a merged merge request from the view after one confirmation', async () => {
+		git('push', '--quiet', 'origin', 'feat/login-page');
+		squashMerge('feat/login-page');
+		const entry = { iid: 1, url: 'https://gitlab.example.com/group/project/-/merge_requests/1', remoteName: 'origin', branch: 'feat/login-page', targetBranch: 'main' };
+		const { flow, ui, memento } = createTestFlow({
+			showWarningMessage: (message, options, ...items) => items[0]
+		});
+
+		await flow.deleteMergeRequestBranches(memento, work, entry);
+
+		const warnings = ui.shown.filter(({ name }) => name === 'showWarningMessage').map(({ args }) => args[0]);
+		assert.deepStrictEqual(warnings, ['Delete merged local branch feat/login-page and remote branch origin/feat/login-page of Merge Request !1?']);
+		assert.strictEqual(git('for-each-ref', '--format=%(refname:short)', 'refs/heads'), 'main');
+		assert.deepStrictEqual(remoteBranches(remote), ['main']);
+	});
+
+	test('asks separately before deleting each unmerged branch of a merge request', async () => {
+		git('push', '--quiet', 'origin', 'feat/login-page');
+		git('switch', '--quiet', 'main');
+		const entry = { iid: 1, url: 'https://gitlab.example.com/group/project/-/merge_requests/1', remoteName: 'origin', branch: 'feat/login-page', targetBranch: 'main' };
+		const { flow, ui, memento } = createTestFlow({
+			showWarningMessage: (message, options, ...items) => message.startsWith('The local branch') ? items[0] : undefined
+		});
+
+		await flow.deleteMergeRequestBranches(memento, work, entry);
+
+		const warnings = ui.shown.filter(({ name }) => name === 'showWarningMessage').map(({ args }) => args[0]);
+		assert.deepStrictEqual(warnings, [
+			'The local branch feat/login-page has commits that are not in origin/main. Delete it anyway?',
+			'The remote branch origin/feat/login-page has commits that are not in origin/main. Delete it anyway?'
+		]);
+		assert.strictEqual(git('for-each-ref', '--format=%(refname:short)', 'refs/heads'), 'main');
+		assert.deepStrictEqual(remoteBranches(remote), ['feat/login-page', 'main']);
+	});
+
+	test('pushes a stack bottom up, each branch targeting the one below it', async () => {
+		git('switch', '--quiet', '-c', 'feat/login-form');
+		commit('form.txt', 'Form\n', 'Add login form');
+		const { flow, ui, opened, memento } = createTestFlow({
+			showInformationMessage: (message, ...items) => items.find(item => item === 'Push Stack' || item === 'Open Merge Requests')
+		});
+
+		await flow.runMergeRequestStack(memento, work);
+
+		assert.deepStrictEqual(remoteBranches(remote), ['feat/login-form', 'feat/login-page', 'main']);
+		assert.ok(lastPushOptions().includes('merge_request.target=feat/login-page'), lastPushOptions());
+		assert.deepStrictEqual(opened, [
+			'https://gitlab.example.com/group/project/-/merge_requests/1',
+			'https://gitlab.example.com/group/project/-/merge_requests/2'
+		]);
+		assert.ok(ui.shown.some(({ args }) => args[0] === 'Merge Request stack pushed: feat/login-page (created), feat/login-form (created).'), JSON.stringify(ui.shown));
+		assert.strictEqual(git('branch', '--show-current'), 'feat/login-form');
+	});
+
+	test('only pushes stack branches no rule creates merge requests for, and sets reviewers of the others', async () => {
+		useGitLabUrl();
+		git('branch', '--quiet', '-m', 'refactor/session');
+		git('switch', '--quiet', '-c', 'feat/login-form');
+		commit('form.txt', 'Form\n', 'Add login form');
+		const calls = [];
+		const client = {
+			getDefaultBranch: async () => 'main',
+			findOpenMergeRequest: async () => undefined,
+			findUserIds: async usernames => ({ ids: usernames.map(() => 42), unknown: [] }),
+			setReviewers: async (projectPath, iid, ids) => { calls.push(['setReviewers', iid, ...ids]); }
+		};
+		const { flow, ui, opened, memento } = createTestFlow({
+			showInformationMessage: (message, ...items) => items.find(item => item === 'Push Stack' || item === 'Open Merge Requests')
+		}, { reviewers: ['jane'], pipelineNotifications: false }, { getApiClient: async () => client });
+
+		await flow.runMergeRequestStack(memento, work);
+
+		const [confirmation] = ui.shown.filter(({ name }) => name === 'showInformationMessage');
+		assert.strictEqual(confirmation.args[0], 'Push 2 branches and create or update 1 Merge Requests?\nrefactor/session → main (push only)\nfeat/login-form → refactor/session');
+		assert.deepStrictEqual(remoteBranches(remote), ['feat/login-form', 'main', 'refactor/session']);
+		assert.ok(lastPushOptions().includes('merge_request.target=refactor/session'), lastPushOptions());
+		assert.deepStrictEqual(opened, ['https://gitlab.example.com/group/project/-/merge_requests/1']);
+		assert.deepStrictEqual(calls, [['setReviewers', 1, 42]]);
+		assert.ok(ui.shown.some(({ args }) => args[0] === 'Merge Request stack pushed: refactor/session (pushed), feat/login-form (created).'), JSON.stringify(ui.shown));
+	});
+
+	test('asks about failed pre-MR checks for each branch of a stack', async () => {
+		git('switch', '--quiet', '-c', 'feat/login-form');
+		commit('.env', 'TOKEN=secret\n', 'Add environment');
+		const { flow, ui, memento } = createTestFlow({
+			showInformationMessage: (message, ...items) => items.find(item => item === 'Push Stack'),
+			showErrorMessage: (message, ...items) => items.find(item => item === 'Push as Draft')
+		}, { forbiddenPaths: ['.env'] });
+
+		await flow.runMergeRequestStack(memento, work);
+
+		const errors = ui.shown.filter(({ name }) => name === 'showErrorMessage').map(({ args }) => args[0]);
+		assert.deepStrictEqual(errors, ['Pre-MR checks failed for feat/login-form: forbidden paths changed: .env. Check Output channel for details.']);
+		assert.deepStrictEqual(remoteBranches(remote), ['feat/login-form', 'feat/login-page', 'main']);
+		assert.ok(lastPushOptions().includes('merge_request.draft'), lastPushOptions());
+		assert.ok(lastPushOptions().includes('merge_request.target=feat/login-page'), lastPushOptions());
+	});
+
+	test('undoes the merge of the target branch in a batch repository whose push is declined', async () => {
+		useGitLabUrl();
+		git('switch', '--quiet', 'main');
+		commit('NEWS.md', 'News\n', 'Add news');
+		git('push', '--quiet', 'origin', 'main');
+		git('switch', '--quiet', 'feat/login-page');
+		const head = git('rev-parse', 'HEAD');
+		fs.writeFileSync(path.join(remote, 'decline-pushes'), 'Commit message does not follow the pattern \'^(feat|fix): \'');
+		const { flow, ui, memento } = createTestFlow({
+			showQuickPick: (items, options) => options.canPickMany ? items : undefined
+		});
+
+		await flow.runMergeRequestsForRepositories(memento, [{ workspaceRoot: work, branch: 'feat/login-page' }]);
+
+		const summary = ui.shown.filter(({ name }) => name === 'showQuickPick').pop();
+		assert.strictEqual(summary.args[0][0].description, 'failed');
+		assert.strictEqual(git('branch', '--show-current'), 'feat/login-page');
+		assert.strictEqual(git('rev-parse', 'HEAD'), head);
+		assert.strictEqual(git('status', '--porcelain'), '');
+	});
+
+	test('fails a repository of a batch whose pre-MR checks fail', async () => {
+		useGitLabUrl();
+		commit('notes.txt', '<<<<<<< HEAD\nmine\n', 'Add notes');
+		const { flow, ui, memento } = createTestFlow({
+			showQuickPick: (items, options) => options.canPickMany ? items : undefined
+		});
+
+		await flow.runMergeRequestsForRepositories(memento, [{ workspaceRoot: work, branch: 'feat/login-page' }]);
+
+		const summary = ui.shown.filter(({ name }) => name === 'showQuickPick').pop();
+		assert.strictEqual(summary.args[1].placeHolder, '0 of 1 repositories pushed. Select one to open its Merge Request.');
+		assert.strictEqual(summary.args[0][0].description, 'failed');
+		assert.ok(summary.args[0][0].detail.startsWith('Pre-MR checks failed: conflict markers in notes.txt:1.'), summary.args[0][0].detail);
+		assert.deepStrictEqual(remoteBranches(remote), ['main']);
+	});
+});
@@ -0,0 +1,36 @@
+const assert = require('assert');
+
+const { parseStatus, isDirty } = require('../src/gitStatus');
+
+suite('Git Status Parser', () => {
+	test('parses branch, upstream and changes', () => {
+		const status = parseStatus([
+			'# branch.oid 927eca161e2f2b122d465b1d60b84713955f3392',
+			'# branch.head feat/login',
+			'# branch.upstream origin/feat/login',
+			'# branch.ab +2 -1',
+			'1 .M N... 100644 100644 100644 3b18e51 3b18e51 README.md',
+			'2 R. N... 100644 100644 100644 3b18e51 3b18e51 R100 new.js\told.js',
+			'u UU N... 100644 100644 100644 100644 1 2 3 conflict.js',
+			'? scratch.txt'
+		].join('\n'));
+		assert.deepStrictEqual(status, {
+			branch: 'feat/login',
+			detached: false,
+			upstream: 'origin/feat/login',
+			ahead: 2,
+			behind: 1,
+			changed: 2,
+			untracked: 1,
+			conflicted: 1
+		});
+		assert.ok(isDirty(status));
+	});
+
+	test('detects detached HEAD and clean trees', () => {
+		const status = parseStatus('# branch.oid 927eca1\n# branch.head (detached)\n');
+		assert.strictEqual(status.detached, true);
+		assert.strictEqual(status.branch, undefined);
+		assert.strictEqual(isDirty(status), false);
+	});
+});
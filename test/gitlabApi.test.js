@@ -0,0 +1,125 @@
+const assert = require('assert');
+const http = require('http');
+
+const { getTokenKey, getApiUrl, createGitLabClient, pollPipeline } = require('../src/gitlabApi');
+const { parseRemoteUrl } = require('../src/remoteUrl');
+
+/**
+ * Starts a local HTTP server standing in for the GitLab API of project `group/proj`.
+ * @returns {Promise<{apiUrl: string, requests: {method: string, url: string, token: string, body: any}[], close: function(): Promise<void>}>} The server.
+ */
+function startMockGitLab() {
+	const requests = [];
+	const routes = {
+		'GET /api/v4/user': () => [200, { id: 1, username: 'jane' }],
+		'GET /api/v4/projects/group%2Fproj': () => [200, { id: 7, default_branch: 'develop' }],
+		'GET /api/v4/projects/group%2Fproj/merge_requests?state=opened&source_branch=feat%2Flogin': () => [200, [
+			{ iid: 12, web_url: 'https://gitlab.example.com/group/proj/-/merge_requests/12', target_branch: 'develop' }
+		]],
+		'GET /api/v4/projects/group%2Fproj/merge_requests?state=opened&source_branch=feat%2Fnew': () => [200, []],
+		'GET /api/v4/users?username=jane': () => [200, [{ id: 1, username: 'jane' }]],
+		'GET /api/v4/users?username=ghost': () => [200, []],
+		'PUT /api/v4/projects/group%2Fproj/merge_requests/12': () => [200, { iid: 12 }],
+		'GET /api/v4/projects/group%2Fproj/merge_requests/12': () => [200, {
+			iid: 12,
+			head_pipeline: { id: 99, status: 'failed', web_url: 'https://gitlab.example.com/group/proj/-/pipelines/99' }
+		}]
+	};
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => { body += chunk; });
+		req.on('end', () => {
+			requests.push({ method: req.method, url: req.url, token: req.headers['private-token'], body: body ? JSON.parse(body) : undefined });
+			const route = req.headers['private-token'] === 'glpat-valid' ? routes[`${req.method} ${req.url}`] : () => [401, { message: '401 Unauthorized' }];
+			const [status, json] = route ? route() : [404, { message: '404 Not Found' }];
+			res.writeHead(status, { 'Content-Type': 'application/json' });
+			res.end(JSON.stringify(json));
+		});
+	});
+	return new Promise(resolve => {
+		server.listen(0, '127.0.0.1', () => {
+			resolve({
+				apiUrl: `http://127.0.0.1:${server.address().port}/api/v4`,
+				requests,
+				close: () => new Promise(done => server.close(() => done()))
+			});
+		});
+	});
+}
+
+suite('GitLab API', () => {
+	let gitlab;
+
+	setup(async () => {
+		gitlab = await startMockGitLab();
+	});
+
+	teardown(async () => {
+		await gitlab.close();
+	});
+
+	test('builds the API URL and token key of an instance', () => {
+		const project = parseRemoteUrl('https://corp.example.com/gitlab/group/proj.git', { instances: [{ hostPattern: 'corp.example.com', relativeRoot: '/gitlab' }] });
+		assert.strictEqual(getApiUrl(project), 'https://corp.example.com/gitlab/api/v4');
+		assert.strictEqual(getTokenKey('GitLab.example.com:8443'), 'gitlab-mr-flow.accessToken:gitlab.example.com:8443');
+	});
+
+	test('reads the default branch and finds open merge requests by source branch', async () => {
+		const client = createGitLabClient({ apiUrl: gitlab.apiUrl, token: 'glpat-valid' });
+		assert.strictEqual(await client.getDefaultBranch('group/proj'), 'develop');
+		assert.deepStrictEqual(await client.findOpenMergeRequest('group/proj', 'feat/login'), {
+			iid: 12,
+			url: 'https://gitlab.example.com/group/proj/-/merge_requests/12',
+			targetBranch: 'develop'
+		});
+		assert.strictEqual(await client.findOpenMergeRequest('group/proj', 'feat/new'), undefined);
+		assert.ok(gitlab.requests.every(request => request.token === 'glpat-valid'));
+	});
+
+	test('sets reviewers found by user name', async () => {
+		const client = createGitLabClient({ apiUrl: gitlab.apiUrl, token: 'glpat-valid' });
+		const { ids, unknown } = await client.findUserIds(['@jane', 'ghost']);
+		assert.deepStrictEqual(ids, [1]);
+		assert.deepStrictEqual(unknown, ['ghost']);
+		await client.setReviewers('group/proj', 12, ids);
+		const update = gitlab.requests.find(request => request.method === 'PUT');
+		assert.deepStrictEqual(update.body, { reviewer_ids: [1] });
+	});
+
+	test('sets a multi-line description', async () => {
+		const client = createGitLabClient({ apiUrl: gitlab.apiUrl, token: 'glpat-valid' });
+		await client.setDescription('group/proj', 12, '## Changes\n\n- Add login form');
+		const [update] = gitlab.requests;
+		assert.strictEqual(update.method, 'PUT');
+		assert.strictEqual(update.url, '/api/v4/projects/group%2Fproj/merge_requests/12');
+		assert.deepStrictEqual(update.body, { description: '## Changes\n\n- Add login form' });
+	});
+
+	test('reports GitLab error messages', async () => {
+		const client = createGitLabClient({ apiUrl: gitlab.apiUrl, token: 'glpat-revoked' });
+		await assert.rejects(client.getCurrentUser(), /GitLab API request GET \/user failed with HTTP 401: 401 Unauthorized/);
+		const unreachable = createGitLabClient({ apiUrl: 'http://127.0.0.1:1/api/v4', token: 'glpat-valid' });
+		await assert.rejects(unreachable.getDefaultBranch('group/proj'), /GitLab API request GET \/projects\/group%2Fproj failed: /);
+	});
+
+	test('polls the pipeline until it finishes', async () => {
+		const client = createGitLabClient({ apiUrl: gitlab.apiUrl, token: 'glpat-valid' });
+		const updates = [];
+		const pipeline = await pollPipeline(client, 'group/proj', 12, { sleep: async () => {}, onUpdate: update => updates.push(update.status) });
+		assert.deepStrictEqual(pipeline, { id: 99, status: 'failed', url: 'https://gitlab.example.com/group/proj/-/pipelines/99' });
+		assert.deepStrictEqual(updates, ['failed']);
+
+		let time = 0;
+		const statuses = [undefined, { id: 1, status: 'pending' }, { id: 1, status: 'running' }, { id: 1, status: 'running' }, { id: 1, status: 'success' }];
+		const fake = { getHeadPipeline: async () => statuses.shift() };
+		const seen = [];
+		const finished = await pollPipeline(fake, 'group/proj', 12, { sleep: async ms => { time += ms; }, now: () => time, onUpdate: update => seen.push(update.status) });
+		assert.strictEqual(finished.status, 'success');
+		assert.deepStrictEqual(seen, ['pending', 'running', 'success']);
+
+		time = 0;
+		const none = await pollPipeline({ getHeadPipeline: async () => undefined }, 'group/proj', 12, { sleep: async ms => { time += ms; }, now: () => time });
+		assert.strictEqual(none, undefined);
+		assert.ok(time >= 2 * 60 * 1000 && time < 3 * 60 * 1000, String(time));
+	});
+});
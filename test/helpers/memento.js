@@ -0,0 +1,14 @@
+/**
+ * In-memory stand-in for `vscode.Memento`.
+ * @returns {{keys: function(): string[], get: function(string, any): any, update: function(string, any): Promise<void>}} The memento.
+ */
+function createMemento() {
+	const values = new Map();
+	return {
+		keys: () => [...values.keys()],
+		get: (key, defaultValue) => values.has(key) ? values.get(key) : defaultValue,
+		update: async (key, value) => { values.set(key, value); }
+	};
+}
+
+module.exports = { createMemento };
@@ -0,0 +1,22 @@
+const assert = require('assert');
+
+const { buildIntegrationArgs, isConflictOutput, buildForceWithLeaseArg } = require('../src/integration');
+
+suite('Integration Strategy', () => {
+	test('builds merge and rebase arguments', () => {
+		assert.deepStrictEqual(buildIntegrationArgs('merge', 'origin', 'main'), ['merge', 'origin/main']);
+		assert.deepStrictEqual(buildIntegrationArgs('rebase', 'upstream', 'develop'), ['rebase', 'upstream/develop']);
+		assert.throws(() => buildIntegrationArgs('none', 'origin', 'main'));
+	});
+
+	test('detects merge and rebase conflicts', () => {
+		assert.ok(isConflictOutput('CONFLICT (content): Merge conflict in a.txt\nAutomatic merge failed; fix conflicts and then commit the result.'));
+		assert.ok(isConflictOutput('error: could not apply 1a2b3c4... Add login\nhint: Resolve all conflicts manually, mark them as resolved with'));
+		assert.strictEqual(isConflictOutput('fatal: invalid upstream \'origin/main\''), false);
+	});
+
+	test('pins force-with-lease to the pre-rebase SHA', () => {
+		assert.strictEqual(buildForceWithLeaseArg('feat/a', 'abc123'), '--force-with-lease=refs/heads/feat/a:abc123');
+		assert.strictEqual(buildForceWithLeaseArg('feat/a', undefined), '--force-with-lease=refs/heads/feat/a:');
+	});
+});
@@ -0,0 +1,34 @@
+const assert = require('assert');
+
+const { getCachedMergeRequest, cacheMergeRequest, forgetMergeRequest, findMergeRequestIidForSha } = require('../src/mergeRequestCache');
+const { createMemento } = require('./helpers/memento');
+
+suite('Merge Request Cache', () => {
+	test('remembers merge requests per repository, remote and branch', async () => {
+		const memento = createMemento();
+		const mergeRequest = { iid: 42, url: 'https://gitlab.example.com/g/p/-/merge_requests/42', targetBranch: 'main' };
+		await cacheMergeRequest(memento, '/repo', 'origin', 'feat/a', mergeRequest);
+		await cacheMergeRequest(memento, '/repo', 'origin', 'feat/b', { ...mergeRequest, iid: 43 });
+		assert.deepStrictEqual(getCachedMergeRequest(memento, '/repo', 'origin', 'feat/a'), mergeRequest);
+		assert.strictEqual(getCachedMergeRequest(memento, '/repo', 'origin', 'feat/b').iid, 43);
+		assert.strictEqual(getCachedMergeRequest(memento, '/repo', 'fork', 'feat/a'), undefined);
+		assert.strictEqual(getCachedMergeRequest(memento, '/other', 'origin', 'feat/a'), undefined);
+
+		await forgetMergeRequest(memento, '/repo', 'origin', 'feat/a');
+		assert.strictEqual(getCachedMergeRequest(memento, '/repo', 'origin', 'feat/a'), undefined);
+		assert.strictEqual(getCachedMergeRequest(memento, '/repo', 'origin', 'feat/b').iid, 43);
+	});
+
+	test('finds the newest merge request pointing at a commit', () => {
+		const output = [
+			'1111111111111111111111111111111111111111\trefs/merge-requests/3/head',
+			'2222222222222222222222222222222222222222\trefs/merge-requests/5/head',
+			'2222222222222222222222222222222222222222\trefs/merge-requests/5/merge',
+			'2222222222222222222222222222222222222222\trefs/merge-requests/9/head',
+			''
+		].join('\n');
+		assert.strictEqual(findMergeRequestIidForSha(output, '2222222222222222222222222222222222222222'), 9);
+		assert.strictEqual(findMergeRequestIidForSha(output, '3333333333333333333333333333333333333333'), undefined);
+		assert.strictEqual(findMergeRequestIidForSha('', '1111111111111111111111111111111111111111'), undefined);
+	});
+});
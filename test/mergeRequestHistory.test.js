@@ -0,0 +1,51 @@
+const assert = require('assert');
+
+const { recordMergeRequest, listMergeRequests, listRepositories, removeMergeRequest, describeMergeRequest } = require('../src/mergeRequestHistory');
+const { createMemento } = require('./helpers/memento');
+
+const first = { iid: 1, url: 'https://gitlab.example.com/g/p/-/merge_requests/1', remoteName: 'origin', branch: 'feat/a', targetBranch: 'main' };
+const second = { iid: 2, url: 'https://gitlab.example.com/g/p/-/merge_requests/2', remoteName: 'origin', branch: 'feat/b', targetBranch: 'feat/a' };
+
+suite('Merge Request History', () => {
+	test('records merge requests per repository, newest first', async () => {
+		const memento = createMemento();
+		await recordMergeRequest(memento, '/repo', first, 1000);
+		await recordMergeRequest(memento, '/repo', second, 2000);
+		await recordMergeRequest(memento, '/other', first, 3000);
+		assert.deepStrictEqual(listMergeRequests(memento, '/repo').map(entry => entry.iid), [2, 1]);
+		assert.deepStrictEqual(listRepositories(memento), ['/other', '/repo']);
+		assert.deepStrictEqual(listMergeRequests(memento, '/missing'), []);
+	});
+
+	test('keeps the creation time when a merge request is pushed again', async () => {
+		const memento = createMemento();
+		await recordMergeRequest(memento, '/repo', first, 1000);
+		await recordMergeRequest(memento, '/repo', { ...first, targetBranch: 'develop' }, 5000);
+		const entries = listMergeRequests(memento, '/repo');
+		assert.strictEqual(entries.length, 1);
+		assert.strictEqual(entries[0].createdAt, 1000);
+		assert.strictEqual(entries[0].updatedAt, 5000);
+		assert.strictEqual(entries[0].targetBranch, 'develop');
+	});
+
+	test('drops repositories whose merge requests were all removed', async () => {
+		const memento = createMemento();
+		await recordMergeRequest(memento, '/repo', first, 1000);
+		await recordMergeRequest(memento, '/repo', second, 2000);
+		await removeMergeRequest(memento, '/repo', first.url);
+		assert.deepStrictEqual(listMergeRequests(memento, '/repo').map(entry => entry.iid), [2]);
+		await removeMergeRequest(memento, '/repo', second.url);
+		assert.deepStrictEqual(listRepositories(memento), []);
+	});
+
+	test('describes whether the local branch still exists', () => {
+		const entry = { ...first, createdAt: 1000, updatedAt: 2000 };
+		const existing = describeMergeRequest(entry, true);
+		assert.strictEqual(existing.label, '!1 feat/a');
+		assert.strictEqual(existing.description, '→ main');
+		assert.ok(existing.tooltip.includes(first.url));
+		assert.ok(existing.tooltip.includes('Local branch: exists'));
+		assert.strictEqual(describeMergeRequest(entry, false).description, '→ main · local branch deleted');
+		assert.ok(describeMergeRequest(entry, undefined).tooltip.includes('Local branch: unknown'));
+	});
+});
@@ -0,0 +1,71 @@
+const assert = require('assert');
+
+const { formatGitCommand, parseMergeTreeOutput, renderPreviewHtml } = require('../src/preview');
+
+suite('Merge Request Preview', () => {
+	test('quotes arguments that need it', () => {
+		assert.strictEqual(
+			formatGitCommand(['push', 'origin', 'feat/a', '-o', 'merge_request.title=It\'s done']),
+			'git push origin feat/a -o \'merge_request.title=It\'\\\'\'s done\''
+		);
+		assert.strictEqual(formatGitCommand(['merge', 'origin/main']), 'git merge origin/main');
+	});
+
+	test('parses merge-tree results', () => {
+		assert.deepStrictEqual(parseMergeTreeOutput('4b825dc\n', 0), { checked: true, hasConflicts: false, files: [] });
+		assert.deepStrictEqual(
+			parseMergeTreeOutput('4b825dc\na.txt\nb.txt\n\nAuto-merging a.txt\nCONFLICT (content): Merge conflict in a.txt\n', 1),
+			{ checked: true, hasConflicts: true, files: ['a.txt', 'b.txt'] }
+		);
+		assert.strictEqual(parseMergeTreeOutput('usage: git merge-tree', 129).checked, false);
+	});
+
+	test('renders an escaped preview page', () => {
+		const html = renderPreviewHtml({
+			workspaceRoot: '/repo',
+			currentBranch: 'feat/a',
+			remoteName: 'origin',
+			remoteUrl: 'git@gitlab.example.com:g/p.git',
+			projectUrl: 'https://gitlab.example.com/g/p',
+			branchRule: { pattern: 'feat*', createMergeRequest: true, labels: [], removeSourceBranch: false },
+			targetBranch: 'main',
+			integrationStrategy: 'merge',
+			title: '<script>alert(1)</script>',
+			description: '',
+			pushOptionValues: { draft: false, labels: [], unlabels: [], assignees: [], milestone: '', removeSourceBranch: false, mergeWhenPipelineSucceeds: false },
+			pushOptions: ['merge_request.create'],
+			commands: [['fetch', 'origin']],
+			commits: ['abc123 Add a'],
+			diffstat: ' a.txt | 1 +',
+			conflicts: { checked: true, hasConflicts: true, files: ['a.txt'] }
+		}, { nonce: 'n0nce', cspSource: 'vscode-resource:' });
+		assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+		assert.ok(html.includes('<script nonce="n0nce">'));
+		assert.ok(html.includes('git fetch origin'));
+		assert.ok(html.includes('would conflict'));
+		assert.ok(html.includes('Creates a new merge request'));
+	});
+
+	test('shows the merge request a push would update', () => {
+		const html = renderPreviewHtml({
+			workspaceRoot: '/repo',
+			currentBranch: 'feat/a',
+			remoteName: 'origin',
+			remoteUrl: 'git@gitlab.example.com:g/p.git',
+			projectUrl: 'https://gitlab.example.com/g/p',
+			branchRule: { pattern: 'feat*', createMergeRequest: true, labels: [], removeSourceBranch: false },
+			targetBranch: 'main',
+			integrationStrategy: 'none',
+			title: 'A',
+			description: '',
+			pushOptionValues: { draft: false, labels: [], unlabels: [], assignees: [], milestone: '', removeSourceBranch: false, mergeWhenPipelineSucceeds: false },
+			pushOptions: ['merge_request.create', 'merge_request.target=main'],
+			existingMergeRequest: { iid: 7, url: 'https://gitlab.example.com/g/p/-/merge_requests/7', targetBranch: 'main' },
+			commands: [],
+			commits: [],
+			diffstat: '',
+			conflicts: { checked: true, hasConflicts: false, files: [] }
+		}, { nonce: 'n0nce', cspSource: 'vscode-resource:' });
+		assert.ok(html.includes('Updates existing <code>!7</code>'));
+	});
+});
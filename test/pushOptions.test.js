@@ -0,0 +1,62 @@
+const assert = require('assert');
+
+const { escapePushOptionValue, parseList, buildPushOptions, buildUpdatePushOptions, toPushOptionArgs } = require('../src/pushOptions');
+
+suite('Push Options', () => {
+	test('escapes line breaks and NUL characters', () => {
+		assert.strictEqual(escapePushOptionValue('- a\r\n- b\n"c d"\0'), '- a<br>- b<br>"c d"');
+	});
+
+	test('parses comma separated lists', () => {
+		assert.deepStrictEqual(parseList(' @alice, bob ,,@alice'), ['alice', 'bob']);
+		assert.deepStrictEqual(parseList(['~bug', 'needs review']), ['bug', 'needs review']);
+		assert.deepStrictEqual(parseList(undefined), []);
+	});
+
+	test('builds the minimal option set', () => {
+		assert.deepStrictEqual(buildPushOptions({ target: 'main', title: 'Login page' }), [
+			'merge_request.create',
+			'merge_request.target=main',
+			'merge_request.remove_source_branch=false',
+			'merge_request.title=Login page'
+		]);
+	});
+
+	test('builds all options', () => {
+		const options = buildPushOptions({
+			target: 'main',
+			title: 'Title',
+			description: 'line 1\nline 2',
+			draft: true,
+			labels: ['bug', 'needs review'],
+			unlabels: ['wip'],
+			assignees: ['@alice'],
+			milestone: ' v1.0 ',
+			removeSourceBranch: true,
+			mergeWhenPipelineSucceeds: true
+		});
+		assert.deepStrictEqual(options.slice(2), [
+			'merge_request.remove_source_branch=true',
+			'merge_request.title=Title',
+			'merge_request.description=line 1<br>line 2',
+			'merge_request.draft',
+			'merge_request.label=bug',
+			'merge_request.label=needs review',
+			'merge_request.unlabel=wip',
+			'merge_request.assign=alice',
+			'merge_request.milestone=v1.0',
+			'merge_request.merge_when_pipeline_succeeds'
+		]);
+		assert.deepStrictEqual(toPushOptionArgs(options.slice(0, 2)), ['-o', 'merge_request.create', '-o', 'merge_request.target=main']);
+	});
+
+	test('builds update options without touching title or description', () => {
+		assert.deepStrictEqual(buildUpdatePushOptions({ target: 'main' }), ['merge_request.create', 'merge_request.target=main']);
+		assert.deepStrictEqual(buildUpdatePushOptions({ target: 'main', draft: true, labels: ['~bug', 'bug'] }), [
+			'merge_request.create',
+			'merge_request.target=main',
+			'merge_request.draft',
+			'merge_request.label=bug'
+		]);
+	});
+});
@@ -0,0 +1,88 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { parsePushResponse } = require('../src/pushResponse');
+
+/**
+ * Loads a recorded `git push` output from test/fixtures/push-output.
+ * @param {string} name - Fixture name without extension.
+ * @returns {string} The recorded output.
+ */
+function loadFixture(name) {
+	return fs.readFileSync(path.join(__dirname, 'fixtures', 'push-output', `${name}.txt`), 'utf8');
+}
+
+suite('Push Response Parser', () => {
+	test('reports a created merge request on a new branch', () => {
+		const response = parsePushResponse(loadFixture('created'), 'feat/login-page');
+		assert.strictEqual(response.status, 'created');
+		assert.strictEqual(response.iid, 42);
+		assert.strictEqual(response.url, 'https://gitlab.example.com/group/sub/proj/-/merge_requests/42');
+		assert.strictEqual(response.newBranch, true);
+		assert.deepStrictEqual(response.warnings, []);
+		assert.deepStrictEqual(response.rejections, []);
+	});
+
+	test('does not guess whether the merge request of an updated branch is new', () => {
+		const existing = parsePushResponse(loadFixture('existing'), 'feat/login-page');
+		assert.strictEqual(existing.status, 'unknown');
+		assert.strictEqual(existing.iid, 42);
+		assert.strictEqual(existing.newBranch, false);
+		const created = parsePushResponse(loadFixture('created-on-pushed-branch'), 'feat/login-page');
+		assert.strictEqual(created.status, 'unknown');
+		assert.strictEqual(created.iid, 43);
+		assert.strictEqual(created.newBranch, false);
+	});
+
+	test('ignores pipeline links and links announced for other branches', () => {
+		const output = loadFixture('pipeline-link-first');
+		const search = parsePushResponse(output, 'feat/search');
+		assert.strictEqual(search.url, 'https://gitlab.example.com/group/proj/-/merge_requests/7');
+		assert.strictEqual(search.newMergeRequestUrl, undefined);
+		const readme = parsePushResponse(output, 'docs/readme');
+		assert.strictEqual(readme.status, 'none');
+		assert.strictEqual(readme.url, undefined);
+		assert.strictEqual(readme.newMergeRequestUrl, 'https://gitlab.example.com/group/proj/-/merge_requests/new?merge_request%5Bsource_branch%5D=docs%2Freadme');
+	});
+
+	test('collects push options GitLab could not apply', () => {
+		const response = parsePushResponse(loadFixture('push-option-warning'), 'feat/export');
+		assert.strictEqual(response.status, 'none');
+		assert.ok(response.newMergeRequestUrl);
+		assert.strictEqual(response.warnings.length, 1);
+		assert.strictEqual(response.warnings[0].kind, 'push-option');
+		assert.ok(response.warnings[0].message.includes('Target branch release does not exist'));
+		assert.ok(response.warnings[0].action);
+	});
+
+	test('falls back to a bare merge request link', () => {
+		const response = parsePushResponse('remote:   https://gitlab.example.com/a/b/-/merge_requests/3\n', 'feat/a');
+		assert.strictEqual(response.iid, 3);
+		assert.strictEqual(response.status, 'unknown');
+	});
+
+	test('explains rejections with a suggested action', () => {
+		const expectations = {
+			'protected-branch': 'protected-branch',
+			'push-rule-denied': 'pre-receive-hook',
+			'non-fast-forward': 'non-fast-forward',
+			'stale-lease': 'stale-lease',
+			'push-options-unsupported': 'push-options-unsupported',
+			'auth-failed': 'authentication'
+		};
+		for (const [fixture, kind] of Object.entries(expectations)) {
+			const response = parsePushResponse(loadFixture(fixture), 'feat/login-page');
+			assert.strictEqual(response.status, 'none', fixture);
+			assert.ok(response.rejections.length > 0, fixture);
+			assert.strictEqual(response.rejections[0].kind, kind, fixture);
+			assert.ok(response.rejections[0].message && response.rejections[0].action && response.rejections[0].detail, fixture);
+		}
+	});
+
+	test('handles empty output', () => {
+		const response = parsePushResponse('', 'feat/a');
+		assert.strictEqual(response.status, 'none');
+		assert.deepStrictEqual(response.rejections, []);
+	});
+});
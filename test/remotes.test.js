@@ -0,0 +1,74 @@
+const assert = require('assert');
+
+const { parseConfigEntries, rewriteUrl, resolveRemotes, getConfiguredPushRemote, pickRemote } = require('../src/remotes');
+
+/**
+ * Builds `git config -z --get-regexp` output from key/value pairs.
+ * @param {string[][]} pairs - The entries.
+ * @returns {string} The output.
+ */
+function configOutput(pairs) {
+	return pairs.map(([key, value]) => `${key}\n${value}\0`).join('');
+}
+
+suite('Remotes', () => {
+	test('parses NUL separated config output', () => {
+		assert.deepStrictEqual(parseConfigEntries('remote.origin.url\ngit@h:g/p.git\0remote.my.fork.url\nhttps://h/a/b\0'), [
+			{ key: 'remote.origin.url', value: 'git@h:g/p.git' },
+			{ key: 'remote.my.fork.url', value: 'https://h/a/b' }
+		]);
+		assert.deepStrictEqual(parseConfigEntries(''), []);
+	});
+
+	test('rewrites with the longest matching prefix', () => {
+		const rules = [
+			{ base: 'git@gitlab.example.com:', prefix: 'gl:' },
+			{ base: 'git@gitlab.example.com:special/', prefix: 'gl:group/' }
+		];
+		assert.strictEqual(rewriteUrl('gl:group/proj.git', rules), 'git@gitlab.example.com:special/proj.git');
+		assert.strictEqual(rewriteUrl('gl:other/proj.git', rules), 'git@gitlab.example.com:other/proj.git');
+		assert.strictEqual(rewriteUrl('https://h/a/b', rules), undefined);
+	});
+
+	test('resolves fetch and push URLs like git', () => {
+		const entries = parseConfigEntries(configOutput([
+			['remote.origin.url', 'gl:group/proj.git'],
+			['url.git@gitlab.example.com:.insteadof', 'gl:'],
+			['url.ssh://push.example.com/.pushinsteadof', 'gl:'],
+			['remote.my.fork.url', 'https://gitlab.example.com/me/proj.git'],
+			['remote.my.fork.pushurl', 'gl:me/proj.git'],
+			['remote.my.fork.pushurl', 'git@backup:me/proj.git'],
+			['remote.plain.url', 'git@h:g/p.git']
+		]));
+		assert.deepStrictEqual(resolveRemotes(entries), [
+			{ remoteName: 'origin', fetchUrl: 'git@gitlab.example.com:group/proj.git', pushUrl: 'ssh://push.example.com/group/proj.git' },
+			// pushInsteadOf is ignored for remotes with an explicit pushurl, insteadOf is not
+			{ remoteName: 'my.fork', fetchUrl: 'https://gitlab.example.com/me/proj.git', pushUrl: 'git@gitlab.example.com:me/proj.git' },
+			{ remoteName: 'plain', fetchUrl: 'git@h:g/p.git', pushUrl: 'git@h:g/p.git' }
+		]);
+	});
+
+	test('finds the push remote git would use for a branch', () => {
+		const entries = parseConfigEntries(configOutput([
+			['branch.feat/a.remote', 'origin'],
+			['branch.feat/a.pushremote', 'fork'],
+			['branch.feat/b.remote', 'upstream'],
+			['remote.pushdefault', 'mirror']
+		]));
+		assert.strictEqual(getConfiguredPushRemote(entries, 'feat/a'), 'fork');
+		assert.strictEqual(getConfiguredPushRemote(entries, 'feat/b'), 'mirror');
+		assert.strictEqual(getConfiguredPushRemote(entries.slice(0, 3), 'feat/b'), 'upstream');
+		assert.strictEqual(getConfiguredPushRemote([], 'feat/b'), undefined);
+	});
+
+	test('picks a remote without asking when possible', () => {
+		const remote = name => ({ remoteName: name, fetchUrl: `git@h:${name}/p.git`, pushUrl: `git@h:${name}/p.git` });
+		const remotes = [remote('upstream'), remote('origin'), remote('fork')];
+		assert.strictEqual(pickRemote(remotes, { preferred: 'fork', remembered: 'upstream' }).remote.remoteName, 'fork');
+		assert.strictEqual(pickRemote(remotes, { preferred: 'gone', remembered: 'upstream', configured: 'fork' }).reason, 'remembered choice');
+		assert.strictEqual(pickRemote(remotes, { configured: 'fork' }).remote.remoteName, 'fork');
+		assert.strictEqual(pickRemote(remotes, {}).remote.remoteName, 'origin');
+		assert.strictEqual(pickRemote([remote('gitlab')], {}).reason, 'only remote');
+		assert.strictEqual(pickRemote([remote('a'), remote('b')], { remembered: 'gone' }), undefined);
+	});
+});
@@ -0,0 +1,48 @@
+const assert = require('assert');
+
+const { getStackParent, rememberStackParent, parseBranchList, pickClosestBranch, orderStack } = require('../src/stack');
+const { createMemento } = require('./helpers/memento');
+
+suite('Merge Request Stacks', () => {
+	test('remembers parents, including "no parent"', async () => {
+		const memento = createMemento();
+		await rememberStackParent(memento, '/repo', 'feat/b', 'feat/a');
+		await rememberStackParent(memento, '/repo', 'feat/a', '');
+		assert.strictEqual(getStackParent(memento, '/repo', 'feat/b'), 'feat/a');
+		assert.strictEqual(getStackParent(memento, '/repo', 'feat/a'), '');
+		assert.strictEqual(getStackParent(memento, '/repo', 'feat/c'), undefined);
+		await rememberStackParent(memento, '/repo', 'feat/b', undefined);
+		assert.strictEqual(getStackParent(memento, '/repo', 'feat/b'), undefined);
+	});
+
+	test('parses branch lists', () => {
+		assert.deepStrictEqual(parseBranchList('feat/a\nfeat/b\n\n'), ['feat/a', 'feat/b']);
+		assert.deepStrictEqual(parseBranchList(''), []);
+	});
+
+	test('picks the closest ancestor branch', () => {
+		assert.strictEqual(pickClosestBranch([{ branch: 'feat/a', distance: 3 }, { branch: 'feat/b', distance: 1 }]), 'feat/b');
+		assert.strictEqual(pickClosestBranch([{ branch: 'feat/z', distance: 2 }, { branch: 'feat/y', distance: 2 }]), 'feat/y');
+		assert.strictEqual(pickClosestBranch([{ branch: 'feat/same', distance: 0 }]), undefined);
+		assert.strictEqual(pickClosestBranch([]), undefined);
+	});
+
+	test('orders the stack through a branch bottom up', () => {
+		const parents = { 'feat/a': '', 'feat/b': 'feat/a', 'feat/c': 'feat/b', 'feat/d': 'feat/b', 'feat/x': '' };
+		const expected = [
+			{ branch: 'feat/a', parent: '' },
+			{ branch: 'feat/b', parent: 'feat/a' },
+			{ branch: 'feat/c', parent: 'feat/b' },
+			{ branch: 'feat/d', parent: 'feat/b' }
+		];
+		assert.deepStrictEqual(orderStack(parents, 'feat/b'), expected);
+		assert.deepStrictEqual(orderStack(parents, 'feat/a'), expected);
+		assert.deepStrictEqual(orderStack(parents, 'feat/x'), [{ branch: 'feat/x', parent: '' }]);
+		assert.deepStrictEqual(orderStack(parents, 'unknown'), []);
+	});
+
+	test('stops at cycles', () => {
+		const stack = orderStack({ 'feat/a': 'feat/b', 'feat/b': 'feat/a' }, 'feat/a');
+		assert.deepStrictEqual(stack.map(entry => entry.branch), ['feat/b', 'feat/a']);
+	});
+});
@@ -0,0 +1,44 @@
+const assert = require('assert');
+
+const { renderTemplate, extractIssueNumber, humanizeBranchName, buildTemplateVariables } = require('../src/template');
+
+suite('Templates', () => {
+	test('renders known and unknown variables', () => {
+		assert.strictEqual(renderTemplate('${branchTitle} (#${issue})${missing}', { branchTitle: 'Login page', issue: '12' }), 'Login page (#12)');
+	});
+
+	test('humanizes branch names', () => {
+		assert.strictEqual(humanizeBranchName('feat/login-page'), 'Login page');
+		assert.strictEqual(humanizeBranchName('feat/123-login_page'), 'Login page');
+		assert.strictEqual(humanizeBranchName('JIRA-123-add-sso'), 'Add sso');
+		assert.strictEqual(humanizeBranchName('fix-typo'), 'Typo');
+		assert.strictEqual(humanizeBranchName('feat/123'), 'feat/123');
+	});
+
+	test('extracts issue numbers', () => {
+		assert.strictEqual(extractIssueNumber('feat/123-login'), '123');
+		assert.strictEqual(extractIssueNumber('JIRA-456-sso'), '456');
+		assert.strictEqual(extractIssueNumber('fix/#78'), '78');
+		assert.strictEqual(extractIssueNumber('feat/oauth2-login'), '');
+	});
+
+	test('builds variables from commit history', () => {
+		const variables = buildTemplateVariables({
+			branch: 'feat/42-search',
+			target: 'main',
+			commitSubjects: ['Add search box', 'Wire up API'],
+			author: 'Jane'
+		});
+		assert.strictEqual(variables.firstCommit, 'Add search box');
+		assert.strictEqual(variables.commits, '- Add search box\n- Wire up API');
+		assert.strictEqual(variables.issue, '42');
+		assert.strictEqual(variables.branchTitle, 'Search');
+		assert.strictEqual(buildTemplateVariables({ branch: 'x', target: 'main', commitSubjects: [], author: '' }).firstCommit, '');
+	});
+
+	test('prefers the title and issue given when the branch was started', () => {
+		const variables = buildTemplateVariables({ branch: 'feat/42-search', target: 'main', commitSubjects: [], author: '', title: 'search across all projects', issue: '7' });
+		assert.strictEqual(variables.branchTitle, 'Search across all projects');
+		assert.strictEqual(variables.issue, '7');
+	});
+});